@@ -0,0 +1,38 @@
+/**
+ * Node module hooks for running AgeEnt headless
+ *
+ * In the browser, public/index.html maps the bare `rapier` specifier to the
+ * Rapier compat build through an import map. These hooks do the same under
+ * Node and make sure the project's sources and the Rapier ES build are loaded
+ * as ES modules, since neither sits in a package marked `"type": "module"`.
+ */
+
+// Bare specifiers from the browser import map and their npm equivalents
+const IMPORT_MAP = {
+    'rapier': '@dimforge/rapier2d-compat/rapier.es.js'
+};
+
+const SOURCE_ROOT = new URL('../', import.meta.url).href;
+
+/**
+ * Resolve bare specifiers the same way the browser import map does
+ */
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier in IMPORT_MAP) {
+        return nextResolve(IMPORT_MAP[specifier], context);
+    }
+    return nextResolve(specifier, context);
+}
+
+/**
+ * Load project sources and the Rapier ES build as ES modules
+ */
+export async function load(url, context, nextLoad) {
+    const isSource = url.startsWith(SOURCE_ROOT) && url.endsWith('.js');
+    const isRapier = url.endsWith('/rapier2d-compat/rapier.es.js');
+
+    if (isSource || isRapier) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
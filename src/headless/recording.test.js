@@ -0,0 +1,146 @@
+/**
+ * Tests for the recording codec and replay sampler
+ *
+ * Run with:
+ *   node --test src/headless/
+ */
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Map the browser import map onto Node before any simulation code loads
+register('./importMapHooks.js', import.meta.url);
+
+const Recording = await import('../simulation/recording.js');
+const StateBuffer = await import('../simulation/stateBuffer.js');
+
+const FIELDS = StateBuffer.STATE_FIELDS;
+const STRIDE = StateBuffer.STATE_STRIDE;
+const WORLD_SIZE = 100;
+
+/**
+ * Build a state buffer from plain cell descriptions
+ * @param {Array<Object>} cells - Cells {id, x, y, angle, length, radius, phenotype, strain}
+ * @param {number} time - Simulated time
+ * @param {number} step - Step number
+ * @returns {Object} State {buffer, count, time, step}
+ */
+function makeState(cells, time = 0, step = 0) {
+    const buffer = StateBuffer.createStateBuffer(cells.length);
+    cells.forEach((cell, index) => {
+        const offset = index * STRIDE;
+        buffer[offset + FIELDS.ID] = cell.id;
+        buffer[offset + FIELDS.X] = cell.x;
+        buffer[offset + FIELDS.Y] = cell.y;
+        buffer[offset + FIELDS.ANGLE] = cell.angle;
+        buffer[offset + FIELDS.LENGTH] = cell.length;
+        buffer[offset + FIELDS.RADIUS] = cell.radius;
+        buffer[offset + FIELDS.PHENOTYPE] = cell.phenotype ?? 0;
+        buffer[offset + FIELDS.STRAIN] = cell.strain ?? 0;
+    });
+    return { buffer, count: cells.length, time, step };
+}
+
+/**
+ * Read one field of one row of a state
+ * @param {Object} state - State {buffer, count}
+ * @param {number} row - Row index
+ * @param {number} field - Field offset from STATE_FIELDS
+ * @returns {number} The value
+ */
+function field(state, row, field) {
+    return state.buffer[row * STRIDE + field];
+}
+
+/**
+ * Difference between two angles, the short way round
+ * @param {number} a - Angle in radians
+ * @param {number} b - Angle in radians
+ * @returns {number} Absolute difference in [0, pi]
+ */
+function angleDifference(a, b) {
+    const difference = Math.abs(a - b) % (2 * Math.PI);
+    return Math.min(difference, 2 * Math.PI - difference);
+}
+
+test('keyframes round-trip within the quantization step', () => {
+    const cells = [
+        { id: 1, x: 0, y: 0, angle: 0, length: 2, radius: 0.5, phenotype: 0, strain: 0 },
+        { id: 2, x: 12.3456, y: -48.765, angle: 1.2345, length: 3.1417, radius: 0.4321, phenotype: 2, strain: 1 },
+        { id: 3, x: -49.999, y: 49.999, angle: -3.1, length: 0.05, radius: 0.05, phenotype: 1, strain: 3 },
+        // Angles outside [-pi, pi) wrap to the same direction
+        { id: 70000, x: 3.5, y: 7.25, angle: 7.5, length: 65.4, radius: 1.25, phenotype: 3, strain: 2 }
+    ];
+    const state = makeState(cells, 12.5, 750);
+    const decoded = Recording.decodeKeyframe(Recording.encodeKeyframe(state, WORLD_SIZE));
+
+    // Half a quantum, plus the float32 rounding of the stored values
+    const positionTolerance = WORLD_SIZE / 32767 / 2 + 1e-5;
+    const angleTolerance = Math.PI / 32767 / 2 + 1e-6;
+    const sizeTolerance = 0.001 / 2 + 1e-6;
+
+    assert.equal(decoded.count, cells.length);
+    assert.equal(decoded.time, 12.5);
+    assert.equal(decoded.step, 750);
+    cells.forEach((cell, row) => {
+        assert.equal(field(decoded, row, FIELDS.ID), cell.id);
+        assert.ok(Math.abs(field(decoded, row, FIELDS.X) - cell.x) <= positionTolerance, `x of cell ${cell.id}`);
+        assert.ok(Math.abs(field(decoded, row, FIELDS.Y) - cell.y) <= positionTolerance, `y of cell ${cell.id}`);
+        assert.ok(angleDifference(field(decoded, row, FIELDS.ANGLE), cell.angle) <= angleTolerance, `angle of cell ${cell.id}`);
+        assert.ok(Math.abs(field(decoded, row, FIELDS.LENGTH) - cell.length) <= sizeTolerance, `length of cell ${cell.id}`);
+        assert.ok(Math.abs(field(decoded, row, FIELDS.RADIUS) - cell.radius) <= sizeTolerance, `radius of cell ${cell.id}`);
+        assert.equal(field(decoded, row, FIELDS.PHENOTYPE), cell.phenotype);
+        assert.equal(field(decoded, row, FIELDS.STRAIN), cell.strain);
+    });
+});
+
+test('the sampler interpolates across a thinned recording', () => {
+    // One cell moving, growing and turning steadily, and one born halfway
+    const cellAt = time => ({
+        id: 1,
+        x: -20 + 2 * time,
+        y: 5 - time,
+        angle: 3 + 0.05 * time, // Crosses pi at about t = 2.8
+        length: 2 + 0.1 * time,
+        radius: 0.5
+    });
+    const bytesPerFrame = 2 * 16;
+    const recording = Recording.createRecording({ interval: 0.5, maxBytes: 8 * bytesPerFrame });
+
+    for (let step = 0; step <= 40; step++) {
+        const time = step * 0.5;
+        const cells = [cellAt(time)];
+        if (time >= 10) {
+            cells.push({ id: 2, x: 10, y: 10, angle: 0, length: 2, radius: 0.5 });
+        }
+        Recording.addKeyframe(recording, makeState(cells, time, step), WORLD_SIZE);
+    }
+
+    assert.ok(recording.interval > 0.5, 'the recording was thinned');
+    assert.ok(recording.bytes <= recording.maxBytes);
+    // Thinning keeps the first keyframe; later frames come at the coarser interval
+    const range = Recording.getRecordingRange(recording);
+    assert.equal(range.start, 0);
+    assert.ok(range.end > 20 - recording.interval);
+
+    const sample = Recording.createSampler(recording);
+    const tolerance = 0.01;
+    for (let time = range.start; time <= range.end; time += 0.3) {
+        const state = sample(time);
+        const expected = cellAt(time);
+        assert.equal(state.time, time);
+        assert.ok(Math.abs(field(state, 0, FIELDS.X) - expected.x) <= tolerance, `x at ${time}`);
+        assert.ok(Math.abs(field(state, 0, FIELDS.Y) - expected.y) <= tolerance, `y at ${time}`);
+        assert.ok(Math.abs(field(state, 0, FIELDS.LENGTH) - expected.length) <= tolerance, `length at ${time}`);
+        assert.ok(angleDifference(field(state, 0, FIELDS.ANGLE), expected.angle) <= tolerance, `angle at ${time}`);
+    }
+
+    // A cell appears at the first keyframe holding it, not before
+    const firstWithNewborn = recording.keyframes.find(keyframe => keyframe.count === 2);
+    const lastWithout = recording.keyframes[recording.keyframes.indexOf(firstWithNewborn) - 1];
+    assert.equal(sample((lastWithout.time + firstWithNewborn.time) / 2).count, 1);
+    assert.equal(sample(firstWithNewborn.time).count, 2);
+
+    assert.equal(Recording.createSampler(Recording.createRecording())(1), null);
+});
@@ -0,0 +1,172 @@
+/**
+ * Headless runner for AgeEnt
+ *
+ * Drives the simulation under Node without Three.js or a DOM, writing the
+ * state of every bacterium to a JSON Lines file so batch experiments and
+ * parameter sweeps can run on machines without a browser or WebGL.
+ *
+ * Requires Node 20.19 or newer and the Rapier compat build installed next to
+ * the sources:
+ *   npm install --no-save @dimforge/rapier2d-compat@0.15.0
+ *
+ * Usage:
+ *   node src/headless/runHeadless.js --steps 3600 --every 60 --seed 7 --out run.jsonl
+ *   node src/headless/runHeadless.js --domain channels --out channels.jsonl
+ *   node src/headless/runHeadless.js --flow poiseuille --flow-speed 2 --out channel-flow.jsonl
+ *   node src/headless/runHeadless.js --flow-file flow.json --out grid-flow.jsonl
+ *   node src/headless/runHeadless.js --strains strains.json --strain-ratios wildtype=1,mutant=3
+ *   node src/headless/runHeadless.js --metrics metrics.csv --trajectories cells.csv --metrics-interval 0.5
+ *   node src/headless/runHeadless.js --scenario knockdown.json --metrics knockdown.csv
+ *
+ * The first line of the output holds the run metadata, every following line
+ * one recorded step ({type: 'step', time, step, bacteria: [...]}).
+ * With --metrics and/or --trajectories, the metrics recorder also runs and
+ * its output is written as CSV, or as JSON for file names ending in .json.
+ * --flow-file loads a flow grid (see FlowField.parseFlowGrid) and implies
+ * the grid profile. --strains loads strain definitions (see strains.js) and
+ * --strain-ratios overrides their mixture ratios for the initial seeding.
+ * --scenario runs a scenario file (see scenario.js) instead: the population,
+ * domain, flow and strain options are then ignored, the run lasts the
+ * scenario's duration unless --steps is given and metrics are sampled at its
+ * sample interval unless --metrics-interval is given. To run many variations
+ * of a scenario, see runSweep.js.
+ */
+
+import { register } from 'node:module';
+import { openSync, writeSync, closeSync, writeFileSync, readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+// Map the browser import map onto Node before any simulation code loads
+register('./importMapHooks.js', import.meta.url);
+
+const { values: args } = parseArgs({
+    options: {
+        steps: { type: 'string' },
+        every: { type: 'string', default: '1' },
+        count: { type: 'string', default: '50' },
+        'world-size': { type: 'string', default: '100' },
+        seed: { type: 'string', default: '42' },
+        domain: { type: 'string', default: 'box' },
+        flow: { type: 'string', default: 'none' },
+        'flow-speed': { type: 'string', default: '1' },
+        'flow-file': { type: 'string' },
+        strains: { type: 'string' },
+        'strain-ratios': { type: 'string' },
+        out: { type: 'string', default: 'headless-run.jsonl' },
+        metrics: { type: 'string' },
+        trajectories: { type: 'string' },
+        'metrics-interval': { type: 'string' },
+        scenario: { type: 'string' }
+    }
+});
+
+const DEFAULT_STEPS = 600;
+const DEFAULT_METRICS_INTERVAL = 1;
+
+const every = Math.max(1, parseInt(args.every, 10));
+const options = {
+    bacteriaCount: parseInt(args.count, 10),
+    worldSize: parseFloat(args['world-size']),
+    seed: parseInt(args.seed, 10),
+    domain: args.domain
+};
+if (args['strain-ratios']) {
+    // name=ratio pairs separated by commas
+    options.strainRatios = Object.fromEntries(args['strain-ratios'].split(',').map(pair => {
+        const [name, ratio] = pair.split('=');
+        return [name.trim(), parseFloat(ratio)];
+    }));
+}
+
+const SimulationManager = await import('../simulation/simulationManager.js');
+const Metrics = await import('../simulation/metrics.js');
+const FlowField = await import('../simulation/flowField.js');
+const Strains = await import('../simulation/strains.js');
+const Scenario = await import('../simulation/scenario.js');
+const Physics = await import('../simulation/physics.js');
+
+if (args.strains) {
+    options.strains = Strains.parseStrains(readFileSync(args.strains, 'utf8'));
+}
+const scenario = args.scenario ? Scenario.parseScenario(readFileSync(args.scenario, 'utf8')) : null;
+
+// Explicit flags win over the scenario's run settings
+const duration = scenario?.run?.duration;
+const steps = args.steps !== undefined ? parseInt(args.steps, 10)
+    : duration !== undefined ? Math.round(duration / Physics.PHYSICS_STEP) : DEFAULT_STEPS;
+const metricsInterval = args['metrics-interval'] !== undefined ? parseFloat(args['metrics-interval'])
+    : scenario?.run?.sampleInterval ?? DEFAULT_METRICS_INTERVAL;
+
+/**
+ * Append one JSON record as a line of the output file
+ * @param {number} fd - File descriptor of the output file
+ * @param {Object} record - Record to write
+ */
+function writeRecord(fd, record) {
+    writeSync(fd, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Run the simulation for the requested number of steps
+ */
+async function run() {
+    if (scenario) {
+        await Scenario.startScenario(scenario);
+    } else {
+        await SimulationManager.initSimulation(options);
+    
+        FlowField.setFlowSpeed(parseFloat(args['flow-speed']));
+        if (args['flow-file']) {
+            FlowField.setFlowGrid(FlowField.parseFlowGrid(readFileSync(args['flow-file'], 'utf8')));
+        } else {
+            FlowField.setFlowProfile(args.flow);
+        }
+    }
+    
+    if (args.metrics || args.trajectories) {
+        Metrics.startRecording({
+            interval: metricsInterval,
+            trajectories: Boolean(args.trajectories)
+        });
+    }
+
+    const fd = openSync(args.out, 'w');
+    try {
+        writeRecord(fd, {
+            type: 'metadata',
+            startedAt: new Date().toISOString(),
+            seed: SimulationManager.getSeed(),
+            steps,
+            every,
+            options: scenario ? null : options,
+            scenario,
+            flow: { profile: FlowField.getFlowProfile(), speed: FlowField.getFlowSpeed() }
+        });
+
+        for (let step = 1; step <= steps; step++) {
+            SimulationManager.updateSimulation();
+
+            if (step % every === 0 || step === steps) {
+                writeRecord(fd, { type: 'step', ...SimulationManager.getSimulationState() });
+            }
+        }
+    } finally {
+        closeSync(fd);
+        Metrics.stopRecording();
+        SimulationManager.cleanupSimulation();
+    }
+    
+    if (args.metrics) {
+        writeFileSync(args.metrics, args.metrics.endsWith('.json') ? Metrics.exportJSON() : Metrics.exportMetricsCSV());
+    }
+    if (args.trajectories) {
+        writeFileSync(args.trajectories, args.trajectories.endsWith('.json') ? Metrics.exportJSON() : Metrics.exportTrajectoriesCSV());
+    }
+
+    console.log(`Headless run finished: ${steps} steps written to ${args.out}`);
+}
+
+run().catch(error => {
+    console.error("Headless run failed:", error);
+    process.exitCode = 1;
+});
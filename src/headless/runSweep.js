@@ -0,0 +1,157 @@
+/**
+ * Parameter sweep runner for AgeEnt
+ * 
+ * Expands ranges of scenario values into one run per combination (see
+ * Scenario.expandSweep), runs them one after another in this process and
+ * collects their metrics side by side: a long CSV with every sample of
+ * every run, and a summary CSV with the last sample of each run.
+ * 
+ * Requires the same setup as runHeadless.js.
+ * 
+ * Usage:
+ *   node src/headless/runSweep.js --sweep motility-sweep.json --out sweep.csv --summary summary.csv
+ * 
+ * The sweep file names the base scenario (a path relative to the sweep file,
+ * or the scenario itself) and the values to sweep:
+ *   {
+ *     "scenario": "knockdown.json",
+ *     "sweep": {
+ *       "parameters.motilityStrength": {"from": 0.1, "to": 0.5, "steps": 5},
+ *       "seed": [1, 2, 3]
+ *     }
+ *   }
+ * Every run lasts the scenario's duration (or --steps) and is sampled at
+ * its sample interval. Both CSV files start with the run number and the
+ * swept values, so runs can be grouped by any of them.
+ */
+
+import { register } from 'node:module';
+import { writeFileSync, readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+// Map the browser import map onto Node before any simulation code loads
+register('./importMapHooks.js', import.meta.url);
+
+const { values: args } = parseArgs({
+    options: {
+        sweep: { type: 'string' },
+        steps: { type: 'string' },
+        out: { type: 'string', default: 'sweep-metrics.csv' },
+        summary: { type: 'string', default: 'sweep-summary.csv' }
+    }
+});
+
+const DEFAULT_STEPS = 600;
+const DEFAULT_METRICS_INTERVAL = 1;
+
+const SimulationManager = await import('../simulation/simulationManager.js');
+const Metrics = await import('../simulation/metrics.js');
+const Scenario = await import('../simulation/scenario.js');
+const Physics = await import('../simulation/physics.js');
+
+/**
+ * Read a sweep file and expand it into runs
+ * @param {string} path - Path of the sweep file
+ * @returns {Array<Object>} Runs {variables, scenario} (see Scenario.expandSweep)
+ */
+function loadSweep(path) {
+    const definition = JSON.parse(readFileSync(path, 'utf8'));
+    if (!definition.scenario || !definition.sweep || typeof definition.sweep !== 'object') {
+        throw new Error("Sweep file needs a scenario and a sweep object of values per scenario path");
+    }
+    
+    const scenario = typeof definition.scenario === 'string'
+        ? Scenario.parseScenario(readFileSync(resolve(dirname(path), definition.scenario), 'utf8'))
+        : definition.scenario;
+    return Scenario.expandSweep(scenario, definition.sweep);
+}
+
+/**
+ * Format rows as CSV, quoting values that need it
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Records keyed by column name
+ * @returns {string} CSV text with a header line
+ */
+function toCSV(columns, rows) {
+    const format = value => {
+        // Swept values may be objects, e.g. domain layouts
+        const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(format).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => format(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Run one scenario and return its metrics samples
+ * @param {Object} scenario - The scenario
+ * @returns {Promise<Array<Object>>} Metrics samples (see metrics.js)
+ */
+async function runScenario(scenario) {
+    const duration = scenario.run?.duration;
+    const steps = args.steps !== undefined ? parseInt(args.steps, 10)
+        : duration !== undefined ? Math.round(duration / Physics.PHYSICS_STEP) : DEFAULT_STEPS;
+    
+    await Scenario.startScenario(scenario);
+    Metrics.startRecording({
+        interval: scenario.run?.sampleInterval ?? DEFAULT_METRICS_INTERVAL,
+        trajectories: false
+    });
+    
+    for (let step = 1; step <= steps; step++) {
+        SimulationManager.updateSimulation();
+    }
+    
+    Metrics.stopRecording();
+    return Metrics.getSamples().slice();
+}
+
+/**
+ * Run every combination of the sweep and write the collected metrics
+ */
+async function run() {
+    if (!args.sweep) {
+        throw new Error("Give a sweep file with --sweep");
+    }
+    
+    const runs = loadSweep(args.sweep);
+    const variableColumns = Object.keys(runs[0]?.variables ?? {});
+    const metricColumns = [];
+    const rows = [];
+    const summaryRows = [];
+    
+    try {
+        for (const [index, { variables, scenario }] of runs.entries()) {
+            console.log(`Run ${index + 1}/${runs.length}: ${JSON.stringify(variables)}`);
+            const samples = await runScenario(scenario);
+            
+            // Strains may differ between runs, so collect every metric seen
+            Metrics.getMetricColumns().forEach(column => {
+                if (!metricColumns.includes(column)) {
+                    metricColumns.push(column);
+                }
+            });
+            
+            const prefix = { run: index + 1, ...variables };
+            samples.forEach(sample => rows.push({ ...prefix, ...sample }));
+            summaryRows.push({ ...prefix, ...samples[samples.length - 1] });
+        }
+    } finally {
+        SimulationManager.cleanupSimulation();
+    }
+    
+    const columns = ['run', ...variableColumns, ...metricColumns];
+    writeFileSync(args.out, toCSV(columns, rows));
+    writeFileSync(args.summary, toCSV(columns, summaryRows));
+    
+    console.log(`Sweep finished: ${runs.length} runs written to ${args.out} and ${args.summary}`);
+}
+
+run().catch(error => {
+    console.error("Sweep failed:", error);
+    process.exitCode = 1;
+});
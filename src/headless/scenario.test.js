@@ -0,0 +1,75 @@
+/**
+ * Tests for scenario validation and sweep expansion
+ *
+ * Run with:
+ *   node --test src/headless/
+ */
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Map the browser import map onto Node before any simulation code loads
+register('./importMapHooks.js', import.meta.url);
+
+const Scenario = await import('../simulation/scenario.js');
+
+const BASE_SCENARIO = {
+    format: Scenario.SCENARIO_FORMAT,
+    version: Scenario.SCENARIO_VERSION,
+    seed: 1,
+    population: { count: 20 },
+    parameters: { motilityStrength: 0.3 }
+};
+
+test('a minimal scenario is valid', () => {
+    assert.doesNotThrow(() => Scenario.validateScenario(BASE_SCENARIO));
+});
+
+test('an invalid scenario is rejected with every problem listed', () => {
+    const scenario = {
+        ...BASE_SCENARIO,
+        format: 'something-else',
+        population: { count: -5 },
+        colour: 'red'
+    };
+    assert.throws(() => Scenario.validateScenario(scenario), error => {
+        assert.match(error.message, /^Invalid scenario:/);
+        assert.match(error.message, /scenario\.format/);
+        assert.match(error.message, /scenario\.population\.count/);
+        assert.match(error.message, /scenario\.colour is not a known setting/);
+        return true;
+    });
+
+    assert.throws(
+        () => Scenario.validateScenario({ ...BASE_SCENARIO, parameters: { noSuchParameter: 1 } }),
+        /scenario\.parameters\.noSuchParameter is not a known parameter/
+    );
+    assert.throws(() => Scenario.parseScenario('{"format": "ageent-scenario"}'), /Invalid scenario/);
+});
+
+test('a sweep expands to one run per combination', () => {
+    const runs = Scenario.expandSweep(BASE_SCENARIO, {
+        'parameters.motilityStrength': [0.1, 0.3, 0.5],
+        'population.count': { from: 20, to: 80, steps: 4 },
+        seed: [1, 2]
+    });
+
+    assert.equal(runs.length, 3 * 4 * 2);
+    assert.deepEqual(runs[0].variables, {
+        'parameters.motilityStrength': 0.1,
+        'population.count': 20,
+        seed: 1
+    });
+    // The last path varies fastest
+    assert.equal(runs[1].variables.seed, 2);
+    assert.equal(runs[2].variables['population.count'], 40);
+    assert.deepEqual(runs.at(-1).scenario.population, { count: 80 });
+    assert.equal(runs.at(-1).scenario.parameters.motilityStrength, 0.5);
+    // The base scenario is left untouched
+    assert.equal(BASE_SCENARIO.population.count, 20);
+
+    assert.equal(Scenario.expandSweep(BASE_SCENARIO, {}).length, 1);
+    assert.throws(() => Scenario.expandSweep(BASE_SCENARIO, { seed: [] }), /Sweep of seed has no values/);
+    assert.throws(() => Scenario.expandSweep(BASE_SCENARIO, { 'population.count': [-1] }), /Invalid scenario/);
+});
@@ -0,0 +1,181 @@
+/**
+ * Adhesion module for AgeEnt
+ * 
+ * Models the attachment that keeps a monolayer together: short-range
+ * springs between the surfaces of neighbouring bacteria, and a drag term
+ * for cells attached to the substrate. Springs rest where two surfaces
+ * touch, so touching cells resist being pulled apart; their pull grows with
+ * the gap up to half the adhesion range and then tapers off to nothing at
+ * the range, so it never jumps as cells drift apart. Both strengths are scaled
+ * per phenotype, so e.g. matrix producers stick harder than motile cells,
+ * and springs are further scaled by each cell's own adhesion trait, which
+ * its strain sets.
+ */
+
+import * as Physics from './physics.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Geometry from './geometry.js';
+
+// Adhesion parameters
+const DEFAULT_ADHESION_STRENGTH = 2.0; // Spring stiffness between cell surfaces
+const DEFAULT_ADHESION_RANGE = 0.5; // Surface gap at which springs break
+const DEFAULT_SUBSTRATE_DRAG = 1.0; // Linear drag coefficient of attached cells
+const ROTATIONAL_DRAG_FACTOR = 2.0; // Rotational drag relative to linear drag
+let adhesionStrength = DEFAULT_ADHESION_STRENGTH;
+let adhesionRange = DEFAULT_ADHESION_RANGE;
+let substrateDrag = DEFAULT_SUBSTRATE_DRAG;
+
+/**
+ * Apply cell-cell adhesion springs and substrate drag to all bacteria
+ * 
+ * The net adhesion force on each cell is stored in bacterium.forces.adhesion
+ * so it can be displayed.
+ * @param {Array<Object>} bacteria - The bacterium entities
+ */
+export function applyAdhesionForces(bacteria) {
+    const byPhysicsEntity = new Map();
+    const transforms = new Map();
+    
+    bacteria.forEach(bacterium => {
+        byPhysicsEntity.set(bacterium.physicsEntity, bacterium);
+        transforms.set(bacterium, Physics.getBodyTransform(bacterium.physicsEntity.rigidBody));
+        bacterium.forces.adhesion = { x: 0, y: 0 };
+    });
+    
+    bacteria.forEach(bacterium => {
+        const rigidBody = bacterium.physicsEntity.rigidBody;
+        const transform = transforms.get(bacterium);
+        const traits = GeneExpression.getPhenotypeTraits(bacterium.geneState.phenotype);
+        
+        // Cell-cell springs; each pair is handled by the cell with the lower ID
+        if (adhesionStrength > 0 && adhesionRange > 0) {
+            Physics.findNearbyBodies(bacterium.physicsEntity, adhesionRange, (otherEntity) => {
+                const other = byPhysicsEntity.get(otherEntity);
+                if (!other || other.id < bacterium.id) return;
+                applySpring(bacterium, transform, other, transforms.get(other), traits);
+            });
+        }
+        
+        // Substrate attachment resists sliding and spinning
+        const drag = substrateDrag * traits.substrateAttachment;
+        if (drag > 0) {
+            const velocity = rigidBody.linvel();
+            const dragForce = { x: -velocity.x * drag, y: -velocity.y * drag };
+            Physics.applyForce(rigidBody, dragForce);
+            Physics.applyTorque(rigidBody, -rigidBody.angvel() * drag * ROTATIONAL_DRAG_FACTOR);
+            
+            bacterium.forces.adhesion.x += dragForce.x;
+            bacterium.forces.adhesion.y += dragForce.y;
+        }
+    });
+}
+
+/**
+ * Get the spring force between two surfaces for a given gap
+ * @param {number} gap - Distance between the surfaces (negative where they overlap)
+ * @param {number} stiffness - Spring stiffness
+ * @returns {number} Attraction (negative for repulsion)
+ */
+function springForce(gap, stiffness) {
+    const peak = adhesionRange / 2;
+    if (gap <= peak) return stiffness * gap;
+    return stiffness * peak * Math.max(0, adhesionRange - gap) / (adhesionRange - peak);
+}
+
+/**
+ * Hold two touching or nearby cells together at their closest surface points
+ * @param {Object} a - First bacterium
+ * @param {Object} transformA - Transform of the first bacterium
+ * @param {Object} b - Second bacterium
+ * @param {Object} transformB - Transform of the second bacterium
+ * @param {Object} traitsA - Phenotype traits of the first bacterium
+ */
+function applySpring(a, transformA, b, transformB, traitsA) {
+    const { pointA, pointB } = Geometry.closestPointsBetweenSegments(
+        Geometry.getCellSegment(a, transformA),
+        Geometry.getCellSegment(b, transformB)
+    );
+    
+    const dx = pointB.x - pointA.x;
+    const dy = pointB.y - pointA.y;
+    const distance = Math.hypot(dx, dy);
+    const gap = distance - a.radius - b.radius;
+    
+    // Springs act from overlap up to the adhesion range
+    if (gap >= adhesionRange || distance < 1e-9) return;
+    
+    const traitsB = GeneExpression.getPhenotypeTraits(b.geneState.phenotype);
+    const stiffness = adhesionStrength
+        * (traitsA.adhesion + traitsB.adhesion) / 2
+        * (a.adhesion + b.adhesion) / 2;
+    const magnitude = springForce(gap, stiffness);
+    const force = { x: dx / distance * magnitude, y: dy / distance * magnitude };
+    
+    // Apply at the surface points so the spring also aligns the cells
+    const surfaceA = { x: pointA.x + dx / distance * a.radius, y: pointA.y + dy / distance * a.radius };
+    const surfaceB = { x: pointB.x - dx / distance * b.radius, y: pointB.y - dy / distance * b.radius };
+    Physics.applyForceAtPoint(a.physicsEntity.rigidBody, force, surfaceA);
+    Physics.applyForceAtPoint(b.physicsEntity.rigidBody, { x: -force.x, y: -force.y }, surfaceB);
+    
+    a.forces.adhesion.x += force.x;
+    a.forces.adhesion.y += force.y;
+    b.forces.adhesion.x -= force.x;
+    b.forces.adhesion.y -= force.y;
+}
+
+/**
+ * Set the global cell-cell adhesion strength
+ * @param {number} strength - Spring stiffness (scaled per phenotype)
+ */
+export function setAdhesionStrength(strength) {
+    adhesionStrength = Math.max(0, strength);
+}
+
+/**
+ * Get the global cell-cell adhesion strength
+ * @returns {number} Spring stiffness
+ */
+export function getAdhesionStrength() {
+    return adhesionStrength;
+}
+
+/**
+ * Set the range of cell-cell adhesion
+ * @param {number} range - Largest surface gap at which cells attract
+ */
+export function setAdhesionRange(range) {
+    adhesionRange = Math.max(0, range);
+}
+
+/**
+ * Get the range of cell-cell adhesion
+ * @returns {number} Largest surface gap at which cells attract
+ */
+export function getAdhesionRange() {
+    return adhesionRange;
+}
+
+/**
+ * Set the global substrate drag coefficient
+ * @param {number} drag - Drag coefficient (scaled per phenotype)
+ */
+export function setSubstrateDrag(drag) {
+    substrateDrag = Math.max(0, drag);
+}
+
+/**
+ * Get the global substrate drag coefficient
+ * @returns {number} Drag coefficient
+ */
+export function getSubstrateDrag() {
+    return substrateDrag;
+}
+
+/**
+ * Restore the default adhesion parameters
+ */
+export function resetAdhesion() {
+    adhesionStrength = DEFAULT_ADHESION_STRENGTH;
+    adhesionRange = DEFAULT_ADHESION_RANGE;
+    substrateDrag = DEFAULT_SUBSTRATE_DRAG;
+}
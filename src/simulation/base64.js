@@ -0,0 +1,35 @@
+/**
+ * Base64 helpers for AgeEnt
+ * 
+ * Binary data, such as recording keyframes and saved physics worlds, is
+ * stored in JSON files as base64 text.
+ */
+
+const BASE64_CHUNK = 0x8000; // Bytes converted per String.fromCharCode call
+
+/**
+ * Encode bytes as base64 text
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let start = 0; start < bytes.length; start += BASE64_CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(start, start + BASE64_CHUNK));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 text into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} The bytes
+ */
+export function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
@@ -0,0 +1,248 @@
+/**
+ * Chemistry module for AgeEnt
+ *
+ * Owns the chemical fields of the simulation: a nutrient that bacteria
+ * consume, an attractant that they secrete and a quorum-sensing signal
+ * (autoinducer). All diffuse and decay over the domain, and bacteria bias
+ * their tumbling by the nutrient and attractant gradients they sense along
+ * their heading, so that chemotaxis emerges from run-and-tumble.
+ */
+
+import * as ChemicalField from './chemicalField.js';
+
+// Field defaults (overridable through initChemistry options)
+const DEFAULT_FIELD_CONFIG = {
+    resolution: 64,
+    nutrient: { diffusion: 1.0, decay: 0, initialValue: 1 },
+    attractant: { diffusion: 2.0, decay: 0.05, initialValue: 0 },
+    signal: { diffusion: 5.0, decay: 0.1, initialValue: 0 }
+};
+export const FIELD_NAMES = ['nutrient', 'attractant', 'signal'];
+const CHEMOTACTIC_FIELDS = ['nutrient', 'attractant'];
+
+// Cell-field interaction parameters
+const DEFAULT_CHEMOTACTIC_SENSITIVITY = 50; // Tumble suppression per unit of sensed gradient
+const DEFAULT_NUTRIENT_UPTAKE = 0.05; // Amount consumed per cell per second
+const DEFAULT_ATTRACTANT_SECRETION = 0.02; // Amount secreted per cell per second
+const MAX_TUMBLE_BIAS = 5; // Cap on the exponent of the tumble bias
+let chemotacticSensitivity = DEFAULT_CHEMOTACTIC_SENSITIVITY;
+let nutrientUptakeRate = DEFAULT_NUTRIENT_UPTAKE;
+let attractantSecretionRate = DEFAULT_ATTRACTANT_SECRETION;
+
+// Field state
+let fieldConfig = DEFAULT_FIELD_CONFIG;
+let fields = {};
+
+/**
+ * Create the chemical fields over the simulation domain
+ * @param {number} worldSize - Size of the square domain
+ * @param {Object} [config] - Field configuration overriding the defaults
+ * @param {number} [config.resolution] - Grid cells along each axis
+ * @param {Object} [config.nutrient] - {diffusion, decay, initialValue} of the nutrient
+ * @param {Object} [config.attractant] - {diffusion, decay, initialValue} of the attractant
+ * @param {Object} [config.signal] - {diffusion, decay, initialValue} of the autoinducer signal
+ */
+export function initChemistry(worldSize, config = {}) {
+    fieldConfig = {
+        resolution: config.resolution ?? DEFAULT_FIELD_CONFIG.resolution,
+        nutrient: { ...DEFAULT_FIELD_CONFIG.nutrient, ...config.nutrient },
+        attractant: { ...DEFAULT_FIELD_CONFIG.attractant, ...config.attractant },
+        signal: { ...DEFAULT_FIELD_CONFIG.signal, ...config.signal }
+    };
+
+    fields = {};
+    FIELD_NAMES.forEach(name => {
+        fields[name] = ChemicalField.createField({
+            name,
+            worldSize,
+            resolution: fieldConfig.resolution,
+            ...fieldConfig[name]
+        });
+    });
+}
+
+/**
+ * Let a bacterium consume nutrient and secrete attractant at its position
+ * @param {Object} position - Position of the bacterium {x, y}
+ * @param {number} dt - Time step in seconds
+ */
+export function exchangeWithFields(position, dt) {
+    if (fields.nutrient) {
+        ChemicalField.addToField(fields.nutrient, position.x, position.y, -nutrientUptakeRate * dt);
+    }
+    if (fields.attractant) {
+        ChemicalField.addToField(fields.attractant, position.x, position.y, attractantSecretionRate * dt);
+    }
+}
+
+/**
+ * Get the factor by which a bacterium's tumble rate is scaled by chemotaxis
+ *
+ * Cells heading up the combined nutrient and attractant gradient tumble
+ * less and keep running; cells heading down it tumble more.
+ * @param {Object} position - Position of the bacterium {x, y}
+ * @param {number} heading - Heading angle in radians
+ * @returns {number} Multiplier for the tumble probability
+ */
+export function getTumbleBias(position, heading) {
+    let sensed = 0;
+    CHEMOTACTIC_FIELDS.forEach(name => {
+        const field = fields[name];
+        if (!field) return;
+        
+        const gradient = ChemicalField.sampleGradient(field, position.x, position.y);
+        sensed += gradient.x * Math.cos(heading) + gradient.y * Math.sin(heading);
+    });
+
+    const exponent = Math.max(-MAX_TUMBLE_BIAS, Math.min(MAX_TUMBLE_BIAS, chemotacticSensitivity * sensed));
+    return Math.exp(-exponent);
+}
+
+/**
+ * Get the concentration of a field at a position
+ * @param {string} name - Field name
+ * @param {Object} position - Position {x, y}
+ * @returns {number} Concentration (0 if the field does not exist)
+ */
+export function senseField(name, position) {
+    const field = fields[name];
+    return field ? ChemicalField.sampleField(field, position.x, position.y) : 0;
+}
+
+/**
+ * Secrete into (positive amount) or take up from (negative amount) a field
+ * @param {string} name - Field name
+ * @param {Object} position - Position {x, y}
+ * @param {number} amount - Amount of substance
+ * @returns {number} The amount actually exchanged
+ */
+export function exchangeWithField(name, position, amount) {
+    const field = fields[name];
+    return field ? ChemicalField.addToField(field, position.x, position.y, amount) : 0;
+}
+
+/**
+ * Advance diffusion and decay of all fields
+ * @param {number} dt - Time step in seconds
+ */
+export function stepChemistry(dt) {
+    Object.values(fields).forEach(field => ChemicalField.stepField(field, dt));
+}
+
+/**
+ * Restore every field to its initial uniform concentration
+ */
+export function resetChemistry() {
+    Object.entries(fields).forEach(([name, field]) => {
+        field.values.fill(fieldConfig[name].initialValue);
+    });
+    chemotacticSensitivity = DEFAULT_CHEMOTACTIC_SENSITIVITY;
+    nutrientUptakeRate = DEFAULT_NUTRIENT_UPTAKE;
+    attractantSecretionRate = DEFAULT_ATTRACTANT_SECRETION;
+}
+
+/**
+ * Set a field to the same concentration everywhere, e.g. for a change of medium
+ * @param {string} name - Field name
+ * @param {number} value - New concentration
+ */
+export function fillField(name, value) {
+    const field = fields[name];
+    if (!field) {
+        console.error(`Unknown chemical field: ${name}`);
+        return;
+    }
+    field.values.fill(Math.max(0, value));
+}
+
+/**
+ * Get the configuration and concentrations of all fields, e.g. for a snapshot
+ * @returns {Object} State {config, values: {name: Array<number>}}
+ */
+export function getChemistryState() {
+    const values = {};
+    Object.entries(fields).forEach(([name, field]) => {
+        values[name] = Array.from(field.values);
+    });
+    return { config: JSON.parse(JSON.stringify(fieldConfig)), values };
+}
+
+/**
+ * Recreate the fields from a state returned by getChemistryState
+ * @param {number} worldSize - Size of the square domain
+ * @param {Object} state - Saved state {config, values}
+ */
+export function setChemistryState(worldSize, state) {
+    initChemistry(worldSize, state.config);
+    Object.entries(state.values ?? {}).forEach(([name, values]) => {
+        const field = fields[name];
+        if (field && field.values.length === values.length) {
+            field.values.set(values);
+        }
+    });
+}
+
+/**
+ * Get a chemical field by name (e.g. for rendering)
+ * @param {string} name - Field name ('nutrient', 'attractant' or 'signal')
+ * @returns {Object} The field, or null if it does not exist
+ */
+export function getField(name) {
+    return fields[name] ?? null;
+}
+
+/**
+ * Get the names of all chemical fields
+ * @returns {Array<string>} Field names
+ */
+export function getFieldNames() {
+    return Object.keys(fields);
+}
+
+/**
+ * Set how strongly sensed gradients bias tumbling
+ * @param {number} sensitivity - Chemotactic sensitivity (0 disables chemotaxis)
+ */
+export function setChemotacticSensitivity(sensitivity) {
+    chemotacticSensitivity = Math.max(0, sensitivity);
+}
+
+/**
+ * Get the chemotactic sensitivity
+ * @returns {number} Chemotactic sensitivity
+ */
+export function getChemotacticSensitivity() {
+    return chemotacticSensitivity;
+}
+
+/**
+ * Set the per-cell nutrient uptake rate
+ * @param {number} rate - Amount consumed per cell per second
+ */
+export function setNutrientUptakeRate(rate) {
+    nutrientUptakeRate = Math.max(0, rate);
+}
+
+/**
+ * Get the per-cell nutrient uptake rate
+ * @returns {number} Amount consumed per cell per second
+ */
+export function getNutrientUptakeRate() {
+    return nutrientUptakeRate;
+}
+
+/**
+ * Set the per-cell attractant secretion rate
+ * @param {number} rate - Amount secreted per cell per second
+ */
+export function setAttractantSecretionRate(rate) {
+    attractantSecretionRate = Math.max(0, rate);
+}
+
+/**
+ * Get the per-cell attractant secretion rate
+ * @returns {number} Amount secreted per cell per second
+ */
+export function getAttractantSecretionRate() {
+    return attractantSecretionRate;
+}
@@ -0,0 +1,138 @@
+/**
+ * Simulation clock for AgeEnt
+ *
+ * Decouples simulated time from the display refresh rate: real elapsed time
+ * is accumulated and consumed in fixed physics steps, scaled by a speed
+ * multiplier. Pausing stops the stepping without affecting rendering.
+ */
+
+import { PHYSICS_STEP } from './physics.js';
+
+// Constants
+export const FIXED_STEP = PHYSICS_STEP;
+const DEFAULT_SPEED = 1;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 20;
+const MAX_FRAME_TIME = 0.1; // Longest real frame we catch up on (e.g. after tab throttling)
+const MAX_SUBSTEPS = Math.ceil(MAX_SPEED * MAX_FRAME_TIME / FIXED_STEP);
+
+// Clock state
+let speed = DEFAULT_SPEED;
+let paused = false;
+let accumulator = 0;
+let elapsedTime = 0;
+let stepCount = 0;
+
+/**
+ * Advance the clock by a frame of real time, running whole fixed steps
+ * @param {number} realDelta - Real time since the previous frame, in seconds
+ * @param {Function} step - Called once per fixed step with the step size
+ * @returns {number} Number of steps that were run
+ */
+export function advanceClock(realDelta, step) {
+    if (paused) return 0;
+
+    accumulator += Math.min(Math.max(realDelta, 0), MAX_FRAME_TIME) * speed;
+
+    let substeps = 0;
+    while (accumulator >= FIXED_STEP && substeps < MAX_SUBSTEPS) {
+        step(FIXED_STEP);
+        accumulator -= FIXED_STEP;
+        elapsedTime += FIXED_STEP;
+        stepCount++;
+        substeps++;
+    }
+
+    // Drop time we could not catch up on rather than spiralling
+    if (substeps === MAX_SUBSTEPS) {
+        accumulator = Math.min(accumulator, FIXED_STEP);
+    }
+
+    return substeps;
+}
+
+/**
+ * Set the simulation speed multiplier
+ * @param {number} multiplier - Simulated seconds per real second (0.25-20)
+ */
+export function setSpeed(multiplier) {
+    speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, multiplier));
+}
+
+/**
+ * Restore the default simulation speed
+ */
+export function resetSpeed() {
+    speed = DEFAULT_SPEED;
+}
+
+/**
+ * Get the simulation speed multiplier
+ * @returns {number} Simulated seconds per real second
+ */
+export function getSpeed() {
+    return speed;
+}
+
+/**
+ * Pause or resume stepping
+ * @param {boolean} value - Whether the simulation should be paused
+ */
+export function setPaused(value) {
+    paused = Boolean(value);
+    // Do not replay the time spent paused
+    accumulator = 0;
+}
+
+/**
+ * Toggle the pause state
+ * @returns {boolean} Whether the simulation is now paused
+ */
+export function togglePause() {
+    setPaused(!paused);
+    return paused;
+}
+
+/**
+ * Check whether the simulation is paused
+ * @returns {boolean} True if paused
+ */
+export function isPaused() {
+    return paused;
+}
+
+/**
+ * Get the simulated time elapsed since the last reset
+ * @returns {number} Simulated time in seconds
+ */
+export function getElapsedTime() {
+    return elapsedTime;
+}
+
+/**
+ * Get the number of fixed steps run since the last reset
+ * @returns {number} Step count
+ */
+export function getStepCount() {
+    return stepCount;
+}
+
+/**
+ * Reset the elapsed time and pending accumulated time
+ */
+export function resetClock() {
+    accumulator = 0;
+    elapsedTime = 0;
+    stepCount = 0;
+}
+
+/**
+ * Restore the elapsed time and step count, e.g. when loading a snapshot
+ * @param {number} time - Simulated time in seconds
+ * @param {number} steps - Number of fixed steps run
+ */
+export function restoreClock(time, steps) {
+    accumulator = 0;
+    elapsedTime = time;
+    stepCount = steps;
+}
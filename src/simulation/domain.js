@@ -0,0 +1,306 @@
+/**
+ * Domain geometry for AgeEnt
+ * 
+ * Describes the space the bacteria live in with declarative layouts: an
+ * enclosing arena (square, circular or any polygon), solid obstacles inside
+ * it and open-ended channels formed by pairs of parallel walls. Layouts are
+ * plain objects whose coordinates are fractions of half the world size, so
+ * {x: 1, y: 1} is always the corner of the square world and the same layout
+ * scales with WORLD_SIZE.
+ * 
+ * buildDomain turns a layout into concrete geometry: the polygons involved
+ * and the list of straight wall segments the physics builds colliders from.
+ */
+
+import * as Random from './random.js';
+
+// Wall and sampling parameters
+export const WALL_THICKNESS = 1.0; // Thickness of every wall, in world units
+const DEFAULT_CIRCLE_SEGMENTS = 48; // Straight walls used to approximate a circle
+const MAX_SPAWN_ATTEMPTS = 1000; // Rejection-sampling attempts for a free position
+
+// Built-in layouts, selectable by name
+export const DOMAIN_LAYOUTS = {
+    box: {
+        label: 'Square Box',
+        boundary: { type: 'box' }
+    },
+    circle: {
+        label: 'Circular Arena',
+        boundary: { type: 'circle', radius: 1 }
+    },
+    hexagon: {
+        label: 'Hexagonal Arena',
+        boundary: {
+            type: 'polygon',
+            points: [
+                { x: 1, y: 0 }, { x: 0.5, y: 0.866 }, { x: -0.5, y: 0.866 },
+                { x: -1, y: 0 }, { x: -0.5, y: -0.866 }, { x: 0.5, y: -0.866 }
+            ]
+        }
+    },
+    obstacles: {
+        label: 'Box with Obstacles',
+        boundary: { type: 'box' },
+        obstacles: [
+            { type: 'circle', position: { x: -0.5, y: 0.5 }, radius: 0.15 },
+            { type: 'circle', position: { x: 0.5, y: -0.5 }, radius: 0.15 },
+            { type: 'circle', position: { x: 0.5, y: 0.5 }, radius: 0.1, segments: 16 },
+            { type: 'box', position: { x: -0.5, y: -0.5 }, size: { width: 0.3, height: 0.1 }, angle: Math.PI / 4 },
+            {
+                type: 'polygon',
+                points: [{ x: -0.1, y: -0.1 }, { x: 0.15, y: 0 }, { x: -0.1, y: 0.1 }]
+            }
+        ]
+    },
+    channels: {
+        label: 'Microfluidic Channels',
+        boundary: { type: 'box' },
+        channels: [
+            { from: { x: -0.7, y: 0.4 }, to: { x: 0.7, y: 0.4 }, width: 0.12 },
+            { from: { x: -0.7, y: 0 }, to: { x: 0.7, y: 0 }, width: 0.08 },
+            { from: { x: -0.7, y: -0.4 }, to: { x: 0.7, y: -0.4 }, width: 0.04 }
+        ]
+    },
+    open: {
+        label: 'Open (No Walls)',
+        boundary: { type: 'none' }
+    }
+};
+export const DEFAULT_DOMAIN_LAYOUT = 'box';
+
+/**
+ * Get the names of the built-in layouts
+ * @returns {Array<string>} Layout names
+ */
+export function getDomainLayoutNames() {
+    return Object.keys(DOMAIN_LAYOUTS);
+}
+
+/**
+ * Turn a layout into concrete geometry for a world of the given size
+ * @param {string|Object} layout - Name of a built-in layout or a layout object
+ * @param {number} worldSize - Size of the square world
+ * @returns {Object} Geometry {name, worldSize, layout, boundary, obstacles, walls},
+ *   where layout is the layout object it was built from, boundary is the arena
+ *   polygon (null if open), obstacles are polygons and walls are segments
+ *   {start, end} along the wall center lines
+ */
+export function buildDomain(layout, worldSize) {
+    const name = typeof layout === 'string' ? layout : (layout.name ?? 'custom');
+    const definition = typeof layout === 'string' ? DOMAIN_LAYOUTS[layout] : layout;
+    if (!definition) {
+        throw new Error(`Unknown domain layout: ${layout}`);
+    }
+    
+    const scale = worldSize / 2;
+    const geometry = {
+        name,
+        worldSize,
+        layout: { ...definition, name },
+        boundary: null,
+        obstacles: [],
+        walls: []
+    };
+    
+    // The arena's walls sit just outside its polygon, so the whole polygon is free space
+    const boundary = createPolygon(definition.boundary ?? { type: 'box' }, scale);
+    if (boundary) {
+        geometry.boundary = boundary;
+        geometry.walls.push(...polygonWalls(boundary, WALL_THICKNESS / 2));
+    }
+    
+    // Obstacles are walled in along their outline, with the walls outside the solid
+    (definition.obstacles ?? []).forEach(obstacle => {
+        const polygon = createPolygon(obstacle, scale);
+        if (!polygon) return;
+        
+        geometry.obstacles.push(polygon);
+        geometry.walls.push(...polygonWalls(polygon, -WALL_THICKNESS / 2));
+    });
+    
+    // A channel is a pair of walls either side of its center line, open at both ends
+    (definition.channels ?? []).forEach(channel => {
+        const start = scalePoint(channel.from, scale);
+        const end = scalePoint(channel.to, scale);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length === 0) return;
+        
+        const offset = (channel.width * scale + WALL_THICKNESS) / 2;
+        const normal = { x: -(end.y - start.y) / length * offset, y: (end.x - start.x) / length * offset };
+        [-1, 1].forEach(side => {
+            geometry.walls.push({
+                start: { x: start.x + normal.x * side, y: start.y + normal.y * side },
+                end: { x: end.x + normal.x * side, y: end.y + normal.y * side }
+            });
+        });
+    });
+    
+    return geometry;
+}
+
+/**
+ * Scale a point given in layout units into world units
+ * @param {Object} point - Point {x, y} in fractions of half the world size
+ * @param {number} scale - Half the world size
+ * @returns {Object} Point {x, y} in world units
+ */
+function scalePoint(point, scale) {
+    return { x: point.x * scale, y: point.y * scale };
+}
+
+/**
+ * Build the counter-clockwise polygon of a shape
+ * @param {Object} shape - Shape {type: 'box'|'circle'|'polygon'|'none', ...}
+ * @param {number} scale - Half the world size
+ * @returns {Array<Object>} Polygon points in world units, or null for 'none'
+ */
+function createPolygon(shape, scale) {
+    const center = scalePoint(shape.position ?? { x: 0, y: 0 }, scale);
+    let points;
+    
+    switch (shape.type) {
+        case 'box': {
+            const halfWidth = (shape.size?.width ?? 2) * scale / 2;
+            const halfHeight = (shape.size?.height ?? 2) * scale / 2;
+            const angle = shape.angle ?? 0;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            points = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({
+                x: center.x + u * halfWidth * cos - v * halfHeight * sin,
+                y: center.y + u * halfWidth * sin + v * halfHeight * cos
+            }));
+            break;
+        }
+        case 'circle': {
+            const radius = (shape.radius ?? 1) * scale;
+            const segments = shape.segments ?? DEFAULT_CIRCLE_SEGMENTS;
+            points = [];
+            for (let i = 0; i < segments; i++) {
+                const angle = i / segments * Math.PI * 2;
+                points.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+            }
+            break;
+        }
+        case 'polygon':
+            points = shape.points.map(point => {
+                const scaled = scalePoint(point, scale);
+                return { x: center.x + scaled.x, y: center.y + scaled.y };
+            });
+            break;
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown domain shape: ${shape.type}`);
+    }
+    
+    return signedArea(points) < 0 ? points.reverse() : points;
+}
+
+/**
+ * Get the signed area of a polygon (positive when counter-clockwise)
+ * @param {Array<Object>} points - Polygon points
+ * @returns {number} Signed area
+ */
+function signedArea(points) {
+    let area = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    return area / 2;
+}
+
+/**
+ * Build the wall segments along the edges of a counter-clockwise polygon
+ * @param {Array<Object>} points - Polygon points
+ * @param {number} offset - Distance to shift walls outward (negative shifts inward)
+ * @returns {Array<Object>} Wall segments {start, end}
+ */
+function polygonWalls(points, offset) {
+    return points.map((start, i) => {
+        const end = points[(i + 1) % points.length];
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        
+        // Outward normal of a counter-clockwise edge
+        const normal = { x: (end.y - start.y) / length * offset, y: -(end.x - start.x) / length * offset };
+        return {
+            start: { x: start.x + normal.x, y: start.y + normal.y },
+            end: { x: end.x + normal.x, y: end.y + normal.y }
+        };
+    });
+}
+
+/**
+ * Check whether a point lies inside a polygon
+ * @param {Array<Object>} points - Polygon points
+ * @param {Object} point - Point {x, y}
+ * @returns {boolean} True if the point is inside
+ */
+function polygonContains(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > point.y) !== (b.y > point.y)
+            && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Get the distance from a point to a segment
+ * @param {Object} point - Point {x, y}
+ * @param {Object} segment - Segment {start, end}
+ * @returns {number} Distance
+ */
+function distanceToSegment(point, { start, end }) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point.x - start.x - dx * t, point.y - start.y - dy * t);
+}
+
+/**
+ * Check whether a point is free space, at least a margin away from any wall
+ * @param {Object} geometry - Domain geometry from buildDomain
+ * @param {Object} point - Point {x, y}
+ * @param {number} [margin] - Clearance required from walls
+ * @returns {boolean} True if a body of that radius fits at the point
+ */
+export function isInsideDomain(geometry, point, margin = 0) {
+    const half = geometry.worldSize / 2;
+    if (Math.abs(point.x) > half - margin || Math.abs(point.y) > half - margin) return false;
+    if (geometry.boundary && !polygonContains(geometry.boundary, point)) return false;
+    if (geometry.obstacles.some(obstacle => polygonContains(obstacle, point))) return false;
+    
+    const clearance = margin + WALL_THICKNESS / 2;
+    return geometry.walls.every(wall => distanceToSegment(point, wall) >= clearance);
+}
+
+/**
+ * Draw a random free position in the domain
+ * @param {Object} geometry - Domain geometry from buildDomain
+ * @param {number} [margin] - Clearance required from walls
+ * @returns {Object} Position {x, y} (the center of the world if none was found)
+ */
+export function randomPositionInDomain(geometry, margin = 0) {
+    const half = geometry.worldSize / 2;
+    for (let attempt = 0; attempt < MAX_SPAWN_ATTEMPTS; attempt++) {
+        const point = {
+            x: (Random.random() - 0.5) * half * 2,
+            y: (Random.random() - 0.5) * half * 2
+        };
+        if (isInsideDomain(geometry, point, margin)) {
+            return point;
+        }
+    }
+    
+    console.error(`No free position found in domain "${geometry.name}"`);
+    return { x: 0, y: 0 };
+}
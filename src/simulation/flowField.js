@@ -0,0 +1,311 @@
+/**
+ * Flow field module for AgeEnt
+ * 
+ * Models the fluid the colony sits in as a steady velocity field over the
+ * simulation plane, chosen from a set of profiles or loaded from a grid
+ * file. Each bacterium feels Stokes drag towards the local fluid velocity,
+ * evaluated separately at its two poles: drag across a rod is about twice
+ * the drag along it, so the force depends on the cell's orientation, and
+ * differences in flow between the poles (shear, vorticity) turn the cell.
+ * 
+ * Profiles (x runs along the channel, y across it, origin at the center):
+ *   uniform     u = (U, 0)
+ *   poiseuille  u = (U (1 - (2y / W)^2), 0)        parabolic channel flow
+ *   shear       u = (U 2y / W, 0)                  linear (Couette) shear
+ *   vortex      Rankine vortex about the origin with core radius W / 4
+ *   grid        velocities read from a file, scaled by U
+ * where U is the flow speed and W the world size.
+ */
+
+import * as Physics from './physics.js';
+
+// Selectable profiles
+export const FLOW_PROFILES = {
+    none: { label: 'None' },
+    uniform: { label: 'Uniform' },
+    poiseuille: { label: 'Poiseuille Channel' },
+    shear: { label: 'Linear Shear' },
+    vortex: { label: 'Vortex' },
+    grid: { label: 'Grid File' }
+};
+
+// Flow parameters
+const DEFAULT_FLOW_PROFILE = 'none';
+const DEFAULT_FLOW_SPEED = 1; // Peak fluid speed, or scale of grid velocities
+const DEFAULT_FLOW_DRAG = 0.5; // Drag along the cell axis per unit of cell length
+const PERPENDICULAR_DRAG_RATIO = 2; // Drag across a slender rod relative to along it
+const VORTEX_CORE_FRACTION = 0.25; // Core radius of the vortex relative to the world size
+let flowProfile = DEFAULT_FLOW_PROFILE;
+let flowSpeed = DEFAULT_FLOW_SPEED;
+let flowDrag = DEFAULT_FLOW_DRAG;
+
+// Field state
+let worldSize = 100;
+let flowGrid = null; // Loaded grid {width, height, vx, vy}
+
+/**
+ * Set the size of the square world the profiles are laid over
+ * @param {number} size - World size
+ */
+export function initFlow(size) {
+    worldSize = size;
+}
+
+/**
+ * Get the fluid velocity at a point
+ * @param {Object} point - Position {x, y}
+ * @returns {Object} Velocity {x, y}
+ */
+export function sampleFlow(point) {
+    const half = worldSize / 2;
+    
+    switch (flowProfile) {
+        case 'uniform':
+            return { x: flowSpeed, y: 0 };
+        case 'poiseuille': {
+            const across = Math.min(1, Math.abs(point.y) / half);
+            return { x: flowSpeed * (1 - across * across), y: 0 };
+        }
+        case 'shear':
+            return { x: flowSpeed * Math.max(-1, Math.min(1, point.y / half)), y: 0 };
+        case 'vortex': {
+            // Solid-body rotation inside the core, decaying as 1/r outside it
+            const core = worldSize * VORTEX_CORE_FRACTION;
+            const r = Math.hypot(point.x, point.y);
+            if (r < 1e-9) return { x: 0, y: 0 };
+            const speed = flowSpeed * (r < core ? r / core : core / r);
+            return { x: -point.y / r * speed, y: point.x / r * speed };
+        }
+        case 'grid':
+            return sampleGrid(point);
+        default:
+            return { x: 0, y: 0 };
+    }
+}
+
+/**
+ * Interpolate the loaded grid bilinearly
+ * @param {Object} point - Position {x, y}
+ * @returns {Object} Velocity {x, y}, scaled by the flow speed
+ */
+function sampleGrid(point) {
+    if (!flowGrid) return { x: 0, y: 0 };
+    
+    // Grid nodes span the world from corner to corner
+    const { width, height, vx, vy } = flowGrid;
+    const gx = Math.max(0, Math.min(width - 1, (point.x / worldSize + 0.5) * (width - 1)));
+    const gy = Math.max(0, Math.min(height - 1, (point.y / worldSize + 0.5) * (height - 1)));
+    const i0 = Math.min(Math.floor(gx), width - 2);
+    const j0 = Math.min(Math.floor(gy), height - 2);
+    const tx = gx - i0;
+    const ty = gy - j0;
+    
+    const interpolate = values => {
+        const row0 = j0 * width;
+        const row1 = row0 + width;
+        const bottom = values[row0 + i0] * (1 - tx) + values[row0 + i0 + 1] * tx;
+        const top = values[row1 + i0] * (1 - tx) + values[row1 + i0 + 1] * tx;
+        return bottom * (1 - ty) + top * ty;
+    };
+    
+    return { x: interpolate(vx) * flowSpeed, y: interpolate(vy) * flowSpeed };
+}
+
+/**
+ * Apply the drag of the fluid to a bacterium
+ * 
+ * Half of the cell's drag acts at each pole, against the velocity of the
+ * pole relative to the fluid there, split into components along and across
+ * the cell axis.
+ * @param {Object} rigidBody - The bacterium's rigid body
+ * @param {Object} transform - Its transform {position, rotation}
+ * @param {number} length - Length of its cylindrical segment
+ * @returns {Object} Total drag force applied {x, y}
+ */
+export function applyFlowDrag(rigidBody, transform, length) {
+    const total = { x: 0, y: 0 };
+    if (flowProfile === 'none' || flowDrag === 0) return total;
+    
+    const velocity = Physics.getBodyVelocity(rigidBody);
+    const axis = { x: Math.cos(transform.rotation), y: Math.sin(transform.rotation) };
+    const parallelDrag = flowDrag * length / 2;
+    const perpendicularDrag = parallelDrag * PERPENDICULAR_DRAG_RATIO;
+    
+    [-1, 1].forEach(side => {
+        const arm = { x: axis.x * length / 2 * side, y: axis.y * length / 2 * side };
+        const pole = { x: transform.position.x + arm.x, y: transform.position.y + arm.y };
+        const fluid = sampleFlow(pole);
+        
+        // Velocity of the pole, including the spin of the body
+        const relative = {
+            x: fluid.x - (velocity.linear.x - velocity.angular * arm.y),
+            y: fluid.y - (velocity.linear.y + velocity.angular * arm.x)
+        };
+        const along = relative.x * axis.x + relative.y * axis.y;
+        const across = -relative.x * axis.y + relative.y * axis.x;
+        const force = {
+            x: parallelDrag * along * axis.x - perpendicularDrag * across * axis.y,
+            y: parallelDrag * along * axis.y + perpendicularDrag * across * axis.x
+        };
+        
+        Physics.applyForceAtPoint(rigidBody, force, pole);
+        total.x += force.x;
+        total.y += force.y;
+    });
+    
+    return total;
+}
+
+/**
+ * Sample the flow on a regular grid, e.g. for drawing it
+ * @param {number} resolution - Samples along each axis
+ * @returns {Float32Array} Four floats per sample: x, y, vx, vy
+ */
+export function sampleFlowGrid(resolution) {
+    const samples = new Float32Array(resolution * resolution * 4);
+    const spacing = worldSize / resolution;
+    
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            const point = {
+                x: -worldSize / 2 + (i + 0.5) * spacing,
+                y: -worldSize / 2 + (j + 0.5) * spacing
+            };
+            const velocity = sampleFlow(point);
+            samples.set([point.x, point.y, velocity.x, velocity.y], (j * resolution + i) * 4);
+        }
+    }
+    return samples;
+}
+
+/**
+ * Parse and check a flow grid file
+ * 
+ * The file is JSON: {"width": nx, "height": ny, "vx": [...], "vy": [...]},
+ * with nx * ny velocities per component in rows of constant y, from the
+ * bottom-left corner of the world to the top-right one.
+ * @param {string} text - File contents
+ * @returns {Object} Grid {width, height, vx, vy}
+ * @throws {Error} If the file is not a valid flow grid
+ */
+export function parseFlowGrid(text) {
+    const data = JSON.parse(text);
+    const width = Number(data.width);
+    const height = Number(data.height);
+    
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) {
+        throw new Error("Flow grid needs integer width and height of at least 2");
+    }
+    ['vx', 'vy'].forEach(component => {
+        if (!Array.isArray(data[component]) || data[component].length !== width * height) {
+            throw new Error(`Flow grid ${component} must hold width * height = ${width * height} values`);
+        }
+    });
+    
+    return {
+        width,
+        height,
+        vx: Float32Array.from(data.vx),
+        vy: Float32Array.from(data.vy)
+    };
+}
+
+/**
+ * Use a grid as the flow field
+ * @param {Object} grid - Grid from parseFlowGrid
+ */
+export function setFlowGrid(grid) {
+    flowGrid = grid;
+    flowProfile = 'grid';
+}
+
+/**
+ * Select the flow profile
+ * @param {string} profile - One of FLOW_PROFILES
+ */
+export function setFlowProfile(profile) {
+    if (!(profile in FLOW_PROFILES)) {
+        console.error(`Unknown flow profile: ${profile}`);
+        return;
+    }
+    if (profile === 'grid' && !flowGrid) {
+        console.error("Load a flow grid file before selecting the grid profile");
+        return;
+    }
+    flowProfile = profile;
+}
+
+/**
+ * Get the selected flow profile
+ * @returns {string} Profile name
+ */
+export function getFlowProfile() {
+    return flowProfile;
+}
+
+/**
+ * Set the flow speed
+ * @param {number} speed - Peak fluid speed, or the scale of grid velocities
+ */
+export function setFlowSpeed(speed) {
+    flowSpeed = speed;
+}
+
+/**
+ * Get the flow speed
+ * @returns {number} Flow speed
+ */
+export function getFlowSpeed() {
+    return flowSpeed;
+}
+
+/**
+ * Set the drag the fluid exerts on cells
+ * @param {number} drag - Drag along the cell axis per unit of cell length
+ */
+export function setFlowDrag(drag) {
+    flowDrag = drag;
+}
+
+/**
+ * Get the drag the fluid exerts on cells
+ * @returns {number} Drag per unit of cell length
+ */
+export function getFlowDrag() {
+    return flowDrag;
+}
+
+/**
+ * Get the flow settings that are not registered parameters, e.g. for snapshots
+ * @returns {Object} State {profile, grid}
+ */
+export function getFlowState() {
+    return {
+        profile: flowProfile,
+        grid: flowGrid ? {
+            width: flowGrid.width,
+            height: flowGrid.height,
+            vx: Array.from(flowGrid.vx),
+            vy: Array.from(flowGrid.vy)
+        } : null
+    };
+}
+
+/**
+ * Restore flow settings returned by getFlowState
+ * @param {Object} state - Saved state
+ */
+export function setFlowState(state) {
+    flowGrid = state.grid ? parseFlowGrid(JSON.stringify(state.grid)) : null;
+    flowProfile = DEFAULT_FLOW_PROFILE;
+    setFlowProfile(state.profile ?? DEFAULT_FLOW_PROFILE);
+}
+
+/**
+ * Turn the flow off and restore the default speed and drag
+ */
+export function resetFlow() {
+    flowProfile = DEFAULT_FLOW_PROFILE;
+    flowSpeed = DEFAULT_FLOW_SPEED;
+    flowDrag = DEFAULT_FLOW_DRAG;
+}
@@ -0,0 +1,162 @@
+/**
+ * Gene expression module for AgeEnt
+ *
+ * Gives every bacterium an internal state: an intracellular autoinducer
+ * level that follows the quorum-sensing signal around the cell, and a
+ * phenotype that switches on thresholds of that level and of the local
+ * nutrient. Phenotypes scale motility, tumbling, growth, signal output and
+ * adhesion.
+ */
+
+// Phenotypes a cell can be in
+export const PHENOTYPES = {
+    MOTILE: 'motile',
+    MATRIX_PRODUCER: 'matrixProducer',
+    DORMANT: 'dormant'
+};
+
+// Default switching rules and per-phenotype traits
+const DEFAULT_RULES = {
+    signalProductionRate: 0.2, // Autoinducer secreted per cell per second (scaled per phenotype)
+    signalUptakeRate: 1.0, // Rate at which the internal level follows the external signal
+    autoinducerDegradation: 1.0, // First-order decay of the internal level (per second)
+    quorumThreshold: 0.02, // Internal level above which motile cells start producing matrix
+    dormancyNutrientThreshold: 0.2, // Local nutrient below which cells go dormant
+    hysteresis: 0.25, // Relative margin a level must cross back before switching back
+    traits: {
+        motile: {
+            motility: 1, tumbleRate: 1, growthRate: 1, signalProduction: 1,
+            adhesion: 0.2, substrateAttachment: 0.1
+        },
+        matrixProducer: {
+            motility: 0.1, tumbleRate: 0.2, growthRate: 0.5, signalProduction: 2,
+            adhesion: 2, substrateAttachment: 2
+        },
+        dormant: {
+            motility: 0, tumbleRate: 0, growthRate: 0, signalProduction: 0,
+            adhesion: 1, substrateAttachment: 1
+        }
+    }
+};
+let rules = cloneRules(DEFAULT_RULES);
+
+/**
+ * Deep-copy a rules object so callers cannot mutate the active rules
+ * @param {Object} source - Rules to copy
+ * @returns {Object} The copy
+ */
+function cloneRules(source) {
+    return JSON.parse(JSON.stringify(source));
+}
+
+/**
+ * Create the initial gene-expression state of a cell
+ * @param {Object} [inherited] - State of the mother cell, copied if given
+ * @returns {Object} State {phenotype, autoinducer}
+ */
+export function createGeneState(inherited) {
+    return {
+        phenotype: inherited?.phenotype ?? PHENOTYPES.MOTILE,
+        autoinducer: inherited?.autoinducer ?? 0
+    };
+}
+
+/**
+ * Get the traits (multipliers) of a phenotype
+ * @param {string} phenotype - One of PHENOTYPES
+ * @returns {Object} Traits {motility, tumbleRate, growthRate, signalProduction, adhesion, substrateAttachment}
+ */
+export function getPhenotypeTraits(phenotype) {
+    return rules.traits[phenotype] ?? rules.traits[PHENOTYPES.MOTILE];
+}
+
+/**
+ * Get the amount of autoinducer a cell secretes over a time step
+ * @param {Object} state - Gene-expression state of the cell
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Amount secreted into the signal field
+ */
+export function getSignalSecretion(state, dt) {
+    return rules.signalProductionRate * getPhenotypeTraits(state.phenotype).signalProduction * dt;
+}
+
+/**
+ * Integrate the internal autoinducer level and apply the switching rules
+ * @param {Object} state - Gene-expression state of the cell (updated in place)
+ * @param {Object} environment - What the cell senses {signal, nutrient}
+ * @param {number} dt - Time step in seconds
+ * @returns {boolean} True if the phenotype changed
+ */
+export function updateGeneState(state, environment, dt) {
+    // dA/dt = k_in * S - k_deg * A
+    state.autoinducer += (rules.signalUptakeRate * environment.signal
+        - rules.autoinducerDegradation * state.autoinducer) * dt;
+    state.autoinducer = Math.max(0, state.autoinducer);
+    
+    const next = choosePhenotype(state, environment.nutrient);
+    if (next === state.phenotype) return false;
+    
+    state.phenotype = next;
+    return true;
+}
+
+/**
+ * Pick the phenotype a cell should be in, with hysteresis on every switch
+ * @param {Object} state - Gene-expression state of the cell
+ * @param {number} nutrient - Local nutrient concentration
+ * @returns {string} The phenotype
+ */
+function choosePhenotype(state, nutrient) {
+    const { quorumThreshold, dormancyNutrientThreshold, hysteresis } = rules;
+    const current = state.phenotype;
+    
+    // Starvation overrides quorum sensing
+    if (current === PHENOTYPES.DORMANT) {
+        if (nutrient < dormancyNutrientThreshold * (1 + hysteresis)) return current;
+    } else if (nutrient < dormancyNutrientThreshold) {
+        return PHENOTYPES.DORMANT;
+    }
+    
+    if (current === PHENOTYPES.MATRIX_PRODUCER) {
+        return state.autoinducer >= quorumThreshold * (1 - hysteresis)
+            ? PHENOTYPES.MATRIX_PRODUCER
+            : PHENOTYPES.MOTILE;
+    }
+    
+    return state.autoinducer >= quorumThreshold
+        ? PHENOTYPES.MATRIX_PRODUCER
+        : PHENOTYPES.MOTILE;
+}
+
+/**
+ * Override some or all of the switching rules
+ *
+ * Nested trait tables are merged per phenotype, so a rule set may change
+ * a single trait of a single phenotype.
+ * @param {Object} overrides - Partial rules object
+ */
+export function setPhenotypeRules(overrides) {
+    const { traits, ...scalars } = overrides;
+    Object.assign(rules, scalars);
+    
+    if (traits) {
+        Object.entries(traits).forEach(([phenotype, values]) => {
+            rules.traits[phenotype] = { ...rules.traits[phenotype], ...values };
+        });
+    }
+}
+
+/**
+ * Get a copy of the active switching rules
+ * @returns {Object} The rules
+ */
+export function getPhenotypeRules() {
+    return cloneRules(rules);
+}
+
+/**
+ * Restore the default switching rules
+ */
+export function resetPhenotypeRules() {
+    rules = cloneRules(DEFAULT_RULES);
+}
@@ -0,0 +1,86 @@
+/**
+ * Cell geometry helpers for AgeEnt
+ * 
+ * A rod-shaped bacterium is the set of points within its radius of a
+ * central segment, so distances between cells reduce to distances between
+ * segments.
+ */
+
+/**
+ * Get the end points of a bacterium's central segment
+ * @param {Object} bacterium - The bacterium entity
+ * @param {Object} transform - Its current transform
+ * @returns {Array<Object>} The two end points [{x, y}, {x, y}]
+ */
+export function getCellSegment(bacterium, transform) {
+    const halfLength = bacterium.colliderLength / 2;
+    const dx = Math.cos(transform.rotation) * halfLength;
+    const dy = Math.sin(transform.rotation) * halfLength;
+    const { x, y } = transform.position;
+    return [{ x: x - dx, y: y - dy }, { x: x + dx, y: y + dy }];
+}
+
+/**
+ * Find the closest points between two 2D segments
+ * @param {Array<Object>} a - First segment [p1, q1]
+ * @param {Array<Object>} b - Second segment [p2, q2]
+ * @returns {Object} Closest points {pointA, pointB}
+ */
+export function closestPointsBetweenSegments([p1, q1], [p2, q2]) {
+    const d1 = { x: q1.x - p1.x, y: q1.y - p1.y };
+    const d2 = { x: q2.x - p2.x, y: q2.y - p2.y };
+    const r = { x: p1.x - p2.x, y: p1.y - p2.y };
+    const a = d1.x * d1.x + d1.y * d1.y;
+    const e = d2.x * d2.x + d2.y * d2.y;
+    const f = d2.x * r.x + d2.y * r.y;
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    
+    let s;
+    let t;
+    if (a <= 1e-9 && e <= 1e-9) {
+        s = 0;
+        t = 0;
+    } else if (a <= 1e-9) {
+        s = 0;
+        t = clamp(f / e);
+    } else {
+        const c = d1.x * r.x + d1.y * r.y;
+        if (e <= 1e-9) {
+            t = 0;
+            s = clamp(-c / a);
+        } else {
+            const b = d1.x * d2.x + d1.y * d2.y;
+            const denom = a * e - b * b;
+            s = denom > 1e-9 ? clamp((b * f - c * e) / denom) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a);
+            }
+        }
+    }
+    
+    return {
+        pointA: { x: p1.x + d1.x * s, y: p1.y + d1.y * s },
+        pointB: { x: p2.x + d2.x * t, y: p2.y + d2.y * t }
+    };
+}
+
+/**
+ * Get the gap between the surfaces of two bacteria (negative if they overlap)
+ * @param {Object} a - First bacterium
+ * @param {Object} transformA - Transform of the first bacterium
+ * @param {Object} b - Second bacterium
+ * @param {Object} transformB - Transform of the second bacterium
+ * @returns {number} Surface gap
+ */
+export function surfaceGap(a, transformA, b, transformB) {
+    const { pointA, pointB } = closestPointsBetweenSegments(
+        getCellSegment(a, transformA),
+        getCellSegment(b, transformB)
+    );
+    return Math.hypot(pointB.x - pointA.x, pointB.y - pointA.y) - a.radius - b.radius;
+}
@@ -0,0 +1,139 @@
+/**
+ * Interactive editing of the population for AgeEnt
+ * 
+ * Lets the user grab and drag a cell, seed single cells, remove cells, and
+ * inoculate a patch of cells with a brush. Dragging goes through a
+ * kinematic anchor in the physics world (see Physics.createDragAnchor), so
+ * a dragged cell still collides with its neighbours and the walls.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Physics from './physics.js';
+import * as Domain from './domain.js';
+import * as Random from './random.js';
+
+// Constants
+const MAX_INOCULATION_ATTEMPTS = 20; // Tries per cell to find a free spot in the brush
+
+// Interaction state
+let drag = null; // Current drag {bacterium, dragAnchor}
+
+// Lets go of a dragged cell when it leaves the simulation, e.g. by dividing
+const dragObserver = {
+    onBacteriumRemoved(bacterium) {
+        if (drag && drag.bacterium === bacterium) {
+            endDrag();
+        }
+    }
+};
+
+/**
+ * Grab a bacterium at a point so it can be dragged
+ * @param {number} id - Bacterium ID
+ * @param {Object} point - Grab point {x, y}
+ * @returns {boolean} True if the bacterium was grabbed
+ */
+export function startDrag(id, point) {
+    endDrag();
+    
+    const bacterium = SimulationManager.getBacteriumById(id);
+    if (!bacterium) return false;
+    
+    const dragAnchor = Physics.createDragAnchor(bacterium.physicsEntity, point);
+    if (!dragAnchor) return false;
+    
+    drag = { bacterium, dragAnchor };
+    SimulationManager.addObserver(dragObserver);
+    return true;
+}
+
+/**
+ * Move the grabbed point of the dragged bacterium
+ * @param {Object} point - Target position {x, y}
+ */
+export function moveDrag(point) {
+    if (drag) {
+        Physics.moveDragAnchor(drag.dragAnchor, point);
+    }
+}
+
+/**
+ * Let go of the dragged bacterium
+ */
+export function endDrag() {
+    if (!drag) return;
+    
+    Physics.removeDragAnchor(drag.dragAnchor);
+    drag = null;
+}
+
+/**
+ * Get the ID of the bacterium being dragged
+ * @returns {number|null} Bacterium ID, or null when nothing is grabbed
+ */
+export function getDraggedBacteriumId() {
+    return drag ? drag.bacterium.id : null;
+}
+
+/**
+ * Seed a single cell at a point, if it fits inside the domain
+ * @param {Object} point - Position {x, y}
+ * @returns {number|null} ID of the new bacterium, or null if it did not fit
+ */
+export function spawnBacterium(point) {
+    const domain = SimulationManager.getDomain();
+    if (!domain || !Domain.isInsideDomain(domain, point, SimulationManager.getSeedMargin())) return null;
+    
+    const bacterium = SimulationManager.seedBacterium(point);
+    return bacterium ? bacterium.id : null;
+}
+
+/**
+ * Remove a bacterium
+ * @param {number} id - Bacterium ID
+ * @returns {boolean} True if a bacterium was removed
+ */
+export function removeBacterium(id) {
+    const bacterium = SimulationManager.getBacteriumById(id);
+    if (!bacterium) return false;
+    
+    SimulationManager.removeBacterium(bacterium);
+    return true;
+}
+
+/**
+ * Seed a patch of cells at random spots in a disc, as when inoculating a plate
+ * 
+ * Spots outside the domain or inside walls are skipped, so fewer cells may
+ * be seeded near the edges.
+ * @param {Object} center - Center of the patch {x, y}
+ * @param {number} radius - Radius of the patch
+ * @param {number} count - Number of cells to seed
+ * @returns {number} Number of cells seeded
+ */
+export function inoculate(center, radius, count) {
+    const domain = SimulationManager.getDomain();
+    if (!domain) return 0;
+    
+    const margin = SimulationManager.getSeedMargin();
+    let seeded = 0;
+    for (let i = 0; i < count; i++) {
+        for (let attempt = 0; attempt < MAX_INOCULATION_ATTEMPTS; attempt++) {
+            // Uniform over the disc
+            const distance = radius * Math.sqrt(Random.random());
+            const angle = Random.random() * Math.PI * 2;
+            const point = {
+                x: center.x + Math.cos(angle) * distance,
+                y: center.y + Math.sin(angle) * distance
+            };
+            
+            if (Domain.isInsideDomain(domain, point, margin)) {
+                if (SimulationManager.seedBacterium(point)) {
+                    seeded++;
+                }
+                break;
+            }
+        }
+    }
+    return seeded;
+}
@@ -0,0 +1,408 @@
+/**
+ * Metrics recorder for AgeEnt
+ * 
+ * Samples population-level statistics at a fixed simulated-time interval
+ * while the simulation runs, and optionally the state of every cell so
+ * that trajectories can be exported. The recorder observes the simulation
+ * manager, so it works the same in the browser and in headless runs.
+ * 
+ * Recorded metrics per sample:
+ *   population, meanSpeed, meanSquaredDisplacement, nematicOrder,
+ *   clusterCount, meanLength, one count per phenotype and one count per
+ *   strain (named 'strain:<name>').
+ * 
+ * Displacements are measured from where each lineage was first seen.
+ * Daughters take their mother's origin when they are born, whether or not
+ * the mother was ever sampled, so they continue its displacement.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Physics from './physics.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Geometry from './geometry.js';
+import * as Strains from './strains.js';
+
+// Recorder parameters
+const DEFAULT_SAMPLE_INTERVAL = 1.0; // Simulated seconds between samples
+const CLUSTER_CONTACT_GAP = 0.25; // Surface gap below which cells count as touching
+const PHENOTYPE_NAMES = Object.values(GeneExpression.PHENOTYPES);
+const TRAJECTORY_COLUMNS = [
+    'time', 'id', 'lineageId', 'parentId', 'generation',
+    'x', 'y', 'angle', 'vx', 'vy', 'length', 'strain', 'phenotype'
+];
+
+// Recorder state
+let recording = false;
+let recordTrajectories = true;
+let sampleInterval = DEFAULT_SAMPLE_INTERVAL;
+let nextSampleTime = 0;
+let lastSampleTime = -Infinity;
+let samples = []; // One metrics record per sample
+let trajectories = []; // One row per cell per sample
+let origins = new Map(); // Living bacterium ID -> position displacements are measured from
+let departedOrigins = new Map(); // Origins of cells removed this step, for their daughters
+
+// Tracks displacement origins through divisions and samples whenever the
+// simulation has advanced past the next sample time
+const recorderObserver = {
+    onBacteriumAdded(bacterium) {
+        // Division removes the mother before adding the daughters
+        const inherited = origins.get(bacterium.parentId) ?? departedOrigins.get(bacterium.parentId);
+        const origin = inherited ?? Physics.getBodyTransform(bacterium.physicsEntity.rigidBody).position;
+        origins.set(bacterium.id, { x: origin.x, y: origin.y });
+    },
+    
+    onBacteriumRemoved(bacterium) {
+        const origin = origins.get(bacterium.id);
+        if (origin) {
+            departedOrigins.set(bacterium.id, origin);
+            origins.delete(bacterium.id);
+        }
+    },
+    
+    onSimulationUpdated(bacteria) {
+        // Daughters are added in the step their mother is removed
+        departedOrigins.clear();
+        
+        const time = SimulationManager.getSimulationTime();
+        
+        // Time running backwards means the run was reset or a snapshot loaded
+        if (time < lastSampleTime) {
+            clearRecording();
+        }
+        if (time + 1e-9 >= nextSampleTime) {
+            recordSample(bacteria, time);
+        }
+    }
+};
+
+/**
+ * Start recording, discarding any earlier recording
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.interval] - Simulated seconds between samples
+ * @param {boolean} [options.trajectories] - Whether to record every cell's state
+ */
+export function startRecording(options = {}) {
+    if (options.interval !== undefined) {
+        setSampleInterval(options.interval);
+    }
+    if (options.trajectories !== undefined) {
+        recordTrajectories = Boolean(options.trajectories);
+    }
+    
+    clearRecording();
+    recording = true;
+    SimulationManager.addObserver(recorderObserver);
+    recordSample(SimulationManager.getBacteria(), SimulationManager.getSimulationTime());
+}
+
+/**
+ * Stop recording; the recorded data stays available for export
+ */
+export function stopRecording() {
+    recording = false;
+    SimulationManager.removeObserver(recorderObserver);
+}
+
+/**
+ * Check whether the recorder is running
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+    return recording;
+}
+
+/**
+ * Start or stop recording
+ * @param {boolean} value - True to record
+ */
+export function setRecording(value) {
+    if (value && !recording) {
+        startRecording();
+    } else if (!value && recording) {
+        stopRecording();
+    }
+}
+
+/**
+ * Discard all recorded samples and trajectories
+ */
+export function clearRecording() {
+    samples = [];
+    trajectories = [];
+    origins = new Map();
+    departedOrigins = new Map();
+    nextSampleTime = 0;
+    lastSampleTime = -Infinity;
+}
+
+/**
+ * Set the interval between samples
+ * @param {number} interval - Simulated seconds between samples
+ */
+export function setSampleInterval(interval) {
+    sampleInterval = Math.max(1e-6, interval);
+    if (lastSampleTime > -Infinity) {
+        nextSampleTime = lastSampleTime + sampleInterval;
+    }
+}
+
+/**
+ * Get the interval between samples
+ * @returns {number} Simulated seconds between samples
+ */
+export function getSampleInterval() {
+    return sampleInterval;
+}
+
+/**
+ * Take one sample of the population
+ * @param {Array<Object>} bacteria - The bacterium entities
+ * @param {number} time - Simulated time of the sample
+ */
+function recordSample(bacteria, time) {
+    const cells = collectCells(bacteria);
+    const sample = {
+        time,
+        ...computeMetrics(cells),
+        meanSquaredDisplacement: computeMeanSquaredDisplacement(cells)
+    };
+    samples.push(sample);
+    
+    if (recordTrajectories) {
+        cells.forEach(({ bacterium, transform, velocity }) => {
+            trajectories.push({
+                time,
+                id: bacterium.id,
+                lineageId: bacterium.lineageId,
+                parentId: bacterium.parentId,
+                generation: bacterium.generation,
+                x: transform.position.x,
+                y: transform.position.y,
+                angle: transform.rotation,
+                vx: velocity.x,
+                vy: velocity.y,
+                length: bacterium.length,
+                strain: bacterium.strain,
+                phenotype: bacterium.geneState.phenotype
+            });
+        });
+    }
+    
+    lastSampleTime = time;
+    nextSampleTime = time + sampleInterval;
+}
+
+/**
+ * Read the current pose and velocity of every bacterium
+ * @param {Array<Object>} bacteria - The bacterium entities
+ * @returns {Array<Object>} Cells {bacterium, transform, velocity}
+ */
+function collectCells(bacteria) {
+    return bacteria.map(bacterium => {
+        const rigidBody = bacterium.physicsEntity.rigidBody;
+        return {
+            bacterium,
+            transform: Physics.getBodyTransform(rigidBody),
+            velocity: Physics.getBodyVelocity(rigidBody).linear
+        };
+    });
+}
+
+/**
+ * Measure the instantaneous population metrics, without recording them
+ * 
+ * This covers every metric except the mean squared displacement, which
+ * needs the history kept while recording.
+ * @param {Array<Object>} bacteria - The bacterium entities
+ * @returns {Object} Metrics {population, meanSpeed, nematicOrder, clusterCount, meanLength, <phenotype>..., strain:<name>...}
+ */
+export function measurePopulation(bacteria) {
+    return computeMetrics(collectCells(bacteria));
+}
+
+/**
+ * Compute the instantaneous population metrics of one sample
+ * @param {Array<Object>} cells - Cells {bacterium, transform, velocity}
+ * @returns {Object} Metrics
+ */
+function computeMetrics(cells) {
+    const metrics = {
+        population: cells.length,
+        meanSpeed: 0,
+        nematicOrder: 0,
+        clusterCount: countClusters(cells),
+        meanLength: 0
+    };
+    PHENOTYPE_NAMES.forEach(name => {
+        metrics[name] = 0;
+    });
+    getStrainColumns().forEach(column => {
+        metrics[column] = 0;
+    });
+    if (cells.length === 0) return metrics;
+    
+    let cos2 = 0;
+    let sin2 = 0;
+    cells.forEach(({ bacterium, transform, velocity }) => {
+        metrics.meanSpeed += Math.hypot(velocity.x, velocity.y);
+        metrics.meanLength += bacterium.length;
+        metrics[bacterium.geneState.phenotype]++;
+        const strainColumn = `strain:${bacterium.strain}`;
+        if (strainColumn in metrics) {
+            metrics[strainColumn]++;
+        }
+        
+        // Rods are head-tail symmetric, so orientation order uses twice the angle
+        cos2 += Math.cos(2 * transform.rotation);
+        sin2 += Math.sin(2 * transform.rotation);
+    });
+    
+    const count = cells.length;
+    metrics.meanSpeed /= count;
+    metrics.meanLength /= count;
+    metrics.nematicOrder = Math.hypot(cos2 / count, sin2 / count);
+    return metrics;
+}
+
+/**
+ * Get the names of the per-strain count metrics of the current strains
+ * @returns {Array<string>} Metric names
+ */
+function getStrainColumns() {
+    return Strains.getStrains().map(strain => `strain:${strain.name}`);
+}
+
+/**
+ * Compute the mean squared displacement of the cells from their origins
+ * @param {Array<Object>} cells - Cells {bacterium, transform}
+ * @returns {number} Mean squared displacement (0 for an empty population)
+ */
+function computeMeanSquaredDisplacement(cells) {
+    if (cells.length === 0) return 0;
+    
+    let total = 0;
+    cells.forEach(({ bacterium, transform }) => {
+        const origin = getOrigin(bacterium, transform.position);
+        const dx = transform.position.x - origin.x;
+        const dy = transform.position.y - origin.y;
+        total += dx * dx + dy * dy;
+    });
+    return total / cells.length;
+}
+
+/**
+ * Get the position a cell's displacement is measured from
+ * @param {Object} bacterium - The bacterium entity
+ * @param {Object} position - Its current position (used if it has no origin yet)
+ * @returns {Object} Origin {x, y}
+ */
+function getOrigin(bacterium, position) {
+    // Cells alive when recording started are first seen at the first sample
+    let origin = origins.get(bacterium.id);
+    if (!origin) {
+        origin = { x: position.x, y: position.y };
+        origins.set(bacterium.id, origin);
+    }
+    return origin;
+}
+
+/**
+ * Count groups of cells connected through touching neighbours
+ * @param {Array<Object>} cells - Cells {bacterium, transform}
+ * @returns {number} Number of clusters (single cells count as clusters)
+ */
+function countClusters(cells) {
+    const indexByEntity = new Map();
+    cells.forEach((cell, index) => indexByEntity.set(cell.bacterium.physicsEntity, index));
+    
+    // Union-find over cell indices
+    const parent = cells.map((cell, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    
+    cells.forEach((cell, index) => {
+        Physics.findNearbyBodies(cell.bacterium.physicsEntity, CLUSTER_CONTACT_GAP, (otherEntity) => {
+            const otherIndex = indexByEntity.get(otherEntity);
+            if (otherIndex === undefined || otherIndex < index) return;
+            
+            const other = cells[otherIndex];
+            const gap = Geometry.surfaceGap(cell.bacterium, cell.transform, other.bacterium, other.transform);
+            if (gap < CLUSTER_CONTACT_GAP) {
+                parent[find(otherIndex)] = find(index);
+            }
+        });
+    });
+    
+    return cells.filter((cell, index) => find(index) === index).length;
+}
+
+/**
+ * Get the recorded metrics
+ * @returns {Array<Object>} One record per sample
+ */
+export function getSamples() {
+    return samples;
+}
+
+/**
+ * Get the recorded per-cell trajectories
+ * @returns {Array<Object>} One row per cell per sample
+ */
+export function getTrajectories() {
+    return trajectories;
+}
+
+/**
+ * Format records as CSV
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Records keyed by column name
+ * @returns {string} CSV text with a header line
+ */
+function toCSV(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => row[column] ?? '').join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the recorded metrics as CSV
+ * @returns {string} CSV text, one line per sample
+ */
+export function exportMetricsCSV() {
+    return toCSV(getMetricColumns(), samples);
+}
+
+/**
+ * Get the names of the recorded metrics, in the order they are exported
+ * @returns {Array<string>} Column names, starting with 'time'
+ */
+export function getMetricColumns() {
+    return [
+        'time', 'population', 'meanSpeed', 'meanSquaredDisplacement',
+        'nematicOrder', 'clusterCount', 'meanLength', ...PHENOTYPE_NAMES, ...getStrainColumns()
+    ];
+}
+
+/**
+ * Export the recorded trajectories as CSV
+ * @returns {string} CSV text, one line per cell per sample
+ */
+export function exportTrajectoriesCSV() {
+    return toCSV(TRAJECTORY_COLUMNS, trajectories);
+}
+
+/**
+ * Export the recorded metrics and trajectories as JSON
+ * @returns {string} JSON text {sampleInterval, metrics, trajectories}
+ */
+export function exportJSON() {
+    return JSON.stringify({ sampleInterval, metrics: samples, trajectories });
+}
@@ -0,0 +1,199 @@
+/**
+ * Parameter registry for AgeEnt
+ *
+ * Gives every adjustable simulation parameter a name, a range and a getter
+ * and setter pair, so UI controls (and anything else that changes
+ * parameters) go through the same real setters and can read back the
+ * current state, e.g. after a reset has restored the defaults.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Clock from './clock.js';
+import * as Chemistry from './chemistry.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Adhesion from './adhesion.js';
+import * as FlowField from './flowField.js';
+import * as Physics from './physics.js';
+
+// Named parameters with their ranges and accessors
+const PARAMETERS = {
+    motilityStrength: {
+        min: 0,
+        max: 1,
+        get: SimulationManager.getMotilityStrength,
+        set: SimulationManager.setMotilityStrength
+    },
+    tumbleRate: {
+        min: 0,
+        max: 1,
+        get: SimulationManager.getTumbleRate,
+        set: SimulationManager.setTumbleRate
+    },
+    growthRate: {
+        min: 0,
+        max: Infinity,
+        get: SimulationManager.getGrowthRate,
+        set: SimulationManager.setGrowthRate
+    },
+    divisionLength: {
+        min: 0,
+        max: Infinity,
+        get: SimulationManager.getDivisionLength,
+        set: SimulationManager.setDivisionLength
+    },
+    gravity: {
+        min: -Infinity,
+        max: Infinity,
+        get: () => SimulationManager.getExternalForceComponent('gravity').y,
+        set: (value) => SimulationManager.setExternalForceComponent('gravity', { x: 0, y: value })
+    },
+    externalForceX: {
+        min: -Infinity,
+        max: Infinity,
+        get: () => SimulationManager.getExternalForceComponent('applied').x,
+        set: (value) => SimulationManager.setExternalForceComponent('applied', {
+            ...SimulationManager.getExternalForceComponent('applied'),
+            x: value
+        })
+    },
+    externalForceY: {
+        min: -Infinity,
+        max: Infinity,
+        get: () => SimulationManager.getExternalForceComponent('applied').y,
+        set: (value) => SimulationManager.setExternalForceComponent('applied', {
+            ...SimulationManager.getExternalForceComponent('applied'),
+            y: value
+        })
+    },
+    flowSpeed: {
+        min: -Infinity,
+        max: Infinity,
+        get: FlowField.getFlowSpeed,
+        set: FlowField.setFlowSpeed
+    },
+    flowDrag: {
+        min: 0,
+        max: Infinity,
+        get: FlowField.getFlowDrag,
+        set: FlowField.setFlowDrag
+    },
+    chemotacticSensitivity: {
+        min: 0,
+        max: Infinity,
+        get: Chemistry.getChemotacticSensitivity,
+        set: Chemistry.setChemotacticSensitivity
+    },
+    nutrientUptakeRate: {
+        min: 0,
+        max: Infinity,
+        get: Chemistry.getNutrientUptakeRate,
+        set: Chemistry.setNutrientUptakeRate
+    },
+    attractantSecretionRate: {
+        min: 0,
+        max: Infinity,
+        get: Chemistry.getAttractantSecretionRate,
+        set: Chemistry.setAttractantSecretionRate
+    },
+    quorumThreshold: phenotypeRule('quorumThreshold'),
+    signalProductionRate: phenotypeRule('signalProductionRate'),
+    signalUptakeRate: phenotypeRule('signalUptakeRate'),
+    autoinducerDegradation: phenotypeRule('autoinducerDegradation'),
+    dormancyNutrientThreshold: phenotypeRule('dormancyNutrientThreshold'),
+    hysteresis: phenotypeRule('hysteresis', 1),
+    adhesionStrength: {
+        min: 0,
+        max: Infinity,
+        get: Adhesion.getAdhesionStrength,
+        set: Adhesion.setAdhesionStrength
+    },
+    adhesionRange: {
+        min: 0,
+        max: Infinity,
+        get: Adhesion.getAdhesionRange,
+        set: Adhesion.setAdhesionRange
+    },
+    substrateDrag: {
+        min: 0,
+        max: Infinity,
+        get: Adhesion.getSubstrateDrag,
+        set: Adhesion.setSubstrateDrag
+    },
+    velocityDamping: {
+        min: 0,
+        max: 1,
+        get: Physics.getVelocityDamping,
+        set: Physics.setVelocityDamping
+    },
+    angularDamping: {
+        min: 0,
+        max: 1,
+        get: Physics.getAngularDamping,
+        set: Physics.setAngularDamping
+    },
+    simulationSpeed: {
+        min: 0.25,
+        max: 20,
+        get: Clock.getSpeed,
+        set: Clock.setSpeed
+    }
+};
+
+/**
+ * Describe a parameter backed by one of the phenotype switching rules
+ * @param {string} name - Rule name (see GeneExpression.setPhenotypeRules)
+ * @param {number} [max] - Largest allowed value
+ * @returns {Object} Parameter entry {min, max, get, set}
+ */
+function phenotypeRule(name, max = Infinity) {
+    return {
+        min: 0,
+        max,
+        get: () => GeneExpression.getPhenotypeRules()[name],
+        set: (value) => GeneExpression.setPhenotypeRules({ [name]: value })
+    };
+}
+
+/**
+ * Get the names of all registered parameters
+ * @returns {Array<string>} Parameter names
+ */
+export function getParameterNames() {
+    return Object.keys(PARAMETERS);
+}
+
+/**
+ * Check whether a parameter is registered
+ * @param {string} name - Parameter name
+ * @returns {boolean} True if the parameter exists
+ */
+export function hasParameter(name) {
+    return Object.prototype.hasOwnProperty.call(PARAMETERS, name);
+}
+
+/**
+ * Get the current value of a parameter
+ * @param {string} name - Parameter name
+ * @returns {number} Current value, or undefined for unknown parameters
+ */
+export function getParameter(name) {
+    if (!hasParameter(name)) {
+        console.error(`Unknown parameter: ${name}`);
+        return undefined;
+    }
+    return PARAMETERS[name].get();
+}
+
+/**
+ * Set a parameter through its real setter
+ * @param {string} name - Parameter name
+ * @param {number} value - New value (clamped to the parameter's range)
+ */
+export function setParameter(name, value) {
+    if (!hasParameter(name)) {
+        console.error(`Unknown parameter: ${name}`);
+        return;
+    }
+    const { min, max, set } = PARAMETERS[name];
+    set(Math.max(min, Math.min(max, value)));
+}
@@ -3,32 +3,49 @@
  * 
  * This module handles the physics simulation for bacterial interactions,
  * particularly focusing on collision detection and response between bacteria.
+ * 
+ * The world is strictly two-dimensional (Rapier's 2D build): positions are
+ * {x, y} in the simulation plane and rotations are angles in radians,
+ * counter-clockwise from the +x axis. See visualization/coordinates.js for
+ * how this plane is laid onto the 3D scene.
  */
 
-import * as RAPIER from 'rapier';
+import * as Random from './random.js';
 
 // Physics world and objects
+let RAPIER = null; // Rapier module, loaded by initPhysics
 let world;
 let physicsBodies = [];
+let entitiesByCollider = new Map(); // Collider handle -> physics entity
 let physicsInitialized = false;
 
 // Constants
-const PHYSICS_STEP = 1/60; // 60 fps physics update
-const VELOCITY_DAMPING = 0.98; // Slight damping to prevent perpetual motion
-const ANGULAR_DAMPING = 0.95; // Damping for angular velocity
+export const PHYSICS_STEP = 1/60; // 60 fps physics update
+const DEFAULT_VELOCITY_DAMPING = 0.98; // Slight damping to prevent perpetual motion
+const DEFAULT_ANGULAR_DAMPING = 0.95; // Damping for angular velocity
+let velocityDamping = DEFAULT_VELOCITY_DAMPING; // Fraction of linear velocity kept each step
+let angularDamping = DEFAULT_ANGULAR_DAMPING; // Fraction of angular velocity kept each step
 
 /**
  * Initialize the physics world
+ * 
+ * Rapier is imported here rather than statically because import maps do not
+ * apply inside Web Workers: the worker passes the URL the page resolved.
+ * @param {string} [rapierUrl] - Module specifier or URL of Rapier's 2D build
  * @returns {Promise} Promise that resolves when physics is initialized
  */
-export async function initPhysics() {
-    // Initialize RAPIER
+export async function initPhysics(rapierUrl = 'rapier') {
+    // Load and initialize RAPIER
+    RAPIER = await import(rapierUrl);
     await RAPIER.init();
     
     // Create a 2D physics world with gravity set to zero (for bacteria in a fluid)
     const gravity = { x: 0.0, y: 0.0 };
     world = new RAPIER.World(gravity);
     
+    // Every step advances the world by the same fixed amount of time
+    world.timestep = PHYSICS_STEP;
+    
     physicsInitialized = true;
     console.log("Rapier physics initialized");
     
@@ -42,6 +59,7 @@ export async function initPhysics() {
  * @param {Object} params - Parameters for the wall
  * @param {Object} params.position - Position {x, y}
  * @param {Object} params.size - Size {width, height}
+ * @param {number} [params.angle] - Rotation in radians (width runs along the angle)
  * @returns {Object} Physics entity for the wall
  */
 export function createBoundaryWall(params) {
@@ -51,9 +69,6 @@ export function createBoundaryWall(params) {
     }
     
     try {
-        // Log the input parameters for debugging
-        console.log("Creating boundary wall with params:", JSON.stringify(params));
-        
         // Validate position object
         if (!params.position) {
             console.error("Missing position object in wall parameters");
@@ -63,9 +78,7 @@ export function createBoundaryWall(params) {
         // Ensure position components are valid numbers
         const posX = typeof params.position.x === 'number' ? params.position.x : 0;
         const posY = typeof params.position.y === 'number' ? params.position.y : 0;
-        
-        // Log the processed position values
-        console.log(`Using position values: x=${posX}, y=${posY}`);
+        const angle = typeof params.angle === 'number' ? params.angle : 0;
         
         // Create a static rigid body
         const bodyDesc = RAPIER.RigidBodyDesc.fixed();
@@ -81,9 +94,7 @@ export function createBoundaryWall(params) {
             return null;
         }
 
-        console.log(`Setting translation to: (${numPosX}, ${numPosY})`);
-        
-        bodyDesc.setTranslation(numPosX, numPosY);
+        bodyDesc.setTranslation(numPosX, numPosY).setRotation(angle);
         
         const rigidBody = world.createRigidBody(bodyDesc);
         
@@ -97,9 +108,6 @@ export function createBoundaryWall(params) {
         const width = typeof params.size.width === 'number' ? params.size.width : 1;
         const height = typeof params.size.height === 'number' ? params.size.height : 1;
         
-        // Log the processed size values
-        console.log(`Using size values: width=${width}, height=${height}`);
-        
         // Create a cuboid collider
         const colliderDesc = RAPIER.ColliderDesc.cuboid(
             width / 2,
@@ -120,7 +128,7 @@ export function createBoundaryWall(params) {
         };
         
         physicsBodies.push(physicsEntity);
-        console.log("Successfully created boundary wall");
+        entitiesByCollider.set(collider.handle, physicsEntity);
         
         return physicsEntity;
     } catch (error) {
@@ -129,6 +137,119 @@ export function createBoundaryWall(params) {
     }
 }
 
+/**
+ * Create a dynamic rod-shaped bacterium body
+ * 
+ * The capsule's axis is aligned with the body's local x-axis so that the
+ * heading used by the motility forces points along the length of the cell.
+ * @param {Object} params - Parameters for the bacterium
+ * @param {Object} params.position - Position {x, y}
+ * @param {number} params.angle - Heading angle in radians
+ * @param {number} params.length - Length of the cylindrical segment
+ * @param {number} params.radius - Radius of the capsule
+ * @returns {Object} Physics entity for the bacterium
+ */
+export function createBacterium(params) {
+    if (!physicsInitialized) {
+        console.error("Physics not initialized");
+        return null;
+    }
+    
+    try {
+        // Validate position object
+        if (!params.position) {
+            console.error("Missing position object in bacterium parameters");
+            return null;
+        }
+        
+        const posX = Number(params.position.x);
+        const posY = Number(params.position.y);
+        if (isNaN(posX) || isNaN(posY)) {
+            console.error(`Invalid position values: x=${params.position.x}, y=${params.position.y}`);
+            return null;
+        }
+        
+        const angle = typeof params.angle === 'number' ? params.angle : 0;
+        const length = typeof params.length === 'number' ? params.length : 1;
+        const radius = typeof params.radius === 'number' ? params.radius : 0.5;
+        
+        // Create a dynamic rigid body with the requested heading
+        const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(posX, posY)
+            .setRotation(angle);
+        
+        const rigidBody = world.createRigidBody(bodyDesc);
+        
+        const collider = createCapsuleCollider(rigidBody, length, radius);
+        
+        // Add to our list of physics bodies so damping applies
+        const physicsEntity = {
+            rigidBody,
+            collider,
+            isStatic: false
+        };
+        
+        physicsBodies.push(physicsEntity);
+        entitiesByCollider.set(collider.handle, physicsEntity);
+        
+        return physicsEntity;
+    } catch (error) {
+        console.error("Error creating bacterium:", error);
+        return null;
+    }
+}
+
+/**
+ * Rebuild a bacterium's capsule collider with a new size
+ * @param {Object} physicsEntity - Physics entity returned by createBacterium
+ * @param {number} length - New length of the cylindrical segment
+ * @param {number} radius - New radius of the capsule
+ */
+export function resizeBacterium(physicsEntity, length, radius) {
+    if (!physicsEntity || !physicsInitialized) return;
+    
+    entitiesByCollider.delete(physicsEntity.collider.handle);
+    world.removeCollider(physicsEntity.collider, false);
+    physicsEntity.collider = createCapsuleCollider(physicsEntity.rigidBody, length, radius);
+    entitiesByCollider.set(physicsEntity.collider.handle, physicsEntity);
+}
+
+/**
+ * Remove a body and its colliders from the physics world
+ * @param {Object} physicsEntity - Physics entity to remove
+ */
+export function removeBody(physicsEntity) {
+    if (!physicsEntity || !physicsInitialized) return;
+    
+    entitiesByCollider.delete(physicsEntity.collider.handle);
+    world.removeRigidBody(physicsEntity.rigidBody);
+    
+    const index = physicsBodies.indexOf(physicsEntity);
+    if (index !== -1) {
+        physicsBodies.splice(index, 1);
+    }
+}
+
+/**
+ * Attach a capsule collider lying along the body's local x-axis
+ * @param {Object} rigidBody - The rigid body to attach the collider to
+ * @param {number} length - Length of the cylindrical segment
+ * @param {number} radius - Radius of the capsule
+ * @returns {Object} The created collider
+ */
+function createCapsuleCollider(rigidBody, length, radius) {
+    // Rapier capsules are aligned with the local y-axis, so rotate the
+    // collider by -90 degrees to lay it along the x-axis
+    const colliderDesc = RAPIER.ColliderDesc.capsule(length / 2, radius)
+        .setRotation(-Math.PI / 2);
+    
+    // Set restitution and friction
+    colliderDesc.setRestitution(0.3);
+    colliderDesc.setFriction(0.1);
+    
+    return world.createCollider(colliderDesc, rigidBody);
+}
+
 /**
  * Apply a force to a rigid body
  * @param {Object} rigidBody - The rigid body to apply force to
@@ -141,10 +262,85 @@ export function applyForce(rigidBody, force, isImpulse = false) {
     if (isImpulse) {
         rigidBody.applyImpulse({ x: force.x, y: force.y }, true);
     } else {
-        rigidBody.applyForce({ x: force.x, y: force.y }, true);
+        rigidBody.addForce({ x: force.x, y: force.y }, true);
     }
 }
 
+/**
+ * Apply a force at a world point of a rigid body, producing a torque too
+ * @param {Object} rigidBody - The rigid body to apply force to
+ * @param {Object} force - Force vector {x, y}
+ * @param {Object} point - Point of application in world coordinates {x, y}
+ */
+export function applyForceAtPoint(rigidBody, force, point) {
+    if (!rigidBody || !physicsInitialized) return;
+    
+    rigidBody.addForceAtPoint({ x: force.x, y: force.y }, { x: point.x, y: point.y }, true);
+}
+
+/**
+ * Find the bodies whose colliders lie near a bacterium's capsule
+ * 
+ * This is a broad-phase proximity query on bounding boxes, so callers
+ * should measure the actual distance themselves.
+ * @param {Object} physicsEntity - Physics entity returned by createBacterium
+ * @param {number} range - Extra distance added around the capsule
+ * @param {Function} callback - Called with each other nearby physics entity
+ */
+export function findNearbyBodies(physicsEntity, range, callback) {
+    if (!physicsEntity || !physicsInitialized) return;
+    
+    // Bound the capsule by a box around its bounding circle
+    const collider = physicsEntity.collider;
+    const center = collider.translation();
+    const extent = collider.halfHeight() + collider.radius() + range;
+    const halfExtents = { x: extent, y: extent };
+    
+    world.collidersWithAabbIntersectingAabb(center, halfExtents, (collider) => {
+        const other = entitiesByCollider.get(collider.handle);
+        if (other && other !== physicsEntity) {
+            callback(other);
+        }
+        return true; // Keep searching
+    });
+}
+
+/**
+ * Visit every active contact point between colliders
+ * 
+ * Each touching pair is visited once, through Rapier's contact-pair
+ * iteration, with the solver contact points of its manifolds.
+ * @param {Function} callback - Called with (point {x, y}, normal {x, y}, entityA, entityB)
+ */
+export function forEachContact(callback) {
+    if (!physicsInitialized) return;
+    
+    physicsBodies.forEach(entity => {
+        if (entity.isStatic) return;
+        
+        world.contactPairsWith(entity.collider, (otherCollider) => {
+            const other = entitiesByCollider.get(otherCollider.handle);
+            
+            // Pairs of dynamic bodies are found from both sides; keep one
+            if (!other || (!other.isStatic && otherCollider.handle < entity.collider.handle)) return;
+            
+            world.contactPair(entity.collider, otherCollider, (manifold, flipped) => {
+                const normal = manifold.normal();
+                const sign = flipped ? -1 : 1;
+                for (let i = 0; i < manifold.numSolverContacts(); i++) {
+                    const point = manifold.solverContactPoint(i);
+                    callback(
+                        { x: point.x, y: point.y },
+                        { x: normal.x * sign, y: normal.y * sign },
+                        entity,
+                        other
+                    );
+                }
+            });
+        });
+    });
+}
+
 /**
  * Apply a torque to a rigid body to rotate it
  * @param {Object} rigidBody - The rigid body to apply torque to
@@ -155,10 +351,9 @@ export function applyTorque(rigidBody, torque, isImpulse = false) {
     if (!rigidBody || !physicsInitialized) return;
     
     if (isImpulse) {
-        // For 2D, we only apply torque around the z-axis
-        rigidBody.applyTorqueImpulse({ x: 0, y: 0, z: torque }, true);
+        rigidBody.applyTorqueImpulse(torque, true);
     } else {
-        rigidBody.applyTorque({ x: 0, y: 0, z: torque }, true);
+        rigidBody.addTorque(torque, true);
     }
 }
 
@@ -167,16 +362,13 @@ export function applyTorque(rigidBody, torque, isImpulse = false) {
  * @param {Object} rigidBody - The rigid body to apply forces to
  * @param {number} motilityStrength - Strength of the motility
  * @param {number} tumbleRate - Probability of changing direction (0-1)
+ * @returns {Object} The propulsion force that was applied {x, y}
  */
 export function applyMotilityForces(rigidBody, motilityStrength, tumbleRate) {
-    if (!rigidBody || !physicsInitialized) return;
-    
-    // Get the current rotation of the bacterium
-    const rotation = rigidBody.rotation();
+    if (!rigidBody || !physicsInitialized) return null;
     
-    // Convert quaternion to direction vector (in 2D)
-    // For a 2D rotation around z-axis, we can extract the angle
-    const angle = 2 * Math.atan2(rotation.im.z, rotation.re);
+    // Get the current heading of the bacterium
+    const angle = rigidBody.rotation();
     
     // Direction vector based on current rotation
     const direction = {
@@ -185,17 +377,20 @@ export function applyMotilityForces(rigidBody, motilityStrength, tumbleRate) {
     };
     
     // Apply force in the direction the bacterium is facing
-    applyForce(rigidBody, {
+    const force = {
         x: direction.x * motilityStrength,
         y: direction.y * motilityStrength
-    });
+    };
+    applyForce(rigidBody, force);
     
     // Random tumbling (change direction)
-    if (Math.random() < tumbleRate) {
+    if (Random.random() < tumbleRate) {
         // Apply a random torque to change direction
-        const randomTorque = (Math.random() - 0.5) * motilityStrength * 2;
+        const randomTorque = (Random.random() - 0.5) * motilityStrength * 2;
         applyTorque(rigidBody, randomTorque, true);
     }
+    
+    return force;
 }
 
 /**
@@ -219,17 +414,58 @@ export function stepPhysics() {
         
         // Apply damping
         rigidBody.setLinvel(
-            { x: linVel.x * VELOCITY_DAMPING, y: linVel.y * VELOCITY_DAMPING },
+            { x: linVel.x * velocityDamping, y: linVel.y * velocityDamping },
             true
         );
         
-        rigidBody.setAngvel(
-            { x: angVel.x * ANGULAR_DAMPING, y: angVel.y * ANGULAR_DAMPING, z: angVel.z * ANGULAR_DAMPING },
-            true
-        );
+        rigidBody.setAngvel(angVel * angularDamping, true);
+        
+        // Rapier keeps user forces until they are reset; ours are per step
+        rigidBody.resetForces(false);
+        rigidBody.resetTorques(false);
     }
 }
 
+/**
+ * Set the fraction of linear velocity bodies keep after each step
+ * @param {number} damping - Velocity damping (0-1, 1 for none)
+ */
+export function setVelocityDamping(damping) {
+    velocityDamping = Math.max(0, Math.min(1, damping));
+}
+
+/**
+ * Get the fraction of linear velocity bodies keep after each step
+ * @returns {number} Velocity damping (0-1)
+ */
+export function getVelocityDamping() {
+    return velocityDamping;
+}
+
+/**
+ * Set the fraction of angular velocity bodies keep after each step
+ * @param {number} damping - Angular damping (0-1, 1 for none)
+ */
+export function setAngularDamping(damping) {
+    angularDamping = Math.max(0, Math.min(1, damping));
+}
+
+/**
+ * Get the fraction of angular velocity bodies keep after each step
+ * @returns {number} Angular damping (0-1)
+ */
+export function getAngularDamping() {
+    return angularDamping;
+}
+
+/**
+ * Restore the default damping
+ */
+export function resetDamping() {
+    velocityDamping = DEFAULT_VELOCITY_DAMPING;
+    angularDamping = DEFAULT_ANGULAR_DAMPING;
+}
+
 /**
  * Get the position and rotation of a rigid body
  * @param {Object} rigidBody - The rigid body
@@ -239,15 +475,182 @@ export function getBodyTransform(rigidBody) {
     if (!rigidBody) return null;
     
     const position = rigidBody.translation();
-    const rotation = rigidBody.rotation();
-    
-    // Convert quaternion to Euler angle (for 2D we only need the z-rotation)
-    const angle = 2 * Math.atan2(rotation.im.z, rotation.re);
     
     return {
         position: { x: position.x, y: position.y },
-        rotation: angle
+        rotation: rigidBody.rotation()
+    };
+}
+
+/**
+ * Move a rigid body to a new pose and bring it to rest
+ * @param {Object} rigidBody - The rigid body
+ * @param {Object} position - New position {x, y}
+ * @param {number} rotation - New heading angle in radians
+ */
+export function setBodyTransform(rigidBody, position, rotation) {
+    if (!rigidBody || !physicsInitialized) return;
+    
+    rigidBody.setTranslation({ x: position.x, y: position.y }, true);
+    rigidBody.setRotation(rotation, true);
+    rigidBody.setLinvel({ x: 0, y: 0 }, true);
+    rigidBody.setAngvel(0, true);
+    rigidBody.resetForces(true);
+    rigidBody.resetTorques(true);
+}
+
+/**
+ * Get the linear and angular velocity of a rigid body
+ * @param {Object} rigidBody - The rigid body
+ * @returns {Object} Velocity {linear: {x, y}, angular: number}
+ */
+export function getBodyVelocity(rigidBody) {
+    if (!rigidBody) return null;
+    
+    const linear = rigidBody.linvel();
+    return {
+        linear: { x: linear.x, y: linear.y },
+        angular: rigidBody.angvel()
+    };
+}
+
+/**
+ * Set the linear and angular velocity of a rigid body
+ * @param {Object} rigidBody - The rigid body
+ * @param {Object} linear - Linear velocity {x, y}
+ * @param {number} angular - Angular velocity in radians per second
+ */
+export function setBodyVelocity(rigidBody, linear, angular) {
+    if (!rigidBody || !physicsInitialized) return;
+    
+    rigidBody.setLinvel({ x: linear.x, y: linear.y }, true);
+    rigidBody.setAngvel(angular, true);
+}
+
+/**
+ * Pin a point on a body to a kinematic anchor that can be moved around
+ *
+ * The anchor has no collider; a revolute joint holds the grabbed point to
+ * it, so the body follows the anchor through the solver (pushing others
+ * aside and stopping at walls) and can still swing around the grab point.
+ * @param {Object} physicsEntity - Physics entity to grab
+ * @param {Object} point - Grab point {x, y} in world coordinates
+ * @returns {Object} Drag anchor {anchor, joint}, or null
+ */
+export function createDragAnchor(physicsEntity, point) {
+    if (!physicsEntity || !physicsInitialized) return null;
+
+    const rigidBody = physicsEntity.rigidBody;
+    const anchor = world.createRigidBody(
+        RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(point.x, point.y)
+    );
+
+    // Express the grab point in the body's local frame
+    const position = rigidBody.translation();
+    const angle = rigidBody.rotation();
+    const dx = point.x - position.x;
+    const dy = point.y - position.y;
+    const localPoint = {
+        x: dx * Math.cos(angle) + dy * Math.sin(angle),
+        y: -dx * Math.sin(angle) + dy * Math.cos(angle)
     };
+
+    const jointData = RAPIER.JointData.revolute({ x: 0, y: 0 }, localPoint);
+    const joint = world.createImpulseJoint(jointData, anchor, rigidBody, true);
+    return { anchor, joint };
+}
+
+/**
+ * Move a drag anchor; the grabbed body follows on the next steps
+ * @param {Object} dragAnchor - Anchor returned by createDragAnchor
+ * @param {Object} point - New anchor position {x, y}
+ */
+export function moveDragAnchor(dragAnchor, point) {
+    if (!dragAnchor || !physicsInitialized) return;
+
+    dragAnchor.anchor.setNextKinematicTranslation({ x: point.x, y: point.y });
+}
+
+/**
+ * Release a drag anchor and the joint holding its body
+ * @param {Object} dragAnchor - Anchor returned by createDragAnchor
+ */
+export function removeDragAnchor(dragAnchor) {
+    if (!dragAnchor || !physicsInitialized) return;
+
+    // Removing the anchor also removes the joints attached to it
+    world.removeRigidBody(dragAnchor.anchor);
+}
+
+/**
+ * Replace the physics world with an empty one
+ * 
+ * Removing bodies leaves traces in the world (freed handles are reused in
+ * a different order, islands and solver state persist), so a run rebuilt in
+ * the old world drifts from one started in a fresh world. Entities created
+ * before the reset are invalid afterwards.
+ */
+export function resetWorld() {
+    if (!physicsInitialized) return;
+    
+    physicsBodies = [];
+    entitiesByCollider = new Map();
+    world.free();
+    world = new RAPIER.World({ x: 0.0, y: 0.0 });
+    world.timestep = PHYSICS_STEP;
+}
+
+/**
+ * Save the whole physics world, with the contact and solver caches that
+ * recreating its bodies would lose
+ * @returns {Uint8Array} The saved world
+ */
+export function saveWorld() {
+    return world.takeSnapshot();
+}
+
+/**
+ * Get the handles that identify an entity's body and collider in a saved world
+ * @param {Object} physicsEntity - Physics entity
+ * @returns {Object} Handles {body, collider}
+ */
+export function getEntityHandles(physicsEntity) {
+    return { body: physicsEntity.rigidBody.handle, collider: physicsEntity.collider.handle };
+}
+
+/**
+ * Replace the physics world with a saved one
+ * 
+ * Every entity is rebound to its body and collider in the saved world;
+ * entities not listed are invalid afterwards.
+ * @param {Uint8Array} data - World returned by saveWorld
+ * @param {Array<Object>} bindings - Entities and their saved handles [{physicsEntity, handles}]
+ * @throws {Error} If a saved body or collider is missing
+ */
+export function restoreWorld(data, bindings) {
+    const restored = RAPIER.World.restoreSnapshot(data);
+    const rebound = bindings.map(({ handles }) => ({
+        rigidBody: restored.getRigidBody(handles.body),
+        collider: restored.getCollider(handles.collider)
+    }));
+    if (rebound.some(({ rigidBody, collider }) => !rigidBody || !collider)) {
+        restored.free();
+        throw new Error("The saved physics world does not match its bodies");
+    }
+    
+    world.free();
+    world = restored;
+    physicsBodies = [];
+    entitiesByCollider = new Map();
+    bindings.forEach(({ physicsEntity }, index) => {
+        physicsEntity.rigidBody = rebound[index].rigidBody;
+        physicsEntity.collider = rebound[index].collider;
+        physicsBodies.push(physicsEntity);
+        entitiesByCollider.set(physicsEntity.collider.handle, physicsEntity);
+    });
+    
+    // Neighbour queries must visit bodies in the order the saved run did
+    world.updateSceneQueries();
 }
 
 /**
@@ -257,6 +660,10 @@ export function cleanupPhysics() {
     if (physicsInitialized && world) {
         // Remove all bodies
         physicsBodies = [];
+        entitiesByCollider = new Map();
+        
+        // Release the WebAssembly memory, which matters when runs are repeated
+        world.free();
         world = null;
         physicsInitialized = false;
     }
@@ -0,0 +1,79 @@
+/**
+ * Seeded random number generator for AgeEnt
+ *
+ * All stochastic parts of the simulation (motility, tumbling, placement,
+ * division noise) draw from this generator instead of Math.random(), so a
+ * run is fully reproducible from its seed.
+ */
+
+// Generator state
+const DEFAULT_SEED = 42;
+let seed = DEFAULT_SEED;
+let state = DEFAULT_SEED;
+
+/**
+ * Reseed the generator, restarting its sequence
+ * @param {number} newSeed - Integer seed (only the low 32 bits are used)
+ */
+export function setSeed(newSeed) {
+    seed = Number(newSeed) >>> 0;
+    state = seed;
+}
+
+/**
+ * Get the seed the current sequence was started from
+ * @returns {number} The seed
+ */
+export function getSeed() {
+    return seed;
+}
+
+/**
+ * Get the internal generator state, e.g. to save a run mid-way
+ * @returns {number} The 32-bit generator state
+ */
+export function getState() {
+    return state;
+}
+
+/**
+ * Restore a generator state previously returned by getState
+ * @param {number} savedState - The 32-bit generator state
+ */
+export function setState(savedState) {
+    state = Number(savedState) >>> 0;
+}
+
+/**
+ * Draw a uniformly distributed number in [0, 1) (mulberry32)
+ * @returns {number} The random number
+ */
+export function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Draw a uniformly distributed number in [min, max)
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} The random number
+ */
+export function randomRange(min, max) {
+    return min + random() * (max - min);
+}
+
+/**
+ * Draw a normally distributed number (Box-Muller transform)
+ * @param {number} mean - Mean of the distribution
+ * @param {number} stdDev - Standard deviation of the distribution
+ * @returns {number} The random number
+ */
+export function randomNormal(mean = 0, stdDev = 1) {
+    const u = 1 - random(); // Avoid log(0)
+    const v = random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
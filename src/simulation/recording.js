@@ -0,0 +1,326 @@
+/**
+ * Compact recordings of a run for AgeEnt
+ * 
+ * A recording is a list of keyframes, each holding the state of every cell
+ * at one simulated time, plus the domain layouts and strain definitions in
+ * force over the run, so it can be replayed without simulating. Keyframes
+ * are quantized to 16 bytes per cell instead of the 32 of a state buffer:
+ *   id                 Uint32
+ *   x, y               Int16, in units of the keyframe's scale / 32767
+ *   angle              Int16, in units of pi / 32767
+ *   length, radius     Uint16, in units of SIZE_QUANTUM
+ *   phenotype, strain  Uint8
+ * stored field by field in one byte array. Positions are resolved to
+ * a few thousandths of a world unit, far below the size of a cell.
+ * 
+ * Recordings are bounded in memory: once they grow past their byte limit
+ * every other keyframe is dropped and the keyframe interval doubles, so a
+ * long run keeps its whole history at a coarser time resolution. Replays
+ * blend between keyframes (see createSampler), so thinned recordings
+ * still play smoothly.
+ */
+
+import * as StateBuffer from './stateBuffer.js';
+import * as Base64 from './base64.js';
+
+// Format identification
+export const RECORDING_FORMAT = 'ageent-recording';
+export const RECORDING_VERSION = 1;
+
+// Encoding and size limits
+const BYTES_PER_CELL = 16;
+const INT16_MAX = 32767;
+const SIZE_QUANTUM = 0.001; // Length and radius resolution (sizes up to 65.5)
+const DEFAULT_INTERVAL = 0.1; // Simulated seconds between keyframes
+const DEFAULT_MAX_BYTES = 128 * 1024 * 1024;
+
+/**
+ * Create an empty recording
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.interval] - Simulated seconds between keyframes
+ * @param {number} [options.maxBytes] - Keyframe memory above which the recording is thinned
+ * @returns {Object} Recording {interval, maxBytes, bytes, keyframes, domains, strains}
+ */
+export function createRecording(options = {}) {
+    return {
+        interval: options.interval ?? DEFAULT_INTERVAL,
+        maxBytes: options.maxBytes ?? DEFAULT_MAX_BYTES,
+        bytes: 0,
+        keyframes: [], // {time, step, count, scale, data: Uint8Array}, by time
+        domains: [], // {time, domain}: domain layout from that time on
+        strains: [] // {time, strains}: strain definitions from that time on
+    };
+}
+
+/**
+ * Wrap an angle into [-pi, pi)
+ * @param {number} angle - Angle in radians
+ * @returns {number} The same direction in [-pi, pi)
+ */
+function wrapAngle(angle) {
+    return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+/**
+ * Quantize a state buffer into a keyframe
+ * @param {Object} state - State {buffer: Float32Array, count, time, step}
+ * @param {number} scale - Largest distance from the origin a position may have
+ * @returns {Object} Keyframe {time, step, count, scale, data}
+ */
+export function encodeKeyframe(state, scale) {
+    const { buffer, count } = state;
+    const data = new Uint8Array(count * BYTES_PER_CELL);
+    const ids = new Uint32Array(data.buffer, 0, count);
+    const poses = new Int16Array(data.buffer, count * 4, count * 3);
+    const sizes = new Uint16Array(data.buffer, count * 10, count * 2);
+    const codes = new Uint8Array(data.buffer, count * 14, count * 2);
+    const quantize = (value, range) => Math.round(Math.max(-1, Math.min(1, value / range)) * INT16_MAX);
+    const quantizeSize = value => Math.min(0xffff, Math.round(value / SIZE_QUANTUM));
+    
+    for (let index = 0; index < count; index++) {
+        const offset = index * StateBuffer.STATE_STRIDE;
+        ids[index] = buffer[offset + StateBuffer.STATE_FIELDS.ID];
+        poses[index * 3] = quantize(buffer[offset + StateBuffer.STATE_FIELDS.X], scale);
+        poses[index * 3 + 1] = quantize(buffer[offset + StateBuffer.STATE_FIELDS.Y], scale);
+        poses[index * 3 + 2] = quantize(wrapAngle(buffer[offset + StateBuffer.STATE_FIELDS.ANGLE]), Math.PI);
+        sizes[index * 2] = quantizeSize(buffer[offset + StateBuffer.STATE_FIELDS.LENGTH]);
+        sizes[index * 2 + 1] = quantizeSize(buffer[offset + StateBuffer.STATE_FIELDS.RADIUS]);
+        codes[index * 2] = buffer[offset + StateBuffer.STATE_FIELDS.PHENOTYPE];
+        codes[index * 2 + 1] = buffer[offset + StateBuffer.STATE_FIELDS.STRAIN];
+    }
+    
+    return { time: state.time, step: state.step, count, scale, data };
+}
+
+/**
+ * Expand a keyframe back into a state buffer
+ * @param {Object} keyframe - Keyframe returned by encodeKeyframe
+ * @returns {Object} State {buffer: Float32Array, count, time, step}
+ */
+export function decodeKeyframe(keyframe) {
+    const { count, scale, data } = keyframe;
+    const ids = new Uint32Array(data.buffer, data.byteOffset, count);
+    const poses = new Int16Array(data.buffer, data.byteOffset + count * 4, count * 3);
+    const sizes = new Uint16Array(data.buffer, data.byteOffset + count * 10, count * 2);
+    const codes = new Uint8Array(data.buffer, data.byteOffset + count * 14, count * 2);
+    const buffer = StateBuffer.createStateBuffer(count);
+    
+    for (let index = 0; index < count; index++) {
+        const offset = index * StateBuffer.STATE_STRIDE;
+        buffer[offset + StateBuffer.STATE_FIELDS.ID] = ids[index];
+        buffer[offset + StateBuffer.STATE_FIELDS.X] = poses[index * 3] / INT16_MAX * scale;
+        buffer[offset + StateBuffer.STATE_FIELDS.Y] = poses[index * 3 + 1] / INT16_MAX * scale;
+        buffer[offset + StateBuffer.STATE_FIELDS.ANGLE] = poses[index * 3 + 2] / INT16_MAX * Math.PI;
+        buffer[offset + StateBuffer.STATE_FIELDS.LENGTH] = sizes[index * 2] * SIZE_QUANTUM;
+        buffer[offset + StateBuffer.STATE_FIELDS.RADIUS] = sizes[index * 2 + 1] * SIZE_QUANTUM;
+        buffer[offset + StateBuffer.STATE_FIELDS.PHENOTYPE] = codes[index * 2];
+        buffer[offset + StateBuffer.STATE_FIELDS.STRAIN] = codes[index * 2 + 1];
+    }
+    
+    return { buffer, count, time: keyframe.time, step: keyframe.step };
+}
+
+/**
+ * Drop every other keyframe, keeping the first and last, and double the interval
+ * @param {Object} recording - The recording
+ */
+function thinRecording(recording) {
+    const last = recording.keyframes.length - 1;
+    recording.keyframes = recording.keyframes.filter((keyframe, index) => index % 2 === 0 || index === last);
+    recording.bytes = recording.keyframes.reduce((sum, keyframe) => sum + keyframe.data.byteLength, 0);
+    recording.interval *= 2;
+}
+
+/**
+ * Add a frame to a recording if a keyframe is due
+ * 
+ * A frame earlier than the last keyframe is ignored; callers start a new
+ * recording when a run is reset.
+ * @param {Object} recording - The recording
+ * @param {Object} state - State {buffer: Float32Array, count, time, step}
+ * @param {number} worldSize - Width of the world, which bounds the positions
+ * @returns {boolean} True if a keyframe was added
+ */
+export function addKeyframe(recording, state, worldSize) {
+    const last = recording.keyframes[recording.keyframes.length - 1];
+    if (last && state.time < last.time + recording.interval - 1e-9) return false;
+    
+    // Positions lie within half the world width of the origin, except for
+    // cells that stray out of an open domain, so the full width is ample
+    const keyframe = encodeKeyframe(state, worldSize);
+    recording.keyframes.push(keyframe);
+    recording.bytes += keyframe.data.byteLength;
+    while (recording.bytes > recording.maxBytes && recording.keyframes.length > 2) {
+        thinRecording(recording);
+    }
+    return true;
+}
+
+/**
+ * Note a change of domain layout or strains in a recording
+ * @param {Object} recording - The recording
+ * @param {string} kind - 'domains' or 'strains'
+ * @param {number} time - Simulated time from which the value applies
+ * @param {*} value - The domain layout or strain definitions
+ */
+export function addRecordingChange(recording, kind, time, value) {
+    const changes = recording[kind];
+    // A later change at the same time replaces the earlier one
+    while (changes.length > 0 && changes[changes.length - 1].time >= time) {
+        changes.pop();
+    }
+    changes.push(kind === 'domains' ? { time, domain: value } : { time, strains: value });
+}
+
+/**
+ * Find the entry of a time-ordered list in force at a time
+ * @param {Array<Object>} entries - Entries {time, ...}, by time
+ * @param {number} time - Simulated time in seconds
+ * @returns {number} Index of the last entry at or before the time (0 if none is)
+ */
+export function findEntry(entries, time) {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (entries[middle].time <= time) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Get the start and end times of a recording
+ * @param {Object} recording - The recording
+ * @returns {Object} Range {start, end} in simulated seconds (both 0 if it is empty)
+ */
+export function getRecordingRange(recording) {
+    const { keyframes } = recording;
+    return keyframes.length === 0
+        ? { start: 0, end: 0 }
+        : { start: keyframes[0].time, end: keyframes[keyframes.length - 1].time };
+}
+
+/**
+ * Create a sampler that rebuilds the cell state of a recording at any time
+ * 
+ * Between two keyframes, cells present in both move, turn and grow
+ * linearly; cells born since the earlier keyframe appear at the later one.
+ * The sampler keeps the two keyframes it last decoded, so playing forward
+ * decodes each keyframe once.
+ * @param {Object} recording - The recording
+ * @returns {Function} sample(time) returning a state {buffer, count, time, step}, or null if empty
+ */
+export function createSampler(recording) {
+    // Keyed by keyframe rather than index, as thinning moves keyframes
+    const decoded = new Map(); // Keyframe -> {state, rows: Map of ID -> row}
+    
+    const decode = keyframe => {
+        if (!decoded.has(keyframe)) {
+            if (decoded.size >= 2) {
+                decoded.delete(decoded.keys().next().value);
+            }
+            const state = decodeKeyframe(keyframe);
+            const rows = new Map();
+            for (let row = 0; row < state.count; row++) {
+                rows.set(state.buffer[row * StateBuffer.STATE_STRIDE + StateBuffer.STATE_FIELDS.ID], row);
+            }
+            decoded.set(keyframe, { state, rows });
+        }
+        return decoded.get(keyframe);
+    };
+    
+    return time => {
+        const { keyframes } = recording;
+        if (keyframes.length === 0) return null;
+        
+        const index = findEntry(keyframes, time);
+        const before = keyframes[index];
+        const after = keyframes[index + 1];
+        if (!after || time <= before.time) {
+            return decode(before).state;
+        }
+        
+        const from = decode(before).state;
+        const to = decode(after);
+        const t = Math.min(1, (time - before.time) / (after.time - before.time));
+        const buffer = from.buffer.slice(0, from.count * StateBuffer.STATE_STRIDE);
+        const blended = [StateBuffer.STATE_FIELDS.X, StateBuffer.STATE_FIELDS.Y,
+            StateBuffer.STATE_FIELDS.LENGTH, StateBuffer.STATE_FIELDS.RADIUS];
+        
+        for (let row = 0; row < from.count; row++) {
+            const offset = row * StateBuffer.STATE_STRIDE;
+            const target = to.rows.get(buffer[offset + StateBuffer.STATE_FIELDS.ID]);
+            if (target === undefined) continue;
+            
+            const targetOffset = target * StateBuffer.STATE_STRIDE;
+            blended.forEach(field => {
+                buffer[offset + field] += (to.state.buffer[targetOffset + field] - buffer[offset + field]) * t;
+            });
+            // Turn the short way round
+            const angle = buffer[offset + StateBuffer.STATE_FIELDS.ANGLE];
+            buffer[offset + StateBuffer.STATE_FIELDS.ANGLE] = angle
+                + wrapAngle(to.state.buffer[targetOffset + StateBuffer.STATE_FIELDS.ANGLE] - angle) * t;
+        }
+        
+        return {
+            buffer,
+            count: from.count,
+            time,
+            step: Math.round(before.step + (after.step - before.step) * t)
+        };
+    };
+}
+
+/**
+ * Serialize a recording to JSON text, with the keyframe bytes in base64
+ * @param {Object} recording - The recording
+ * @returns {string} JSON text
+ */
+export function serializeRecording(recording) {
+    return JSON.stringify({
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        interval: recording.interval,
+        domains: recording.domains,
+        strains: recording.strains,
+        keyframes: recording.keyframes.map(({ time, step, count, scale, data }) => ({
+            time, step, count, scale, data: Base64.bytesToBase64(data)
+        }))
+    });
+}
+
+/**
+ * Parse JSON text into a recording
+ * @param {string} text - JSON text written by serializeRecording
+ * @returns {Object} The recording
+ * @throws {Error} If the text is not a supported recording
+ */
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== RECORDING_FORMAT) {
+        throw new Error("Not an AgeEnt recording");
+    }
+    if (data.version > RECORDING_VERSION) {
+        throw new Error(`Recording version ${data.version} is newer than supported version ${RECORDING_VERSION}`);
+    }
+    
+    const recording = createRecording({ interval: data.interval });
+    recording.domains = data.domains ?? [];
+    recording.strains = data.strains ?? [];
+    recording.keyframes = (data.keyframes ?? []).map(({ time, step, count, scale, data: encoded }) => {
+        const bytes = Base64.base64ToBytes(encoded);
+        if (bytes.length !== count * BYTES_PER_CELL) {
+            throw new Error(`Recording keyframe at ${time} s is truncated`);
+        }
+        return { time, step, count, scale, data: bytes };
+    });
+    recording.bytes = recording.keyframes.reduce((sum, keyframe) => sum + keyframe.data.byteLength, 0);
+    // A loaded recording is never added to, so it is never thinned either
+    recording.maxBytes = Infinity;
+    return recording;
+}
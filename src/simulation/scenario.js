@@ -0,0 +1,486 @@
+/**
+ * Scenarios for AgeEnt
+ * 
+ * A scenario is a JSON document describing a whole experiment in one place:
+ * the population, the domain, the physics constants, the chemical fields,
+ * the flow, any other parameters and a timed schedule of interventions.
+ * Every section is optional; whatever a scenario leaves out keeps its
+ * default. For example:
+ * 
+ *   {
+ *     "format": "ageent-scenario", "version": 1,
+ *     "name": "Motility knockdown", "seed": 7, "worldSize": 120,
+ *     "population": {"count": 80, "strains": [...], "strainRatios": {"mutant": 3}},
+ *     "domain": "channels",
+ *     "physics": {"velocityDamping": 0.95, "angularDamping": 0.9},
+ *     "fields": {"resolution": 48, "nutrient": {"diffusion": 2}},
+ *     "flow": {"profile": "poiseuille", "speed": 2},
+ *     "parameters": {"adhesionStrength": 4},
+ *     "phenotypeRules": {"quorumThreshold": 0.05, "traits": {"dormant": {"adhesion": 3}}},
+ *     "schedule": [
+ *       {"time": 60, "type": "ramp", "duration": 30, "parameter": "flowSpeed", "to": 0},
+ *       {"time": 120, "type": "kill", "probability": 0.8, "susceptibility": {"matrixProducer": 0.2}}
+ *     ],
+ *     "run": {"duration": 600, "sampleInterval": 5}
+ *   }
+ * 
+ * Scenarios are checked against SCENARIO_SCHEMA before anything is changed,
+ * and every problem found is reported with its path. A sweep expands ranges
+ * of scenario values into one scenario per combination, for batch runs.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Parameters from './parameters.js';
+import * as Domain from './domain.js';
+import * as FlowField from './flowField.js';
+import * as Schedule from './schedule.js';
+import * as Strains from './strains.js';
+import * as GeneExpression from './geneExpression.js';
+
+// Format identification
+export const SCENARIO_FORMAT = 'ageent-scenario';
+export const SCENARIO_VERSION = 1;
+
+// Shape of a scenario. Each entry gives the accepted type(s) and optionally
+// enum, min, max, required keys, known properties (any other key is an
+// error) or a schema all values of a map share
+const FIELD_SCHEMA = {
+    type: 'object',
+    properties: {
+        diffusion: { type: 'number', min: 0 },
+        decay: { type: 'number', min: 0 },
+        initialValue: { type: 'number', min: 0 }
+    }
+};
+const TRAITS_SCHEMA = {
+    type: 'object',
+    properties: {
+        motility: { type: 'number', min: 0 },
+        tumbleRate: { type: 'number', min: 0 },
+        growthRate: { type: 'number', min: 0 },
+        signalProduction: { type: 'number', min: 0 },
+        adhesion: { type: 'number', min: 0 },
+        substrateAttachment: { type: 'number', min: 0 }
+    }
+};
+export const SCENARIO_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version'],
+    properties: {
+        format: { type: 'string', enum: [SCENARIO_FORMAT] },
+        version: { type: 'integer', min: 1, max: SCENARIO_VERSION },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        seed: { type: 'integer', min: 0 },
+        worldSize: { type: 'number', min: 1 },
+        population: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', min: 0 },
+                bacteriumLength: { type: 'number', min: 0.05 },
+                bacteriumRadius: { type: 'number', min: 0.05 },
+                strains: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string' },
+                            label: { type: 'string' },
+                            color: { type: 'string' },
+                            ratio: { type: 'number', min: 0 },
+                            traits: { type: 'object' }
+                        }
+                    }
+                },
+                strainRatios: { type: 'object', values: { type: 'number', min: 0 } }
+            }
+        },
+        domain: { type: ['string', 'object'] },
+        physics: {
+            type: 'object',
+            properties: {
+                velocityDamping: { type: 'number', min: 0, max: 1 },
+                angularDamping: { type: 'number', min: 0, max: 1 }
+            }
+        },
+        fields: {
+            type: 'object',
+            properties: {
+                resolution: { type: 'integer', min: 2, max: 512 },
+                nutrient: FIELD_SCHEMA,
+                attractant: FIELD_SCHEMA,
+                signal: FIELD_SCHEMA
+            }
+        },
+        flow: {
+            type: 'object',
+            properties: {
+                profile: { type: 'string', enum: Object.keys(FlowField.FLOW_PROFILES) },
+                speed: { type: 'number' },
+                drag: { type: 'number', min: 0 },
+                grid: { type: 'object' }
+            }
+        },
+        parameters: { type: 'object', values: { type: 'number' } },
+        phenotypeRules: {
+            type: 'object',
+            properties: {
+                signalProductionRate: { type: 'number', min: 0 },
+                signalUptakeRate: { type: 'number', min: 0 },
+                autoinducerDegradation: { type: 'number', min: 0 },
+                quorumThreshold: { type: 'number', min: 0 },
+                dormancyNutrientThreshold: { type: 'number', min: 0 },
+                hysteresis: { type: 'number', min: 0, max: 1 },
+                traits: {
+                    type: 'object',
+                    properties: Object.fromEntries(
+                        Object.values(GeneExpression.PHENOTYPES).map(phenotype => [phenotype, TRAITS_SCHEMA])
+                    )
+                }
+            }
+        },
+        schedule: {
+            type: 'array',
+            // What each event type needs is checked by Schedule.validateSchedule
+            items: {
+                type: 'object',
+                required: ['time'],
+                properties: {
+                    type: { type: 'string', enum: ['set', 'ramp', 'field', 'kill', 'arrest'] },
+                    time: { type: 'number', min: 0 },
+                    duration: { type: 'number', min: 0 },
+                    parameter: { type: 'string' },
+                    value: { type: 'number' },
+                    from: { type: 'number' },
+                    to: { type: 'number' },
+                    field: { type: 'string' },
+                    probability: { type: 'number', min: 0, max: 1 },
+                    susceptibility: { type: 'object', values: { type: 'number', min: 0 } }
+                }
+            }
+        },
+        run: {
+            type: 'object',
+            properties: {
+                duration: { type: 'number', min: 0 },
+                sampleInterval: { type: 'number', min: 1e-6 }
+            }
+        }
+    }
+};
+
+// Scenario sections that set registered parameters, by parameter name
+const SECTION_PARAMETERS = {
+    physics: { velocityDamping: 'velocityDamping', angularDamping: 'angularDamping' },
+    flow: { speed: 'flowSpeed', drag: 'flowDrag' }
+};
+
+// Scenario state
+let activeScenario = null; // Scenario the running simulation was started from
+
+/**
+ * Check whether a value has one of the schema types
+ * @param {*} value - The value
+ * @param {string} type - 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'number':
+            return Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Check a value against a schema entry, collecting every problem
+ * @param {*} value - The value
+ * @param {Object} schema - Schema entry (see SCENARIO_SCHEMA)
+ * @param {string} path - Path of the value, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ */
+function checkValue(value, schema, path, errors) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return;
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.min !== undefined && value < schema.min) {
+            errors.push(`${path} must be at least ${schema.min}`);
+        }
+        if (schema.max !== undefined && value > schema.max) {
+            errors.push(`${path} must be at most ${schema.max}`);
+        }
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+    if (hasType(value, 'object')) {
+        (schema.required ?? []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const itemSchema = schema.properties?.[key] ?? schema.values;
+            if (itemSchema) {
+                checkValue(item, itemSchema, `${path}.${key}`, errors);
+            } else if (schema.properties) {
+                errors.push(`${path}.${key} is not a known setting`);
+            }
+        });
+    }
+}
+
+/**
+ * Check that an object is a scenario this version can run
+ * 
+ * Besides the schema, parameter names, strains, schedule events, the domain
+ * layout and the flow grid are checked against what the simulation actually
+ * supports.
+ * @param {Object} scenario - The candidate scenario
+ * @throws {Error} Listing every problem found
+ */
+export function validateScenario(scenario) {
+    const errors = [];
+    checkValue(scenario, SCENARIO_SCHEMA, 'scenario', errors);
+    
+    if (errors.length === 0) {
+        Object.keys(scenario.parameters ?? {}).forEach(name => {
+            if (!Parameters.hasParameter(name)) {
+                errors.push(`scenario.parameters.${name} is not a known parameter`);
+            }
+        });
+        try {
+            Schedule.validateSchedule(scenario.schedule ?? []);
+        } catch (error) {
+            errors.push(`scenario.schedule: ${error.message}`);
+        }
+        
+        // Checking strains, building the geometry and parsing the grid have no side effects
+        const population = scenario.population ?? {};
+        if (population.strains) {
+            try {
+                const names = Strains.normalizeStrains(population.strains).map(strain => strain.name);
+                Object.keys(population.strainRatios ?? {}).forEach(name => {
+                    if (!names.includes(name)) {
+                        errors.push(`scenario.population.strainRatios.${name} is not a defined strain`);
+                    }
+                });
+            } catch (error) {
+                errors.push(`scenario.population.strains: ${error.message}`);
+            }
+        }
+        if (scenario.domain !== undefined) {
+            try {
+                Domain.buildDomain(scenario.domain, scenario.worldSize ?? 100);
+            } catch (error) {
+                errors.push(`scenario.domain: ${error.message}`);
+            }
+        }
+        if (scenario.flow?.grid) {
+            try {
+                FlowField.parseFlowGrid(JSON.stringify(scenario.flow.grid));
+            } catch (error) {
+                errors.push(`scenario.flow.grid: ${error.message}`);
+            }
+        } else if (scenario.flow?.profile === 'grid') {
+            errors.push("scenario.flow.profile is 'grid' but no scenario.flow.grid is given");
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario:\n  ${errors.join('\n  ')}`);
+    }
+}
+
+/**
+ * Parse JSON text into a scenario
+ * @param {string} text - JSON text
+ * @returns {Object} The scenario
+ * @throws {Error} If the text is not a valid scenario
+ */
+export function parseScenario(text) {
+    const scenario = JSON.parse(text);
+    validateScenario(scenario);
+    return scenario;
+}
+
+/**
+ * Get the initialization options a scenario sets
+ * @param {Object} scenario - A valid scenario
+ * @returns {Object} Options for SimulationManager.initSimulation
+ */
+export function getSimulationOptions(scenario) {
+    const population = scenario.population ?? {};
+    return {
+        seed: scenario.seed,
+        worldSize: scenario.worldSize,
+        bacteriaCount: population.count,
+        bacteriumLength: population.bacteriumLength,
+        bacteriumRadius: population.bacteriumRadius,
+        strains: population.strains,
+        strainRatios: population.strainRatios,
+        domain: scenario.domain,
+        fields: scenario.fields
+    };
+}
+
+/**
+ * Restart the simulation from a scenario
+ * 
+ * The running simulation is torn down, every parameter is restored to its
+ * default and the simulation is initialized again with the scenario's
+ * settings. The caller resets any clock of its own.
+ * @param {Object} scenario - The scenario
+ * @param {string} [rapierUrl] - Where to load Rapier from (see initPhysics)
+ * @returns {Promise} Promise that resolves when the simulation is running
+ * @throws {Error} If the scenario is not valid
+ */
+export async function startScenario(scenario, rapierUrl) {
+    validateScenario(scenario);
+    
+    SimulationManager.cleanupSimulation();
+    SimulationManager.resetParameters();
+    await SimulationManager.initSimulation({ ...getSimulationOptions(scenario), rapierUrl });
+    
+    activeScenario = JSON.parse(JSON.stringify(scenario));
+    applyScenarioSettings();
+}
+
+/**
+ * Apply the phenotype rules, parameters, flow and schedule of the active scenario
+ * 
+ * Called after a start and after every reset, which restores the defaults.
+ * Parameters are applied after the rules, so they win where both set one.
+ */
+export function applyScenarioSettings() {
+    if (!activeScenario) return;
+    
+    if (activeScenario.phenotypeRules) {
+        GeneExpression.setPhenotypeRules(activeScenario.phenotypeRules);
+    }
+    Object.entries(activeScenario.parameters ?? {}).forEach(([name, value]) => {
+        Parameters.setParameter(name, value);
+    });
+    Object.entries(SECTION_PARAMETERS).forEach(([section, names]) => {
+        Object.entries(names).forEach(([key, parameter]) => {
+            const value = activeScenario[section]?.[key];
+            if (value !== undefined) {
+                Parameters.setParameter(parameter, value);
+            }
+        });
+    });
+    
+    const flow = activeScenario.flow ?? {};
+    if (flow.grid) {
+        FlowField.setFlowGrid(FlowField.parseFlowGrid(JSON.stringify(flow.grid)));
+    }
+    if (flow.profile) {
+        FlowField.setFlowProfile(flow.profile);
+    }
+    
+    Schedule.setSchedule(activeScenario.schedule ?? []);
+}
+
+/**
+ * Get the scenario the running simulation was started from
+ * @returns {Object|null} A copy of the scenario, or null if there is none
+ */
+export function getActiveScenario() {
+    return activeScenario ? JSON.parse(JSON.stringify(activeScenario)) : null;
+}
+
+/**
+ * Set the active scenario without restarting anything, e.g. from a snapshot
+ * @param {Object|null} scenario - The scenario, or null
+ */
+export function setActiveScenario(scenario) {
+    activeScenario = scenario ? JSON.parse(JSON.stringify(scenario)) : null;
+}
+
+/**
+ * Set a value at a dotted path, creating objects along the way
+ * @param {Object} target - Object to change
+ * @param {string} path - Dotted path, e.g. 'population.count'
+ * @param {*} value - The value
+ */
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let node = target;
+    keys.forEach(key => {
+        if (node[key] === null || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        node = node[key];
+    });
+    node[last] = value;
+}
+
+/**
+ * Turn one sweep entry into the list of values it covers
+ * @param {string} path - Dotted path the entry sweeps, for error messages
+ * @param {Array|Object} range - A list of values, or {from, to, steps} for evenly spaced numbers
+ * @returns {Array} The values
+ * @throws {Error} If the range is not valid
+ */
+function expandRange(path, range) {
+    if (Array.isArray(range)) {
+        if (range.length === 0) {
+            throw new Error(`Sweep of ${path} has no values`);
+        }
+        return range;
+    }
+    
+    const { from, to, steps } = range ?? {};
+    if (!Number.isFinite(from) || !Number.isFinite(to) || !Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Sweep of ${path} needs a list of values or {from, to, steps}`);
+    }
+    if (steps === 1) return [from];
+    return Array.from({ length: steps }, (_, index) => from + (to - from) * index / (steps - 1));
+}
+
+/**
+ * Expand a sweep into one scenario per combination of values
+ * 
+ * A sweep maps dotted scenario paths to the values they take, e.g.
+ *   {"parameters.motilityStrength": [0.1, 0.3, 0.5],
+ *    "population.count": {"from": 20, "to": 80, "steps": 4},
+ *    "seed": [1, 2, 3]}
+ * gives 3 x 4 x 3 = 36 runs. The last path varies fastest.
+ * @param {Object} scenario - The base scenario
+ * @param {Object} sweep - Values per path
+ * @returns {Array<Object>} Runs {variables: {path: value}, scenario}
+ * @throws {Error} If a range or any expanded scenario is not valid
+ */
+export function expandSweep(scenario, sweep) {
+    let runs = [{ variables: {} }];
+    Object.entries(sweep).forEach(([path, range]) => {
+        const values = expandRange(path, range);
+        runs = runs.flatMap(run => values.map(value => ({
+            variables: { ...run.variables, [path]: value }
+        })));
+    });
+    
+    return runs.map(({ variables }) => {
+        const expanded = JSON.parse(JSON.stringify(scenario));
+        Object.entries(variables).forEach(([path, value]) => setPath(expanded, path, value));
+        validateScenario(expanded);
+        return { variables, scenario: expanded };
+    });
+}
@@ -0,0 +1,254 @@
+/**
+ * Intervention schedule for AgeEnt
+ * 
+ * A schedule is a list of events tied to simulated time that model a
+ * treatment protocol: stepping or ramping any registered parameter (see
+ * parameters.js), shifting the concentration of a chemical field, and
+ * killing or arresting the growth of cells. Each event fires on the first
+ * step that reaches its time. The schedule follows the simulated time
+ * through an observer on the simulation manager, so it runs the same in the
+ * worker and in headless runs, and it starts over when time runs backwards
+ * (a reset).
+ * 
+ * Events (type defaults to 'set'):
+ *   {type: 'set', time, parameter, value}             step a parameter
+ *   {type: 'ramp', time, duration, parameter, to}     move it linearly to a value,
+ *                                                     from its current value or from
+ *   {type: 'field', time, field, value}               set a field everywhere, e.g. a
+ *                                                     nutrient shift
+ *   {type: 'kill', time, probability, susceptibility} remove cells
+ *   {type: 'arrest', time, probability, susceptibility, duration}
+ *                                                     stop cells growing, for duration
+ *                                                     seconds or for good
+ * Kill and arrest events hit each cell with chance probability (default 1)
+ * times the susceptibility of its phenotype (default 1 for phenotypes left
+ * out), so e.g. {motile: 1, matrixProducer: 0.2} models a drug that mostly
+ * spares matrix producers. Dead cells are removed from the physics world
+ * and from the population the renderers draw.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Parameters from './parameters.js';
+import * as Chemistry from './chemistry.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Random from './random.js';
+
+// Event types with the numeric settings each one needs
+const EVENT_TYPES = {
+    set: ['value'],
+    ramp: ['duration', 'to'],
+    field: ['value'],
+    kill: [],
+    arrest: []
+};
+const PHENOTYPE_NAMES = Object.values(GeneExpression.PHENOTYPES);
+
+// Schedule state
+let events = []; // Events sorted by time
+let nextEvent = 0; // Index of the first event that has not fired
+let lastTime = 0; // Simulated time the schedule was last advanced to
+let activeRamps = []; // Ramps under way {index, from}
+
+// Fires the events the simulation has reached after every update
+const scheduleObserver = {
+    onSimulationUpdated() {
+        advanceSchedule(SimulationManager.getSimulationTime());
+    }
+};
+
+/**
+ * Check a schedule event and fill in its defaults
+ * @param {Object} event - The event
+ * @param {number} index - Position of the event in the schedule, for error messages
+ * @returns {Object} A complete copy of the event
+ * @throws {Error} If the event is not valid
+ */
+function normalizeEvent(event, index) {
+    const type = event?.type ?? 'set';
+    if (!(type in EVENT_TYPES)) {
+        throw new Error(`Schedule event ${index} has unknown type ${type} (${Object.keys(EVENT_TYPES).join(', ')})`);
+    }
+    if (!Number.isFinite(event.time) || event.time < 0) {
+        throw new Error(`Schedule event ${index} needs a time of zero or more`);
+    }
+    EVENT_TYPES[type].forEach(key => {
+        if (!Number.isFinite(event[key])) {
+            throw new Error(`Schedule event ${index} (${type}) needs a numeric ${key}`);
+        }
+    });
+    
+    const normalized = { ...event, type };
+    if (type === 'set' || type === 'ramp') {
+        if (!Parameters.hasParameter(event.parameter)) {
+            throw new Error(`Schedule event ${index} sets unknown parameter ${event.parameter}`);
+        }
+        if (type === 'ramp' && (event.duration <= 0 || (event.from !== undefined && !Number.isFinite(event.from)))) {
+            throw new Error(`Schedule event ${index} (ramp) needs a positive duration and a numeric from, if any`);
+        }
+    } else if (type === 'field') {
+        if (!Chemistry.FIELD_NAMES.includes(event.field)) {
+            throw new Error(`Schedule event ${index} sets unknown field ${event.field}`);
+        }
+    } else {
+        normalized.probability = event.probability ?? 1;
+        normalized.susceptibility = { ...event.susceptibility };
+        if (!Number.isFinite(normalized.probability) || normalized.probability < 0 || normalized.probability > 1) {
+            throw new Error(`Schedule event ${index} (${type}) needs a probability between 0 and 1`);
+        }
+        Object.entries(normalized.susceptibility).forEach(([phenotype, factor]) => {
+            if (!PHENOTYPE_NAMES.includes(phenotype)) {
+                throw new Error(`Schedule event ${index} gives a susceptibility for unknown phenotype ${phenotype}`);
+            }
+            if (!Number.isFinite(factor) || factor < 0) {
+                throw new Error(`Schedule event ${index} needs susceptibilities of zero or more`);
+            }
+        });
+        if (type === 'arrest' && event.duration !== undefined && !(event.duration > 0)) {
+            throw new Error(`Schedule event ${index} (arrest) needs a positive duration, if any`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Check a list of events without changing the schedule
+ * @param {Array<Object>} definitions - Events (see the module comment)
+ * @returns {Array<Object>} Complete copies of the events, sorted by time
+ * @throws {Error} If an event is not valid
+ */
+export function validateSchedule(definitions) {
+    if (!Array.isArray(definitions)) {
+        throw new Error("A schedule must be a list of events");
+    }
+    
+    // The sort is stable, so events at the same time fire in the order given
+    return definitions.map(normalizeEvent).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replace the schedule
+ * 
+ * Events at or before the current simulated time fire at once.
+ * @param {Array<Object>} definitions - Events (see the module comment)
+ * @throws {Error} If an event is not valid
+ */
+export function setSchedule(definitions) {
+    events = validateSchedule(definitions);
+    nextEvent = 0;
+    lastTime = 0;
+    activeRamps = [];
+    
+    if (events.length > 0) {
+        SimulationManager.addObserver(scheduleObserver);
+        advanceSchedule(SimulationManager.getSimulationTime());
+    } else {
+        SimulationManager.removeObserver(scheduleObserver);
+    }
+}
+
+/**
+ * Remove all events
+ */
+export function clearSchedule() {
+    setSchedule([]);
+}
+
+/**
+ * Get the scheduled events
+ * @returns {Array<Object>} Copies of the events, sorted by time
+ */
+export function getSchedule() {
+    return JSON.parse(JSON.stringify(events));
+}
+
+/**
+ * Pick the cells a kill or arrest event hits
+ * @param {Object} event - The event
+ * @returns {Array<Object>} The bacterium entities hit
+ */
+function selectCells(event) {
+    return SimulationManager.getBacteria().filter(bacterium => {
+        const susceptibility = event.susceptibility[bacterium.geneState.phenotype] ?? 1;
+        return Random.random() < event.probability * susceptibility;
+    });
+}
+
+/**
+ * Carry out one event
+ * @param {number} index - Index of the event
+ */
+function fireEvent(index) {
+    const event = events[index];
+    switch (event.type) {
+        case 'ramp':
+            activeRamps.push({ index, from: event.from ?? Parameters.getParameter(event.parameter) });
+            break;
+        case 'field':
+            Chemistry.fillField(event.field, event.value);
+            break;
+        case 'kill':
+            selectCells(event).forEach(SimulationManager.removeBacterium);
+            break;
+        case 'arrest':
+            selectCells(event).forEach(bacterium => SimulationManager.arrestGrowth(bacterium, event.duration));
+            break;
+        default:
+            Parameters.setParameter(event.parameter, event.value);
+    }
+}
+
+/**
+ * Set a ramping parameter to its value at a time
+ * @param {Object} ramp - Ramp {index, from}
+ * @param {number} time - Simulated time in seconds
+ * @returns {boolean} True while the ramp is still under way
+ */
+function applyRamp(ramp, time) {
+    const event = events[ramp.index];
+    const progress = Math.min(1, (time - event.time) / event.duration);
+    Parameters.setParameter(event.parameter, ramp.from + (event.to - ramp.from) * progress);
+    return progress < 1;
+}
+
+/**
+ * Fire every event up to a simulated time and move ramps along
+ * @param {number} time - Simulated time in seconds
+ */
+export function advanceSchedule(time) {
+    // Time running backwards means the run was reset; replay from the start
+    if (time < lastTime) {
+        nextEvent = 0;
+        activeRamps = [];
+    }
+    lastTime = time;
+    
+    while (nextEvent < events.length && events[nextEvent].time <= time + 1e-9) {
+        fireEvent(nextEvent++);
+    }
+    activeRamps = activeRamps.filter(ramp => applyRamp(ramp, time));
+}
+
+/**
+ * Get the events and how far the schedule has run, e.g. for snapshots
+ * @returns {Object} State {events, nextEvent, lastTime, ramps}
+ */
+export function getScheduleState() {
+    return { events: getSchedule(), nextEvent, lastTime, ramps: activeRamps.map(ramp => ({ ...ramp })) };
+}
+
+/**
+ * Restore a state returned by getScheduleState without firing any events
+ * @param {Object} state - Saved state
+ */
+export function setScheduleState(state) {
+    events = validateSchedule(state.events);
+    nextEvent = Math.min(state.nextEvent ?? 0, events.length);
+    lastTime = state.lastTime ?? 0;
+    activeRamps = (state.ramps ?? []).filter(ramp => ramp.index < events.length).map(ramp => ({ ...ramp }));
+    
+    if (events.length > 0) {
+        SimulationManager.addObserver(scheduleObserver);
+    } else {
+        SimulationManager.removeObserver(scheduleObserver);
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * Main-thread side of the simulation worker for AgeEnt
+ * 
+ * Starts simulationWorker.js and stands in for the simulation modules on
+ * the page: the latest published frame is kept for the renderer, the last
+ * settings the worker reported are cached so controls can read them
+ * synchronously, and changes are sent to the worker as messages.
+ */
+
+// Client state
+let worker = null;
+let latestFrame = null; // Most recent frame {buffer, count, time, step, paused, ...}
+let settings = { parameters: {} }; // Last settings reported by the worker
+let strains = []; // Strain definitions, in the order of their codes in state buffers
+let observers = [];
+let nextRequestId = 1;
+let pendingRequests = new Map(); // Request ID -> {resolve, reject}
+
+/**
+ * Start the worker and initialize the simulation in it
+ * @param {Object} [options] - Simulation options (see SimulationManager.initSimulation)
+ * @param {Object} [scenario] - Scenario to start from instead (see scenario.js); the
+ *   options are only used if it cannot be started
+ * @returns {Promise} Promise that resolves when the simulation is running
+ */
+export function startSimulation(options = {}, scenario = null) {
+    // The page's import map does not reach the worker, so resolve Rapier here
+    const rapierUrl = import.meta.resolve('rapier');
+    
+    worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', onWorkerMessage);
+    // A worker that fails to load never answers, so fail what waits on it
+    worker.addEventListener('error', (event) => {
+        const message = event.message ?? "the worker failed to load";
+        console.error("Simulation worker error:", message);
+        rejectPendingRequests(new Error(`Simulation worker error: ${message}`));
+    });
+    worker.addEventListener('messageerror', () => {
+        rejectPendingRequests(new Error("A message from the simulation worker could not be read"));
+    });
+    
+    return request('init', { options, scenario, rapierUrl });
+}
+
+/**
+ * Fail every request still waiting for the worker
+ * @param {Error} error - The reason
+ */
+function rejectPendingRequests(error) {
+    const pending = [...pendingRequests.values()];
+    pendingRequests.clear();
+    pending.forEach(({ reject }) => reject(error));
+}
+
+/**
+ * Handle a message from the worker
+ * @param {MessageEvent} event - The message
+ */
+function onWorkerMessage(event) {
+    const message = event.data;
+    
+    if (message.type === 'frame') {
+        // Hand the previous state buffer back for reuse
+        if (latestFrame) {
+            send('returnBuffer', { buffer: latestFrame.buffer.buffer }, [latestFrame.buffer.buffer]);
+        }
+        latestFrame = message;
+    } else if (message.type === 'settings') {
+        settings = message.settings;
+    } else if (message.type === 'domain') {
+        notifyObservers('onDomainChanged', message.domain);
+    } else if (message.type === 'strains') {
+        strains = message.strains;
+        notifyObservers('onStrainsChanged', strains);
+    } else if (message.type === 'response') {
+        const pending = pendingRequests.get(message.id);
+        if (!pending) return;
+        
+        pendingRequests.delete(message.id);
+        if (message.error) {
+            pending.reject(new Error(message.error));
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+}
+
+/**
+ * Send a message to the worker without waiting for an answer
+ * @param {string} type - Message type (see simulationWorker.js)
+ * @param {Object} [payload] - Message payload
+ * @param {Array} [transfer] - Objects to transfer rather than copy
+ */
+function send(type, payload = {}, transfer = []) {
+    if (!worker) return;
+    worker.postMessage({ type, payload }, transfer);
+}
+
+/**
+ * Send a message to the worker and wait for its result
+ * @param {string} type - Message type (see simulationWorker.js)
+ * @param {Object} [payload] - Message payload
+ * @returns {Promise} Promise that resolves with the handler's result
+ */
+export function request(type, payload = {}) {
+    if (!worker) {
+        return Promise.reject(new Error("Simulation worker not started"));
+    }
+    
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        worker.postMessage({ type, payload, id });
+    });
+}
+
+/**
+ * Register an observer; observers may implement onDomainChanged(domain)
+ * and onStrainsChanged(strains)
+ * @param {Object} observer - The observer to add
+ */
+export function addObserver(observer) {
+    if (!observers.includes(observer)) {
+        observers.push(observer);
+    }
+}
+
+/**
+ * Call a method on every observer that implements it
+ * @param {string} method - Observer method name
+ * @param {...*} args - Arguments passed to the method
+ */
+function notifyObservers(method, ...args) {
+    observers.forEach(observer => {
+        if (typeof observer[method] === 'function') {
+            observer[method](...args);
+        }
+    });
+}
+
+/**
+ * Get the most recent frame published by the worker
+ * @returns {Object|null} Frame {buffer, count, time, step, paused, forces?, contacts?, flow?, field?}
+ */
+export function getFrame() {
+    return latestFrame;
+}
+
+/**
+ * Choose which overlay data the worker adds to its frames
+ * @param {Object} contents - Any of {forces: boolean, contacts: boolean, flow: boolean, field: name or 'none'}
+ */
+export function setFrameContents(contents) {
+    send('setFrameContents', contents);
+}
+
+/**
+ * Get a simulation parameter as last reported by the worker
+ * @param {string} name - Parameter name (see parameters.js)
+ * @returns {number} Parameter value
+ */
+export function getParameter(name) {
+    return settings.parameters[name];
+}
+
+/**
+ * Set a simulation parameter
+ * @param {string} name - Parameter name (see parameters.js)
+ * @param {number} value - New value; the worker clamps it and reports back
+ */
+export function setParameter(name, value) {
+    settings.parameters[name] = value;
+    send('setParameter', { name, value });
+}
+
+/**
+ * Get the name of the current domain layout
+ * @returns {string} Layout name
+ */
+export function getDomainLayout() {
+    return settings.domainLayout;
+}
+
+/**
+ * Switch the domain to another layout
+ * @param {string} layout - Layout name (see domain.js)
+ */
+export function setDomainLayout(layout) {
+    settings.domainLayout = layout;
+    send('setDomainLayout', { layout });
+}
+
+/**
+ * Get the name of the current flow profile
+ * @returns {string} Profile name
+ */
+export function getFlowProfile() {
+    return settings.flowProfile;
+}
+
+/**
+ * Switch the flow field to another profile
+ * @param {string} profile - Profile name (see flowField.js)
+ */
+export function setFlowProfile(profile) {
+    settings.flowProfile = profile;
+    send('setFlowProfile', { profile });
+}
+
+/**
+ * Load a flow grid file and switch to the grid profile
+ * @param {string} text - Contents of the file (see FlowField.parseFlowGrid)
+ * @returns {Promise} Promise that rejects if the file is not a valid flow grid
+ */
+export function loadFlowGrid(text) {
+    return request('loadFlowGrid', { text });
+}
+
+/**
+ * Get the strain definitions
+ * @returns {Array<Object>} Strains (see strains.js), indexed by their state buffer code
+ */
+export function getStrains() {
+    return strains;
+}
+
+/**
+ * Replace the strains with definitions from a file and reseed the population
+ * @param {string} text - Contents of the file (see Strains.parseStrains)
+ * @returns {Promise} Promise that rejects if the definitions are invalid
+ */
+export function loadStrains(text) {
+    return request('loadStrains', { text });
+}
+
+/**
+ * Restart the simulation from a scenario file
+ * @param {string} text - Contents of the file (see Scenario.parseScenario)
+ * @returns {Promise} Promise that rejects if the scenario is invalid
+ */
+export function loadScenario(text) {
+    return request('loadScenario', { text });
+}
+
+/**
+ * Get the seed of the random number generator
+ * @returns {number} Seed
+ */
+export function getSeed() {
+    return settings.seed;
+}
+
+/**
+ * Restart the random sequence from a seed
+ * @param {number} seed - New seed
+ */
+export function setSeed(seed) {
+    settings.seed = seed;
+    send('setSeed', { seed });
+}
+
+/**
+ * Check whether the simulation is paused
+ * @returns {boolean} True if paused
+ */
+export function isPaused() {
+    return Boolean(latestFrame?.paused ?? settings.paused);
+}
+
+/**
+ * Pause or resume the simulation
+ * @returns {boolean} Whether the simulation is now paused
+ */
+export function togglePause() {
+    const paused = !isPaused();
+    settings.paused = paused;
+    if (latestFrame) {
+        latestFrame.paused = paused;
+    }
+    send('setPaused', { paused });
+    return paused;
+}
+
+/**
+ * Get the simulated time of the latest frame
+ * @returns {number} Simulated time in seconds
+ */
+export function getElapsedTime() {
+    return latestFrame?.time ?? 0;
+}
+
+/**
+ * Reset the simulation and its clock
+ * @returns {Promise} Promise that resolves once the worker has reset
+ */
+export function resetSimulation() {
+    return request('reset');
+}
+
+/**
+ * Check whether metrics are being recorded
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+    return Boolean(settings.recording);
+}
+
+/**
+ * Start or stop recording metrics
+ * @param {boolean} recording - Whether to record
+ */
+export function setRecording(recording) {
+    settings.recording = recording;
+    send('setRecording', { recording });
+}
+
+/**
+ * Get the simulated time between metrics samples
+ * @returns {number} Interval in seconds
+ */
+export function getSampleInterval() {
+    return settings.sampleInterval;
+}
+
+/**
+ * Set the simulated time between metrics samples
+ * @param {number} interval - Interval in seconds
+ */
+export function setSampleInterval(interval) {
+    settings.sampleInterval = interval;
+    send('setSampleInterval', { interval });
+}
+
+/**
+ * Get the full state of one bacterium, e.g. for the inspector
+ * @param {number} id - Bacterium ID
+ * @returns {Promise} Promise of the state (see SimulationManager.exportState), or null if it is gone
+ */
+export function inspectBacterium(id) {
+    return request('inspectBacterium', { id });
+}
+
+/**
+ * Grab a bacterium so it can be dragged
+ * @param {number} id - Bacterium ID
+ * @param {Object} point - Grab point {x, y}
+ */
+export function startDrag(id, point) {
+    send('startDrag', { id, point });
+}
+
+/**
+ * Move the grabbed point of the dragged bacterium
+ * @param {Object} point - Target position {x, y}
+ */
+export function moveDrag(point) {
+    send('moveDrag', { point });
+}
+
+/**
+ * Let go of the dragged bacterium
+ */
+export function endDrag() {
+    send('endDrag');
+}
+
+/**
+ * Seed a single cell at a point
+ * @param {Object} point - Position {x, y}
+ */
+export function spawnBacterium(point) {
+    send('spawnBacterium', { point });
+}
+
+/**
+ * Remove a bacterium
+ * @param {number} id - Bacterium ID
+ */
+export function removeBacterium(id) {
+    send('removeBacterium', { id });
+}
+
+/**
+ * Seed a patch of cells at random spots in a disc
+ * @param {Object} center - Center of the patch {x, y}
+ * @param {number} radius - Radius of the patch
+ * @param {number} count - Number of cells to seed
+ */
+export function inoculate(center, radius, count) {
+    send('inoculate', { center, radius, count });
+}
@@ -6,12 +6,23 @@
  */
 
 import * as Physics from './physics.js';
+import * as Random from './random.js';
+import * as Clock from './clock.js';
+import * as Chemistry from './chemistry.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Adhesion from './adhesion.js';
+import * as Domain from './domain.js';
+import * as FlowField from './flowField.js';
+import * as Strains from './strains.js';
+import * as StateBuffer from './stateBuffer.js';
 
 // Simulation state
 let simulationInitialized = false;
 let bacteriaEntities = [];
 let boundaryWalls = [];
-let externalForce = { x: 0, y: 0, z: 0 };
+let domain = null; // Geometry of the active domain layout (see domain.js)
+let externalForceComponents = {}; // Named uniform force sources, e.g. gravity
+let externalForce = { x: 0, y: 0 }; // Sum of all components
 
 // Simulation parameters
 const DEFAULT_MOTILITY = 0.3;
@@ -19,17 +30,73 @@ const DEFAULT_TUMBLE_RATE = 0.05;
 let motilityStrength = DEFAULT_MOTILITY;
 let tumbleRate = DEFAULT_TUMBLE_RATE;
 
+// Population defaults (overridable through initSimulation options)
+const DEFAULT_BACTERIA_COUNT = 50;
+const DEFAULT_WORLD_SIZE = 100;
+const DEFAULT_BACTERIUM_LENGTH = 4;
+const DEFAULT_BACTERIUM_RADIUS = 0.5;
+let worldSize = DEFAULT_WORLD_SIZE;
+let seedCount = DEFAULT_BACTERIA_COUNT; // Size of the initial population
+
+// Growth and division parameters
+const DEFAULT_GROWTH_RATE = 0.1; // Length units per simulated second
+const DEFAULT_DIVISION_LENGTH = 8;
+const DIVISION_LENGTH_NOISE = 0.1; // Relative spread of each cell's division length
+const DIVISION_ANGLE_NOISE = 0.05; // Radians of heading jitter given to daughters
+const RESIZE_THRESHOLD = 0.1; // Length change before the collider is rebuilt
+let seedLength = DEFAULT_BACTERIUM_LENGTH; // Size of newly seeded cells
+let seedRadius = DEFAULT_BACTERIUM_RADIUS;
+let growthRate = DEFAULT_GROWTH_RATE;
+let divisionLength = DEFAULT_DIVISION_LENGTH;
+let nextBacteriumId = 1;
+let simulationTime = 0;
+let stepCount = 0;
+
+// Observers notified of population changes and updates (e.g. the 3D view)
+let observers = [];
+
+// Flat per-cell state handed to renderers (see stateBuffer.js)
+let stateBuffer = StateBuffer.createStateBuffer(DEFAULT_BACTERIA_COUNT);
+
 /**
- * Initialize the simulation
+ * Initialize the simulation and seed the initial population
+ * @param {Object} [options] - Simulation options
+ * @param {number} [options.bacteriaCount] - Number of bacteria to spawn
+ * @param {number} [options.worldSize] - Size of the square world
+ * @param {number} [options.bacteriumLength] - Length of each bacterium, unless its strain sets it
+ * @param {number} [options.bacteriumRadius] - Radius of each bacterium, unless its strain sets it
+ * @param {Array<Object>} [options.strains] - Strain definitions (see strains.js)
+ * @param {Object} [options.strainRatios] - Mixture ratio per strain name, overriding the definitions
+ * @param {number} [options.seed] - Seed for the random number generator
+ * @param {Object} [options.fields] - Chemical field configuration (see initChemistry)
+ * @param {string|Object} [options.domain] - Domain layout name or layout object (see domain.js)
+ * @param {string} [options.rapierUrl] - Where to load Rapier from (see initPhysics)
  * @returns {Promise} Promise that resolves when simulation is initialized
  */
-export async function initSimulation() {
+export async function initSimulation(options = {}) {
     try {
         // Initialize the physics engine
-        await Physics.initPhysics();
+        await Physics.initPhysics(options.rapierUrl);
         
+        worldSize = options.worldSize ?? DEFAULT_WORLD_SIZE;
+        setSeed(options.seed ?? Random.getSeed());
+        Chemistry.initChemistry(worldSize, options.fields);
+        FlowField.initFlow(worldSize);
+        setStrains(options.strains ?? Strains.DEFAULT_STRAINS);
+        if (options.strainRatios) {
+            Strains.setStrainRatios(options.strainRatios);
+        }
         simulationInitialized = true;
-        console.log("Simulation initialized successfully");
+        
+        // Wall in the domain before placing anything inside it
+        applyDomainLayout(options.domain ?? Domain.DEFAULT_DOMAIN_LAYOUT);
+        
+        // Seed the initial population
+        seedLength = options.bacteriumLength ?? DEFAULT_BACTERIUM_LENGTH;
+        seedRadius = options.bacteriumRadius ?? DEFAULT_BACTERIUM_RADIUS;
+        seedPopulation(options.bacteriaCount ?? DEFAULT_BACTERIA_COUNT);
+        
+        console.log(`Simulation initialized successfully with ${bacteriaEntities.length} bacteria`);
         return true;
     } catch (error) {
         console.error("Failed to initialize simulation:", error);
@@ -37,27 +104,263 @@ export async function initSimulation() {
     }
 }
 
+/**
+ * Create a bacterium and add it to the simulation
+ * @param {Object} params - Parameters for the bacterium
+ * @param {Object} params.position - Position {x, y}
+ * @param {number} [params.angle] - Heading angle in radians
+ * @param {number} [params.length] - Length of the cylindrical segment
+ * @param {number} [params.radius] - Radius of the capsule
+ * @param {number} [params.motility] - Per-cell multiplier of the global motility strength
+ * @param {number} [params.tumbleRate] - Per-cell multiplier of the global tumble rate
+ * @param {number} [params.growthRate] - Per-cell multiplier of the global growth rate
+ * @param {number} [params.adhesion] - Per-cell multiplier of the global adhesion strength
+ * @param {string} [params.strain] - Name of the cell's strain (defaults to the first strain)
+ * @param {number} [params.generation] - Number of divisions since the founder cell
+ * @param {number} [params.lineageId] - ID of the founder cell (defaults to this cell's ID)
+ * @param {number} [params.parentId] - ID of the mother cell, if any
+ * @param {Object} [params.geneState] - Gene-expression state to inherit
+ * @returns {Object} The bacterium entity, or null if it could not be created
+ */
+export function createBacterium(params) {
+    if (!simulationInitialized) return null;
+    
+    const length = params.length ?? DEFAULT_BACTERIUM_LENGTH;
+    const radius = params.radius ?? DEFAULT_BACTERIUM_RADIUS;
+    
+    const physicsEntity = Physics.createBacterium({
+        position: params.position,
+        angle: params.angle ?? 0,
+        length,
+        radius
+    });
+    if (!physicsEntity) return null;
+    
+    const id = nextBacteriumId++;
+    const bacterium = {
+        id,
+        lineageId: params.lineageId ?? id,
+        parentId: params.parentId ?? null,
+        generation: params.generation ?? 0,
+        age: 0,
+        physicsEntity,
+        length,
+        colliderLength: length,
+        radius,
+        divisionLength: divisionLength * (1 + (Random.random() - 0.5) * 2 * DIVISION_LENGTH_NOISE),
+        motility: params.motility ?? 1,
+        tumbleRate: params.tumbleRate ?? 1,
+        growthRate: params.growthRate ?? 1,
+        adhesion: params.adhesion ?? 1,
+        strain: params.strain ?? Strains.getStrains()[0].name,
+        growthArrested: false,
+        arrestedUntil: null, // Simulated time growth resumes, or null for never
+        geneState: GeneExpression.createGeneState(params.geneState),
+        forces: { motility: { x: 0, y: 0 }, external: { x: 0, y: 0 }, flow: { x: 0, y: 0 }, adhesion: { x: 0, y: 0 } }
+    };
+    
+    bacteriaEntities.push(bacterium);
+    notifyObservers('onBacteriumAdded', bacterium);
+    return bacterium;
+}
+
+/**
+ * Seed a new founder cell with a random heading and traits drawn from its strain
+ * @param {Object} position - Position {x, y}
+ * @param {Object} [strain] - Strain of the cell (see strains.js); picked by mixture ratio if omitted
+ * @returns {Object} The bacterium entity, or null if it could not be created
+ */
+export function seedBacterium(position, strain = Strains.pickStrain()) {
+    const angle = Random.random() * Math.PI * 2;
+    const traits = Strains.sampleStrainTraits(strain, { length: seedLength, radius: seedRadius });
+    return createBacterium({ position, angle, strain: strain.name, ...traits });
+}
+
+/**
+ * Seed a number of founder cells at random free positions, split between
+ * the strains by their mixture ratios
+ * @param {number} count - Number of cells
+ */
+function seedPopulation(count) {
+    seedCount = count;
+    Strains.splitByRatio(count).forEach(share => {
+        for (let i = 0; i < share.count; i++) {
+            seedBacterium(Domain.randomPositionInDomain(domain, getSeedMargin()), share.strain);
+        }
+    });
+}
+
+/**
+ * Replace the strain definitions
+ * @param {Array<Object>} definitions - Strain definitions (see strains.js)
+ * @throws {Error} If the definitions are invalid
+ */
+export function setStrains(definitions) {
+    Strains.setStrains(definitions);
+    notifyObservers('onStrainsChanged', Strains.getStrains());
+}
+
+/**
+ * Replace the whole population with freshly seeded cells, e.g. after the
+ * strains or their mixture ratios changed
+ * @param {number} [count] - Number of cells (defaults to the initial population size)
+ */
+export function reseedPopulation(count = seedCount) {
+    if (!simulationInitialized) return;
+    
+    bacteriaEntities.slice().forEach(removeBacterium);
+    seedPopulation(count);
+    notifyObservers('onSimulationUpdated', bacteriaEntities);
+}
+
+/**
+ * Get the margin a seeded cell needs from walls and obstacles
+ * @returns {number} Distance from a cell's center to its tips
+ */
+export function getSeedMargin() {
+    return seedLength / 2 + seedRadius;
+}
+
+/**
+ * Remove a bacterium from the simulation
+ * @param {Object} bacterium - The bacterium entity to remove
+ */
+export function removeBacterium(bacterium) {
+    const index = bacteriaEntities.indexOf(bacterium);
+    if (index === -1) return;
+    
+    bacteriaEntities.splice(index, 1);
+    Physics.removeBody(bacterium.physicsEntity);
+    notifyObservers('onBacteriumRemoved', bacterium);
+}
 
+/**
+ * Stop a bacterium from growing and dividing, e.g. under a bacteriostatic drug
+ * @param {Object} bacterium - The bacterium entity
+ * @param {number} [duration] - Simulated seconds until it grows again (indefinitely if omitted)
+ */
+export function arrestGrowth(bacterium, duration) {
+    bacterium.growthArrested = true;
+    bacterium.arrestedUntil = duration === undefined ? null : simulationTime + duration;
+}
 
+/**
+ * Elongate a bacterium and divide it once it reaches its division length
+ * @param {Object} bacterium - The bacterium entity
+ * @param {number} dt - Elapsed simulated time in seconds
+ */
+function growBacterium(bacterium, dt) {
+    bacterium.age += dt;
+    if (bacterium.growthArrested) {
+        if (bacterium.arrestedUntil === null || simulationTime < bacterium.arrestedUntil) return;
+        bacterium.growthArrested = false;
+        bacterium.arrestedUntil = null;
+    }
+    
+    const traits = GeneExpression.getPhenotypeTraits(bacterium.geneState.phenotype);
+    bacterium.length += growthRate * bacterium.growthRate * traits.growthRate * dt;
+    
+    if (bacterium.length >= bacterium.divisionLength) {
+        divideBacterium(bacterium);
+        return;
+    }
+    
+    // Rebuilding colliders every step is wasteful, so only rebuild once the
+    // cell has grown noticeably since the last rebuild
+    if (bacterium.length - bacterium.colliderLength >= RESIZE_THRESHOLD) {
+        Physics.resizeBacterium(bacterium.physicsEntity, bacterium.length, bacterium.radius);
+        bacterium.colliderLength = bacterium.length;
+        notifyObservers('onBacteriumResized', bacterium);
+    }
+}
+
+/**
+ * Split a bacterium into two daughter cells lying end to end
+ * @param {Object} mother - The bacterium entity to divide
+ */
+function divideBacterium(mother) {
+    const rigidBody = mother.physicsEntity.rigidBody;
+    const transform = Physics.getBodyTransform(rigidBody);
+    if (!transform) return;
+    
+    const velocity = rigidBody.linvel();
+    
+    // Daughters share the mother's total extent (cylinder plus both caps)
+    const daughterLength = Math.max((mother.length - 2 * mother.radius) / 2, mother.radius);
+    const offset = (mother.length + 2 * mother.radius) / 4;
+    const axis = {
+        x: Math.cos(transform.rotation),
+        y: Math.sin(transform.rotation)
+    };
+    
+    removeBacterium(mother);
+    
+    [-1, 1].forEach(side => {
+        const daughter = createBacterium({
+            position: {
+                x: transform.position.x + axis.x * offset * side,
+                y: transform.position.y + axis.y * offset * side
+            },
+            angle: transform.rotation + (Random.random() - 0.5) * 2 * DIVISION_ANGLE_NOISE,
+            length: daughterLength,
+            radius: mother.radius,
+            motility: mother.motility,
+            tumbleRate: mother.tumbleRate,
+            growthRate: mother.growthRate,
+            adhesion: mother.adhesion,
+            strain: mother.strain,
+            geneState: mother.geneState,
+            generation: mother.generation + 1,
+            lineageId: mother.lineageId,
+            parentId: mother.id
+        });
+        
+        if (daughter) {
+            daughter.physicsEntity.rigidBody.setLinvel(velocity, true);
+        }
+    });
+}
 
 /**
  * Update the simulation for one frame
+ * @param {number} [dt] - Simulated time covered by this update, in seconds
  */
-export function updateSimulation() {
+export function updateSimulation(dt = Physics.PHYSICS_STEP) {
     if (!simulationInitialized) return;
     
+    // Grow and divide first; iterate over a copy since division edits the list
+    bacteriaEntities.slice().forEach(bacterium => growBacterium(bacterium, dt));
+    
     // Apply motility forces to each bacterium
     bacteriaEntities.forEach(bacterium => {
         const rigidBody = bacterium.physicsEntity.rigidBody;
+        const transform = Physics.getBodyTransform(rigidBody);
         
-        // Apply random motility forces
-        Physics.applyMotilityForces(
+        // Exchange nutrient and attractant with the chemical fields
+        Chemistry.exchangeWithFields(transform.position, dt);
+        
+        // Quorum sensing: secrete autoinducer and switch phenotype on what the cell senses
+        const geneState = bacterium.geneState;
+        Chemistry.exchangeWithField('signal', transform.position, GeneExpression.getSignalSecretion(geneState, dt));
+        const phenotypeChanged = GeneExpression.updateGeneState(geneState, {
+            signal: Chemistry.senseField('signal', transform.position),
+            nutrient: Chemistry.senseField('nutrient', transform.position)
+        }, dt);
+        if (phenotypeChanged) {
+            notifyObservers('onPhenotypeChanged', bacterium);
+        }
+        const traits = GeneExpression.getPhenotypeTraits(geneState.phenotype);
+        
+        // Apply random motility forces, with tumbling biased by chemotaxis
+        const tumbleBias = Chemistry.getTumbleBias(transform.position, transform.rotation);
+        bacterium.forces.motility = Physics.applyMotilityForces(
             rigidBody, 
-            bacterium.motility * motilityStrength,
-            bacterium.tumbleRate * tumbleRate
+            bacterium.motility * traits.motility * motilityStrength,
+            Math.min(1, bacterium.tumbleRate * traits.tumbleRate * tumbleRate * tumbleBias)
         );
         
         // Apply external forces (from UI controls)
+        bacterium.forces.external = { ...externalForce };
         if (externalForce.x !== 0 || externalForce.y !== 0) {
             Physics.applyForce(rigidBody, {
                 x: externalForce.x,
@@ -65,27 +368,413 @@ export function updateSimulation() {
             });
         }
         
-        // Get updated transform from physics
-        const transform = Physics.getBodyTransform(rigidBody);
-        if (transform) {
-            // Update the mesh position and rotation
-            bacterium.mesh.position.x = transform.position.x;
-            bacterium.mesh.position.y = transform.position.y;
-            bacterium.mesh.rotation.y = transform.rotation;
-        }
+        // Drag of the surrounding fluid, which depends on the cell's orientation
+        bacterium.forces.flow = FlowField.applyFlowDrag(rigidBody, transform, bacterium.length);
     });
     
+    // Hold neighbours together and to the substrate
+    Adhesion.applyAdhesionForces(bacteriaEntities);
+    
+    // Diffuse and decay the chemical fields
+    Chemistry.stepChemistry(dt);
+    
     // Step the physics simulation
     Physics.stepPhysics();
+    
+    simulationTime += dt;
+    stepCount++;
+    notifyObservers('onSimulationUpdated', bacteriaEntities);
 }
 
 /**
- * Apply an external force to all bacteria
- * @param {Object} force - Force vector {x, y, z}
+ * Replace the walls of the domain with those of a layout
+ * @param {string|Object} layout - Domain layout name or layout object
  */
-export function applyExternalForce(force) {
-    externalForce = force;
-    console.log(`Applied external force: (${force.x}, ${force.y}, ${force.z})`);
+function applyDomainLayout(layout) {
+    const geometry = Domain.buildDomain(layout, worldSize);
+    
+    boundaryWalls.forEach(wall => Physics.removeBody(wall));
+    boundaryWalls = geometry.walls.map(({ start, end }) => Physics.createBoundaryWall({
+        position: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 },
+        // Overlap neighbouring walls by half a thickness so corners stay closed
+        size: {
+            width: Math.hypot(end.x - start.x, end.y - start.y) + Domain.WALL_THICKNESS,
+            height: Domain.WALL_THICKNESS
+        },
+        angle: Math.atan2(end.y - start.y, end.x - start.x)
+    })).filter(Boolean);
+    
+    domain = geometry;
+    notifyObservers('onDomainChanged', domain);
+}
+
+/**
+ * Switch the domain to another layout while the simulation runs
+ * 
+ * Bacteria that end up inside a wall or outside the new arena are moved
+ * to random free positions.
+ * @param {string|Object} layout - Domain layout name or layout object (see domain.js)
+ */
+export function setDomainLayout(layout) {
+    if (!simulationInitialized) return;
+    
+    try {
+        applyDomainLayout(layout);
+    } catch (error) {
+        console.error("Failed to apply domain layout:", error);
+        return;
+    }
+    
+    bacteriaEntities.forEach(bacterium => {
+        const rigidBody = bacterium.physicsEntity.rigidBody;
+        const transform = Physics.getBodyTransform(rigidBody);
+        if (Domain.isInsideDomain(domain, transform.position, bacterium.radius)) return;
+        
+        const position = Domain.randomPositionInDomain(domain, bacterium.length / 2 + bacterium.radius);
+        Physics.setBodyTransform(rigidBody, position, transform.rotation);
+    });
+    notifyObservers('onSimulationUpdated', bacteriaEntities);
+}
+
+/**
+ * Get the geometry of the active domain
+ * @returns {Object} Domain geometry (see Domain.buildDomain), or null before initialization
+ */
+export function getDomain() {
+    return domain;
+}
+
+/**
+ * Get the name of the active domain layout
+ * @returns {string} Layout name ('custom' for unnamed layout objects)
+ */
+export function getDomainLayout() {
+    return domain?.name ?? Domain.DEFAULT_DOMAIN_LAYOUT;
+}
+
+/**
+ * Register an observer for simulation events
+ * 
+ * Observers are plain objects implementing any of onBacteriumAdded,
+ * onBacteriumResized, onBacteriumRemoved, onPhenotypeChanged,
+ * onDomainChanged, onStrainsChanged and onSimulationUpdated. The simulation never touches rendering objects
+ * itself, so it runs the same with or without a view attached.
+ * @param {Object} observer - The observer to add
+ */
+export function addObserver(observer) {
+    if (!observers.includes(observer)) {
+        observers.push(observer);
+    }
+}
+
+/**
+ * Unregister a simulation observer
+ * @param {Object} observer - The observer to remove
+ */
+export function removeObserver(observer) {
+    observers = observers.filter(existing => existing !== observer);
+}
+
+/**
+ * Call a handler on every observer that implements it
+ * @param {string} event - Name of the observer method
+ * @param {...*} args - Arguments passed to the handler
+ */
+function notifyObservers(event, ...args) {
+    observers.forEach(observer => {
+        if (typeof observer[event] === 'function') {
+            observer[event](...args);
+        }
+    });
+}
+
+/**
+ * Get the live list of bacterium entities
+ * @returns {Array<Object>} The bacteria (do not modify the list)
+ */
+export function getBacteria() {
+    return bacteriaEntities;
+}
+
+/**
+ * Get the current position and heading of a bacterium
+ * @param {Object} bacterium - The bacterium entity
+ * @returns {Object} Transform {position: {x, y}, rotation: number}
+ */
+export function getBacteriumTransform(bacterium) {
+    return Physics.getBodyTransform(bacterium.physicsEntity.rigidBody);
+}
+
+/**
+ * Get the current state of all bacteria packed into a typed array
+ * 
+ * The buffer is reused between calls, so read it before the next call.
+ * @returns {Object} State {buffer: Float32Array, count}, see stateBuffer.js for the layout
+ */
+export function getStateBuffer() {
+    stateBuffer = StateBuffer.writeStateBuffer(bacteriaEntities, getBacteriumTransform, stateBuffer);
+    return { buffer: stateBuffer, count: bacteriaEntities.length };
+}
+
+/**
+ * Get the simulated time since the simulation started or was last reset
+ * @returns {number} Simulated time in seconds
+ */
+export function getSimulationTime() {
+    return simulationTime;
+}
+
+/**
+ * Get a plain, serializable snapshot of the simulation state
+ * @returns {Object} State {time, step, seed, bacteria: Array}
+ */
+export function getSimulationState() {
+    return {
+        time: simulationTime,
+        step: stepCount,
+        seed: Random.getSeed(),
+        bacteria: bacteriaEntities.map(bacterium => {
+            const transform = getBacteriumTransform(bacterium);
+            const velocity = bacterium.physicsEntity.rigidBody.linvel();
+            return {
+                id: bacterium.id,
+                lineageId: bacterium.lineageId,
+                parentId: bacterium.parentId,
+                generation: bacterium.generation,
+                age: bacterium.age,
+                x: transform.position.x,
+                y: transform.position.y,
+                angle: transform.rotation,
+                vx: velocity.x,
+                vy: velocity.y,
+                length: bacterium.length,
+                radius: bacterium.radius,
+                strain: bacterium.strain,
+                phenotype: bacterium.geneState.phenotype,
+                autoinducer: bacterium.geneState.autoinducer
+            };
+        })
+    };
+}
+
+/**
+ * Get everything needed to rebuild the population and domain exactly
+ * 
+ * Unlike getSimulationState, which summarizes a step for recording, this
+ * keeps every per-cell field, including internal ones such as the size of
+ * the current collider and the noisy division length, and the handles of
+ * every body in the physics world (see Physics.saveWorld).
+ * @returns {Object} State {worldSize, time, step, nextBacteriumId, domain, wallHandles,
+ *   externalForceComponents, bacteria}
+ */
+export function exportState() {
+    return {
+        worldSize,
+        time: simulationTime,
+        step: stepCount,
+        nextBacteriumId,
+        domain: domain ? domain.layout : null,
+        wallHandles: boundaryWalls.map(Physics.getEntityHandles),
+        externalForceComponents: JSON.parse(JSON.stringify(externalForceComponents)),
+        bacteria: bacteriaEntities.map(bacterium => ({
+            ...serializeBacterium(bacterium),
+            handles: Physics.getEntityHandles(bacterium.physicsEntity)
+        }))
+    };
+}
+
+/**
+ * Copy every field of a bacterium, with its pose and velocity, into a plain object
+ * @param {Object} bacterium - The bacterium entity
+ * @returns {Object} Saved bacterium (see exportState)
+ */
+function serializeBacterium(bacterium) {
+    const rigidBody = bacterium.physicsEntity.rigidBody;
+    const transform = Physics.getBodyTransform(rigidBody);
+    const velocity = Physics.getBodyVelocity(rigidBody);
+    return {
+        id: bacterium.id,
+        lineageId: bacterium.lineageId,
+        parentId: bacterium.parentId,
+        generation: bacterium.generation,
+        age: bacterium.age,
+        position: transform.position,
+        angle: transform.rotation,
+        velocity: velocity.linear,
+        angularVelocity: velocity.angular,
+        length: bacterium.length,
+        colliderLength: bacterium.colliderLength,
+        radius: bacterium.radius,
+        divisionLength: bacterium.divisionLength,
+        motility: bacterium.motility,
+        tumbleRate: bacterium.tumbleRate,
+        growthRate: bacterium.growthRate,
+        adhesion: bacterium.adhesion,
+        strain: bacterium.strain,
+        growthArrested: bacterium.growthArrested,
+        arrestedUntil: bacterium.arrestedUntil,
+        geneState: { ...bacterium.geneState }
+    };
+}
+
+/**
+ * Find a bacterium by its ID
+ * @param {number} id - Bacterium ID
+ * @returns {Object} The bacterium entity, or null if there is none (e.g. it divided)
+ */
+export function getBacteriumById(id) {
+    return bacteriaEntities.find(bacterium => bacterium.id === id) ?? null;
+}
+
+/**
+ * Get a plain copy of one bacterium's state, e.g. for an inspector
+ * @param {number} id - Bacterium ID
+ * @returns {Object} Bacterium state as in exportState, or null if there is none
+ */
+export function getBacteriumState(id) {
+    const bacterium = getBacteriumById(id);
+    return bacterium ? serializeBacterium(bacterium) : null;
+}
+
+/**
+ * Replace the population and domain with a state returned by exportState
+ * 
+ * All bodies are removed from the physics world and rebuilt, so observers
+ * see every current bacterium removed and the saved ones added. Given the
+ * physics world saved with the state, the rebuilt bodies are then swapped
+ * for the saved ones, contact caches included, so the run continues
+ * exactly; without it, crowded colonies drift slightly from the saved run.
+ * @param {Object} state - Saved state
+ * @param {Uint8Array} [savedWorld] - Physics world saved with the state (see Physics.saveWorld)
+ */
+export function importState(state, savedWorld) {
+    if (!simulationInitialized) return;
+    
+    bacteriaEntities.slice().forEach(removeBacterium);
+    
+    worldSize = state.worldSize;
+    FlowField.initFlow(worldSize);
+    applyDomainLayout(state.domain ?? Domain.DEFAULT_DOMAIN_LAYOUT);
+    
+    state.bacteria.forEach(saved => {
+        // The collider is rebuilt at its saved size so growth resumes identically
+        const physicsEntity = Physics.createBacterium({
+            position: saved.position,
+            angle: saved.angle,
+            length: saved.colliderLength,
+            radius: saved.radius
+        });
+        if (!physicsEntity) return;
+        
+        Physics.setBodyVelocity(physicsEntity.rigidBody, saved.velocity, saved.angularVelocity);
+        const bacterium = {
+            id: saved.id,
+            lineageId: saved.lineageId,
+            parentId: saved.parentId,
+            generation: saved.generation,
+            age: saved.age,
+            physicsEntity,
+            length: saved.length,
+            colliderLength: saved.colliderLength,
+            radius: saved.radius,
+            divisionLength: saved.divisionLength,
+            motility: saved.motility,
+            tumbleRate: saved.tumbleRate,
+            growthRate: saved.growthRate,
+            adhesion: saved.adhesion ?? 1,
+            strain: saved.strain ?? Strains.getStrains()[0].name,
+            growthArrested: saved.growthArrested ?? false,
+            arrestedUntil: saved.arrestedUntil ?? null,
+            geneState: GeneExpression.createGeneState(saved.geneState),
+            forces: { motility: { x: 0, y: 0 }, external: { x: 0, y: 0 }, flow: { x: 0, y: 0 }, adhesion: { x: 0, y: 0 } }
+        };
+        
+        bacteriaEntities.push(bacterium);
+        notifyObservers('onBacteriumAdded', bacterium);
+    });
+    
+    const saved = [...(state.wallHandles ?? []), ...state.bacteria.map(bacterium => bacterium.handles)];
+    const entities = [...boundaryWalls, ...bacteriaEntities.map(bacterium => bacterium.physicsEntity)];
+    if (savedWorld && saved.length === entities.length && saved.every(Boolean)) {
+        Physics.restoreWorld(savedWorld, entities.map((physicsEntity, index) => ({ physicsEntity, handles: saved[index] })));
+    }
+    
+    simulationTime = state.time;
+    stepCount = state.step;
+    nextBacteriumId = state.nextBacteriumId;
+    externalForceComponents = {};
+    externalForce = { x: 0, y: 0 };
+    Object.entries(state.externalForceComponents ?? {}).forEach(([name, force]) => {
+        setExternalForceComponent(name, force);
+    });
+    
+    notifyObservers('onSimulationUpdated', bacteriaEntities);
+}
+
+/**
+ * Set one named component of the external force applied to all bacteria
+ * 
+ * Components from different sources (e.g. gravity) are summed, so
+ * setting one leaves the others untouched.
+ * @param {string} name - Name of the force source
+ * @param {Object} force - Force vector {x, y}
+ */
+export function setExternalForceComponent(name, force) {
+    externalForceComponents[name] = { x: force.x ?? 0, y: force.y ?? 0 };
+    
+    externalForce = Object.values(externalForceComponents).reduce(
+        (sum, component) => ({ x: sum.x + component.x, y: sum.y + component.y }),
+        { x: 0, y: 0 }
+    );
+}
+
+/**
+ * Get one named component of the external force
+ * @param {string} name - Name of the force source
+ * @returns {Object} Force vector {x, y}
+ */
+export function getExternalForceComponent(name) {
+    return { ...(externalForceComponents[name] ?? { x: 0, y: 0 }) };
+}
+
+/**
+ * Get the total external force applied to all bacteria
+ * @returns {Object} Force vector {x, y}
+ */
+export function getExternalForce() {
+    return { ...externalForce };
+}
+
+/**
+ * Get the global motility strength
+ * @returns {number} Motility strength (0-1)
+ */
+export function getMotilityStrength() {
+    return motilityStrength;
+}
+
+/**
+ * Get the global tumble rate
+ * @returns {number} Tumble rate (0-1)
+ */
+export function getTumbleRate() {
+    return tumbleRate;
+}
+
+/**
+ * Get the global growth rate
+ * @returns {number} Elongation rate in length units per second
+ */
+export function getGrowthRate() {
+    return growthRate;
+}
+
+/**
+ * Get the length at which newly born bacteria divide
+ * @returns {number} Division length
+ */
+export function getDivisionLength() {
+    return divisionLength;
 }
 
 /**
@@ -104,48 +793,79 @@ export function setTumbleRate(rate) {
     tumbleRate = Math.max(0, Math.min(1, rate));
 }
 
+/**
+ * Set the global growth rate
+ * @param {number} rate - Elongation rate in length units per second
+ */
+export function setGrowthRate(rate) {
+    growthRate = Math.max(0, rate);
+}
+
+/**
+ * Set the length at which bacteria divide
+ * @param {number} length - Division length (applies to cells born afterwards)
+ */
+export function setDivisionLength(length) {
+    divisionLength = Math.max(0, length);
+}
+
+/**
+ * Set the random seed and restart the random sequence from it
+ * @param {number} seed - Integer seed
+ */
+export function setSeed(seed) {
+    Random.setSeed(seed);
+}
+
+/**
+ * Get the seed of the current random sequence
+ * @returns {number} The seed
+ */
+export function getSeed() {
+    return Random.getSeed();
+}
+
 /**
  * Reset the simulation
  */
 export function resetSimulation() {
-    // Reset all bacteria to random positions
-    bacteriaEntities.forEach(bacterium => {
-        const worldSize = 100; // Should match the world size in scene.js
-        const halfSize = worldSize / 2 * 0.8; // Keep away from edges
-        
-        // Random position
-        const newPosition = {
-            x: (Math.random() - 0.5) * halfSize * 2,
-            y: bacterium.radius // Just above the grid
-        };
-        
-        // Random rotation
-        const newRotation = Math.random() * Math.PI * 2;
-        
-        // Update physics body
-        const rigidBody = bacterium.physicsEntity.rigidBody;
-        
-        // Ensure position components are valid numbers
-        const posX = typeof newPosition.x === 'number' ? newPosition.x : 0;
-        const posY = typeof newPosition.y === 'number' ? newPosition.y : 0;
-        
-        // Set new position - ensure we're passing primitive number values, not objects
-        rigidBody.setTranslation(Number(posX), Number(posY), true);
-        
-        // Apply a random impulse to rotate
-        Physics.applyTorque(rigidBody, newRotation, true);
-        
-        // Reset velocities
-        rigidBody.setLinvel({ x: 0, y: 0 }, true);
-        rigidBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
-    });
+    // Restore the defaults first: new cells draw their division length from them
+    resetParameters();
     
+    // Restart the random sequence and rebuild the world and the population
+    // afresh, as initSimulation does, so a reset run is reproducible
+    Random.setSeed(Random.getSeed());
+    bacteriaEntities.slice().forEach(removeBacterium);
+    Physics.resetWorld();
+    boundaryWalls = [];
+    applyDomainLayout(domain.layout);
+    nextBacteriumId = 1;
+    simulationTime = 0;
+    stepCount = 0;
+    seedPopulation(seedCount);
+    notifyObservers('onSimulationUpdated', bacteriaEntities);
+}
+
+/**
+ * Restore every global parameter, the external forces, the flow and the
+ * chemical fields to their defaults, leaving the population alone
+ */
+export function resetParameters() {
     // Reset external forces
-    externalForce = { x: 0, y: 0, z: 0 };
+    externalForceComponents = {};
+    externalForce = { x: 0, y: 0 };
     
     // Reset simulation parameters
     motilityStrength = DEFAULT_MOTILITY;
     tumbleRate = DEFAULT_TUMBLE_RATE;
+    growthRate = DEFAULT_GROWTH_RATE;
+    divisionLength = DEFAULT_DIVISION_LENGTH;
+    Physics.resetDamping();
+    Clock.resetSpeed();
+    Chemistry.resetChemistry();
+    FlowField.resetFlow();
+    GeneExpression.resetPhenotypeRules();
+    Adhesion.resetAdhesion();
 }
 
 /**
@@ -156,6 +876,10 @@ export function cleanupSimulation() {
         Physics.cleanupPhysics();
         bacteriaEntities = [];
         boundaryWalls = [];
+        domain = null;
+        nextBacteriumId = 1;
+        simulationTime = 0;
+        stepCount = 0;
         simulationInitialized = false;
     }
 }
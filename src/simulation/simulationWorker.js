@@ -0,0 +1,310 @@
+/**
+ * Simulation worker for AgeEnt
+ * 
+ * Runs the physics, chemistry and the fixed-step clock off the main thread
+ * so that a large colony cannot stall the camera or the UI. The page talks
+ * to it through simulationClient.js with a small message protocol:
+ * 
+ *   page -> worker  {type, payload, id}   run a handler (see HANDLERS); when
+ *                                         an id is given the result is sent
+ *                                         back as {type: 'response', id, result, error}
+ *   worker -> page  {type: 'frame'}       latest state buffer, time and the
+ *                                         overlay data asked for, ~60 times a second
+ *                   {type: 'settings'}    parameter values etc. after every change
+ *                   {type: 'domain'}      new domain geometry
+ *                   {type: 'strains'}     new strain definitions
+ * 
+ * Frame buffers are transferred rather than copied; the page hands each one
+ * back once a newer frame has arrived so they can be reused.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Physics from './physics.js';
+import * as Clock from './clock.js';
+import * as Parameters from './parameters.js';
+import * as Chemistry from './chemistry.js';
+import * as ChemicalField from './chemicalField.js';
+import * as Metrics from './metrics.js';
+import * as Snapshot from './snapshot.js';
+import * as StateBuffer from './stateBuffer.js';
+import * as Interaction from './interaction.js';
+import * as FlowField from './flowField.js';
+import * as Strains from './strains.js';
+import * as Scenario from './scenario.js';
+
+// Constants
+const FRAME_INTERVAL_MS = 1000 / 60; // Real time between published frames
+const FLOW_OVERLAY_RESOLUTION = 16; // Flow samples along each axis of the world
+// Frequent messages that cannot change the settings, so need no settings reply
+const QUIET_MESSAGES = new Set(['returnBuffer', 'moveDrag', 'inspectBacterium', 'measurePopulation']);
+
+// Worker state
+let running = false;
+let lastLoopTime = null;
+let freeBuffers = []; // State buffers handed back by the page
+let frameContents = { forces: false, contacts: false, flow: false, field: 'none' }; // Overlay data to publish
+let workerRapierUrl; // Where the page told the worker to load Rapier from
+
+// Forwards domain and strain changes to the page
+const pageObserver = {
+    onDomainChanged(domain) {
+        self.postMessage({ type: 'domain', domain });
+    },
+    
+    onStrainsChanged(strains) {
+        self.postMessage({ type: 'strains', strains });
+    }
+};
+
+// Message handlers, called with the message payload
+const HANDLERS = {
+    async init({ options, scenario, rapierUrl }) {
+        SimulationManager.addObserver(pageObserver);
+        workerRapierUrl = rapierUrl;
+        if (scenario) {
+            try {
+                await startScenario(scenario);
+            } catch (error) {
+                // A broken scenario should not leave the page without a simulation
+                console.error("Failed to start scenario, using the default settings:", error);
+                scenario = null;
+                SimulationManager.cleanupSimulation();
+            }
+        }
+        if (!scenario) {
+            await SimulationManager.initSimulation({ ...options, rapierUrl });
+        }
+        running = true;
+        runLoop();
+    },
+    
+    async loadScenario({ text }) {
+        const scenario = Scenario.parseScenario(text);
+        Interaction.endDrag();
+        await startScenario(scenario);
+        Metrics.clearRecording();
+        Clock.resetClock();
+    },
+    
+    setParameter({ name, value }) {
+        Parameters.setParameter(name, value);
+    },
+    
+    setDomainLayout({ layout }) {
+        SimulationManager.setDomainLayout(layout);
+    },
+    
+    setFlowProfile({ profile }) {
+        FlowField.setFlowProfile(profile);
+    },
+    
+    loadFlowGrid({ text }) {
+        FlowField.setFlowGrid(FlowField.parseFlowGrid(text));
+    },
+    
+    loadStrains({ text }) {
+        SimulationManager.setStrains(Strains.parseStrains(text));
+        SimulationManager.reseedPopulation();
+    },
+    
+    setSeed({ seed }) {
+        SimulationManager.setSeed(seed);
+    },
+    
+    setPaused({ paused }) {
+        Clock.setPaused(paused);
+    },
+    
+    reset() {
+        SimulationManager.resetSimulation();
+        Scenario.applyScenarioSettings();
+        Clock.resetClock();
+    },
+    
+    setRecording({ recording }) {
+        Metrics.setRecording(recording);
+    },
+    
+    setSampleInterval({ interval }) {
+        Metrics.setSampleInterval(interval);
+    },
+    
+    setFrameContents(contents) {
+        frameContents = { ...frameContents, ...contents };
+    },
+    
+    returnBuffer({ buffer }) {
+        freeBuffers.push(new Float32Array(buffer));
+    },
+    
+    inspectBacterium({ id }) {
+        return SimulationManager.getBacteriumState(id);
+    },
+    
+    startDrag({ id, point }) {
+        return Interaction.startDrag(id, point);
+    },
+    
+    moveDrag({ point }) {
+        Interaction.moveDrag(point);
+    },
+    
+    endDrag() {
+        Interaction.endDrag();
+    },
+    
+    spawnBacterium({ point }) {
+        return Interaction.spawnBacterium(point);
+    },
+    
+    removeBacterium({ id }) {
+        return Interaction.removeBacterium(id);
+    },
+    
+    inoculate({ center, radius, count }) {
+        return Interaction.inoculate(center, radius, count);
+    },
+    
+    measurePopulation() {
+        return Metrics.measurePopulation(SimulationManager.getBacteria());
+    },
+    
+    createSnapshot() {
+        return Snapshot.serializeSnapshot(Snapshot.createSnapshot());
+    },
+    
+    loadSnapshot({ text }) {
+        Snapshot.loadSnapshot(Snapshot.parseSnapshot(text));
+    },
+    
+    exportMetrics({ format }) {
+        if (format === 'json') return Metrics.exportJSON();
+        if (format === 'trajectories') return Metrics.exportTrajectoriesCSV();
+        return Metrics.exportMetricsCSV();
+    }
+};
+
+/**
+ * Restart the simulation from a scenario and adopt its sample interval
+ * @param {Object} scenario - The scenario (see scenario.js)
+ * @returns {Promise} Promise that resolves when the simulation is running
+ */
+async function startScenario(scenario) {
+    await Scenario.startScenario(scenario, workerRapierUrl);
+    if (scenario.run?.sampleInterval) {
+        Metrics.setSampleInterval(scenario.run.sampleInterval);
+    }
+}
+
+/**
+ * Collect the values the page shows in its controls
+ * @returns {Object} Settings {parameters, seed, domainLayout, flowProfile, paused, recording, sampleInterval}
+ */
+function getSettings() {
+    const parameters = {};
+    Parameters.getParameterNames().forEach(name => {
+        parameters[name] = Parameters.getParameter(name);
+    });
+    
+    return {
+        parameters,
+        seed: SimulationManager.getSeed(),
+        domainLayout: SimulationManager.getDomainLayout(),
+        flowProfile: FlowField.getFlowProfile(),
+        paused: Clock.isPaused(),
+        recording: Metrics.isRecording(),
+        sampleInterval: Metrics.getSampleInterval()
+    };
+}
+
+/**
+ * Run a message from the page and answer it if it carries an id
+ * @param {MessageEvent} event - The message
+ */
+async function onMessage(event) {
+    const { type, payload = {}, id } = event.data;
+    const handler = HANDLERS[type];
+    
+    let result, error;
+    try {
+        if (!handler) {
+            throw new Error(`Unknown simulation message: ${type}`);
+        }
+        result = await handler(payload);
+    } catch (caught) {
+        console.error(`Simulation worker failed to handle ${type}:`, caught);
+        error = caught.message;
+    }
+    
+    // Settings first, so the page sees them before it acts on the response
+    if (!QUIET_MESSAGES.has(type)) {
+        self.postMessage({ type: 'settings', settings: getSettings() });
+    }
+    if (id !== undefined) {
+        self.postMessage({ type: 'response', id, result, error });
+    }
+}
+
+/**
+ * Advance the clock by the real time since the last loop and publish a frame
+ */
+function runLoop() {
+    if (!running) return;
+    
+    const now = performance.now();
+    const realDelta = lastLoopTime === null ? 0 : (now - lastLoopTime) / 1000;
+    lastLoopTime = now;
+    
+    Clock.advanceClock(realDelta, SimulationManager.updateSimulation);
+    publishFrame();
+    
+    // Wait out whatever the steps left of the frame interval
+    setTimeout(runLoop, Math.max(0, FRAME_INTERVAL_MS - (performance.now() - now)));
+}
+
+/**
+ * Send the current state, and any overlay data the page asked for
+ */
+function publishFrame() {
+    const bacteria = SimulationManager.getBacteria();
+    const buffer = StateBuffer.writeStateBuffer(
+        bacteria,
+        SimulationManager.getBacteriumTransform,
+        freeBuffers.pop() ?? StateBuffer.createStateBuffer(bacteria.length)
+    );
+    const frame = {
+        type: 'frame',
+        buffer,
+        count: bacteria.length,
+        time: Clock.getElapsedTime(),
+        step: Clock.getStepCount(),
+        paused: Clock.isPaused()
+    };
+    const transfer = [buffer.buffer];
+    
+    if (frameContents.forces) {
+        frame.forces = StateBuffer.packForces(bacteria, SimulationManager.getBacteriumTransform);
+        transfer.push(frame.forces.buffer);
+    }
+    if (frameContents.contacts) {
+        frame.contacts = StateBuffer.packContacts(Physics.forEachContact);
+        transfer.push(frame.contacts.buffer);
+    }
+    if (frameContents.flow) {
+        frame.flow = FlowField.sampleFlowGrid(FLOW_OVERLAY_RESOLUTION);
+        transfer.push(frame.flow.buffer);
+    }
+    const field = frameContents.field === 'none' ? null : Chemistry.getField(frameContents.field);
+    if (field) {
+        frame.field = {
+            name: frameContents.field,
+            values: field.values.slice(),
+            max: ChemicalField.getFieldMax(field)
+        };
+        transfer.push(frame.field.values.buffer);
+    }
+    
+    self.postMessage(frame, transfer);
+}
+
+self.addEventListener('message', onMessage);
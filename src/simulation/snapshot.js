@@ -0,0 +1,133 @@
+/**
+ * Simulation snapshots for AgeEnt
+ * 
+ * A snapshot is a versioned JSON document holding everything needed to
+ * resume a run exactly: every bacterium (pose, velocity, size, traits,
+ * strain, phenotype and lineage), the strain definitions, the domain layout,
+ * the chemical fields, the flow field, the global parameters, the scenario
+ * the run was started from with the progress of its schedule, the state
+ * of the random number generator, and the Rapier world itself (in base64),
+ * whose contact and solver caches the bodies alone cannot recreate.
+ */
+
+import * as SimulationManager from './simulationManager.js';
+import * as Parameters from './parameters.js';
+import * as Chemistry from './chemistry.js';
+import * as FlowField from './flowField.js';
+import * as Strains from './strains.js';
+import * as Scenario from './scenario.js';
+import * as Schedule from './schedule.js';
+import * as GeneExpression from './geneExpression.js';
+import * as Random from './random.js';
+import * as Clock from './clock.js';
+import * as Physics from './physics.js';
+import * as Base64 from './base64.js';
+
+// Format identification
+export const SNAPSHOT_FORMAT = 'ageent-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Capture the current state of the simulation
+ * @returns {Object} The snapshot
+ */
+export function createSnapshot() {
+    const parameters = {};
+    Parameters.getParameterNames().forEach(name => {
+        parameters[name] = Parameters.getParameter(name);
+    });
+    
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        random: { seed: Random.getSeed(), state: Random.getState() },
+        clock: { time: Clock.getElapsedTime(), step: Clock.getStepCount() },
+        parameters,
+        phenotypeRules: GeneExpression.getPhenotypeRules(),
+        chemistry: Chemistry.getChemistryState(),
+        flow: FlowField.getFlowState(),
+        strains: Strains.getStrains(),
+        scenario: Scenario.getActiveScenario(),
+        schedule: Schedule.getScheduleState(),
+        simulation: SimulationManager.exportState(),
+        physics: Base64.bytesToBase64(Physics.saveWorld())
+    };
+}
+
+/**
+ * Check that an object is a snapshot this version can load
+ * @param {Object} snapshot - The candidate snapshot
+ * @throws {Error} If the format or version is not supported
+ */
+function validateSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error("Not an AgeEnt snapshot");
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+    }
+}
+
+/**
+ * Replace the running simulation with a snapshot
+ * 
+ * The simulation must already be initialized. The Rapier world is restored
+ * from the snapshot and the random state last, so the run continues exactly
+ * as the saved one would have. Snapshots saved before the world was stored
+ * rebuild the bodies instead, and crowded colonies may drift from the
+ * original run by tiny amounts that grow over time.
+ * @param {Object} snapshot - A snapshot returned by createSnapshot
+ * @throws {Error} If the snapshot cannot be loaded
+ */
+export function loadSnapshot(snapshot) {
+    validateSnapshot(snapshot);
+    
+    GeneExpression.resetPhenotypeRules();
+    GeneExpression.setPhenotypeRules(snapshot.phenotypeRules);
+    
+    // Snapshots from before strains existed hold only the default strain
+    SimulationManager.setStrains(snapshot.strains ?? Strains.DEFAULT_STRAINS);
+    
+    // Restored before the population, so the schedule does not fire events
+    // the saved run had already been through when time jumps
+    Scenario.setActiveScenario(snapshot.scenario ?? null);
+    Schedule.setScheduleState(snapshot.schedule ?? { events: [] });
+    
+    // Rebuilds the walls and the physics bodies, then restores the saved world
+    const savedWorld = snapshot.physics ? Base64.base64ToBytes(snapshot.physics) : null;
+    SimulationManager.importState(snapshot.simulation, savedWorld);
+    Chemistry.setChemistryState(snapshot.simulation.worldSize, snapshot.chemistry);
+    FlowField.setFlowState(snapshot.flow ?? { profile: 'none', grid: null });
+    
+    Object.entries(snapshot.parameters).forEach(([name, value]) => {
+        if (Parameters.hasParameter(name)) {
+            Parameters.setParameter(name, value);
+        }
+    });
+    
+    Clock.restoreClock(snapshot.clock.time, snapshot.clock.step);
+    Random.setSeed(snapshot.random.seed);
+    Random.setState(snapshot.random.state);
+}
+
+/**
+ * Serialize a snapshot to JSON text
+ * @param {Object} snapshot - The snapshot
+ * @returns {string} JSON text
+ */
+export function serializeSnapshot(snapshot) {
+    return JSON.stringify(snapshot);
+}
+
+/**
+ * Parse JSON text into a snapshot
+ * @param {string} text - JSON text
+ * @returns {Object} The snapshot
+ * @throws {Error} If the text is not a supported snapshot
+ */
+export function parseSnapshot(text) {
+    const snapshot = JSON.parse(text);
+    validateSnapshot(snapshot);
+    return snapshot;
+}
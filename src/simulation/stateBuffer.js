@@ -0,0 +1,124 @@
+/**
+ * Flat per-cell state buffer for AgeEnt
+ * 
+ * Packs what a renderer needs about every bacterium into one Float32Array,
+ * STATE_STRIDE floats per cell, so views can update thousands of instances
+ * without walking entity objects or touching the physics engine.
+ */
+
+import * as GeneExpression from './geneExpression.js';
+import * as Strains from './strains.js';
+
+// Layout of one cell's record
+export const STATE_FIELDS = {
+    ID: 0,
+    X: 1,
+    Y: 2,
+    ANGLE: 3,
+    LENGTH: 4,
+    RADIUS: 5,
+    PHENOTYPE: 6, // Index into PHENOTYPE_CODES
+    STRAIN: 7 // Index of the strain (see Strains.getStrainIndex)
+};
+export const STATE_STRIDE = 8;
+
+// Phenotypes in the order of their numeric codes
+export const PHENOTYPE_CODES = Object.values(GeneExpression.PHENOTYPES);
+
+/**
+ * Create a buffer with room for a number of cells
+ * @param {number} capacity - Number of cells
+ * @returns {Float32Array} The buffer
+ */
+export function createStateBuffer(capacity) {
+    return new Float32Array(Math.max(1, capacity) * STATE_STRIDE);
+}
+
+/**
+ * Write the state of every bacterium into a buffer, growing it if needed
+ * @param {Array<Object>} bacteria - The bacterium entities
+ * @param {Function} getTransform - Returns the transform of a bacterium
+ * @param {Float32Array} buffer - Buffer to write into
+ * @returns {Float32Array} The buffer written (a new one if it had to grow)
+ */
+export function writeStateBuffer(bacteria, getTransform, buffer) {
+    if (bacteria.length * STATE_STRIDE > buffer.length) {
+        buffer = createStateBuffer(bacteria.length * 2);
+    }
+    
+    bacteria.forEach((bacterium, index) => {
+        const transform = getTransform(bacterium);
+        const offset = index * STATE_STRIDE;
+        buffer[offset + STATE_FIELDS.ID] = bacterium.id;
+        buffer[offset + STATE_FIELDS.X] = transform.position.x;
+        buffer[offset + STATE_FIELDS.Y] = transform.position.y;
+        buffer[offset + STATE_FIELDS.ANGLE] = transform.rotation;
+        buffer[offset + STATE_FIELDS.LENGTH] = bacterium.length;
+        buffer[offset + STATE_FIELDS.RADIUS] = bacterium.radius;
+        buffer[offset + STATE_FIELDS.PHENOTYPE] = Math.max(0, PHENOTYPE_CODES.indexOf(bacterium.geneState.phenotype));
+        buffer[offset + STATE_FIELDS.STRAIN] = Math.max(0, Strains.getStrainIndex(bacterium.strain));
+    });
+    
+    return buffer;
+}
+
+/**
+ * Count the cells of each strain in a state buffer
+ * @param {Object} state - State {buffer: Float32Array, count}
+ * @param {number} strainCount - Number of strains
+ * @returns {Array<number>} Cells per strain code
+ */
+export function countStrains(state, strainCount) {
+    const counts = new Array(strainCount).fill(0);
+    for (let index = 0; index < state.count; index++) {
+        const code = state.buffer[index * STATE_STRIDE + STATE_FIELDS.STRAIN];
+        if (code < strainCount) {
+            counts[code]++;
+        }
+    }
+    return counts;
+}
+
+// Force vectors packed per cell after its position, in this order
+export const FORCE_TYPES = ['motility', 'external', 'flow', 'adhesion'];
+export const FORCE_STRIDE = 2 + FORCE_TYPES.length * 2;
+
+/**
+ * Pack the position and force vectors of every bacterium for the force overlay
+ * @param {Array<Object>} bacteria - The bacterium entities
+ * @param {Function} getTransform - Returns the transform of a bacterium
+ * @returns {Float32Array} FORCE_STRIDE floats per cell: x, y, then (x, y) per force type
+ */
+export function packForces(bacteria, getTransform) {
+    const buffer = new Float32Array(bacteria.length * FORCE_STRIDE);
+    
+    bacteria.forEach((bacterium, index) => {
+        const { position } = getTransform(bacterium);
+        const offset = index * FORCE_STRIDE;
+        buffer[offset] = position.x;
+        buffer[offset + 1] = position.y;
+        FORCE_TYPES.forEach((type, typeIndex) => {
+            const force = bacterium.forces?.[type];
+            buffer[offset + 2 + typeIndex * 2] = force ? force.x : 0;
+            buffer[offset + 3 + typeIndex * 2] = force ? force.y : 0;
+        });
+    });
+    
+    return buffer;
+}
+
+// Layout of one contact: point, normal, and 1 if it touches a wall
+export const CONTACT_STRIDE = 5;
+
+/**
+ * Pack the contacts reported by the physics engine for the contact overlay
+ * @param {Function} forEachContact - Contact iterator (see Physics.forEachContact)
+ * @returns {Float32Array} CONTACT_STRIDE floats per contact
+ */
+export function packContacts(forEachContact) {
+    const values = [];
+    forEachContact((point, normal, entityA, entityB) => {
+        values.push(point.x, point.y, normal.x, normal.y, entityA.isStatic || entityB.isStatic ? 1 : 0);
+    });
+    return Float32Array.from(values);
+}
@@ -0,0 +1,294 @@
+/**
+ * Strain definitions for AgeEnt
+ * 
+ * A strain is a named population with its own cell size, motility, tumble
+ * rate, growth rate, adhesion and display color. Every founder cell draws
+ * its traits from the strain's distributions and its daughters inherit them
+ * unchanged, so mixing strains gives heterogeneous populations for
+ * competition and segregation experiments. Initial seeding splits the
+ * population between strains by their mixture ratios.
+ * 
+ * A strain definition looks like:
+ *   {
+ *     name: 'mutant', label: 'Non-motile Mutant', color: '#e57373', ratio: 1,
+ *     traits: {
+ *       length: { type: 'normal', mean: 4, sd: 0.5 },
+ *       motility: 0,
+ *       growthRate: { type: 'uniform', min: 0.8, max: 1.2 }
+ *     }
+ *   }
+ * where each trait is a distribution:
+ *   {type: 'fixed', value}           (a plain number is shorthand for this)
+ *   {type: 'normal', mean, sd}       optionally clamped to [min, max]
+ *   {type: 'uniform', min, max}
+ * Length and radius are absolute sizes; motility, tumbleRate, growthRate and
+ * adhesion multiply the global parameters. Traits left out use the defaults.
+ */
+
+import * as Random from './random.js';
+
+// Traits a strain sets, in the order they are drawn
+export const STRAIN_TRAITS = ['length', 'radius', 'motility', 'tumbleRate', 'growthRate', 'adhesion'];
+const DISTRIBUTION_TYPES = ['fixed', 'normal', 'uniform'];
+const STRAIN_NAME_PATTERN = /^[A-Za-z0-9_-]+$/; // Names become metrics column names
+const MIN_CELL_SIZE = 0.05; // Smallest length or radius a draw may give
+
+// Trait distributions of strains that leave them out; length and radius
+// default to the seed size the simulation was initialized with
+const TRAIT_VARIATION = 0.4; // Spread of per-cell motility and tumble traits around 1
+const DEFAULT_TRAITS = {
+    motility: { type: 'uniform', min: 1 - TRAIT_VARIATION / 2, max: 1 + TRAIT_VARIATION / 2 },
+    tumbleRate: { type: 'uniform', min: 1 - TRAIT_VARIATION / 2, max: 1 + TRAIT_VARIATION / 2 },
+    growthRate: { type: 'fixed', value: 1 },
+    adhesion: { type: 'fixed', value: 1 }
+};
+
+// The single strain a simulation starts with
+export const DEFAULT_STRAINS = [
+    { name: 'wildtype', label: 'Wild Type', color: '#4fc3f7', ratio: 1, traits: {} }
+];
+
+// Strain state
+let strains = DEFAULT_STRAINS.map(normalizeStrain);
+let strainIndices = new Map(strains.map((strain, index) => [strain.name, index])); // Name -> numeric code
+
+/**
+ * Check a trait distribution and expand the plain-number shorthand
+ * @param {string} trait - Trait name, for error messages
+ * @param {number|Object} distribution - The distribution
+ * @returns {Object} The distribution in object form
+ * @throws {Error} If the distribution is not valid
+ */
+function normalizeDistribution(trait, distribution) {
+    if (typeof distribution === 'number') {
+        return { type: 'fixed', value: distribution };
+    }
+    if (!distribution || !DISTRIBUTION_TYPES.includes(distribution.type)) {
+        throw new Error(`Trait ${trait} needs a distribution type (${DISTRIBUTION_TYPES.join(', ')})`);
+    }
+    
+    const required = {
+        fixed: ['value'],
+        normal: ['mean', 'sd'],
+        uniform: ['min', 'max']
+    }[distribution.type];
+    required.forEach(key => {
+        if (!Number.isFinite(distribution[key])) {
+            throw new Error(`Trait ${trait} (${distribution.type}) needs a numeric ${key}`);
+        }
+    });
+    return { ...distribution };
+}
+
+/**
+ * Check a strain definition and fill in its defaults
+ * @param {Object} definition - The strain definition
+ * @returns {Object} The complete strain
+ * @throws {Error} If the definition is not valid
+ */
+function normalizeStrain(definition) {
+    if (!definition || typeof definition.name !== 'string' || !STRAIN_NAME_PATTERN.test(definition.name)) {
+        throw new Error("Each strain needs a name of letters, digits, '-' or '_'");
+    }
+    const ratio = definition.ratio ?? 1;
+    if (!Number.isFinite(ratio) || ratio < 0) {
+        throw new Error(`Strain ${definition.name} has an invalid mixture ratio`);
+    }
+    
+    const traits = {};
+    Object.entries(definition.traits ?? {}).forEach(([trait, distribution]) => {
+        if (!STRAIN_TRAITS.includes(trait)) {
+            throw new Error(`Unknown trait ${trait} in strain ${definition.name}`);
+        }
+        traits[trait] = normalizeDistribution(trait, distribution);
+    });
+    
+    return {
+        name: definition.name,
+        label: definition.label ?? definition.name,
+        color: definition.color ?? DEFAULT_STRAINS[0].color,
+        ratio,
+        traits
+    };
+}
+
+/**
+ * Check a list of strain definitions and fill in their defaults, without
+ * changing the current strains
+ * @param {Array<Object>} definitions - Strain definitions (see the module comment)
+ * @returns {Array<Object>} The complete strains
+ * @throws {Error} If a definition is invalid, the names repeat or all ratios are zero
+ */
+export function normalizeStrains(definitions) {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        throw new Error("At least one strain must be defined");
+    }
+    
+    const normalized = definitions.map(normalizeStrain);
+    const names = new Set();
+    normalized.forEach(strain => {
+        if (names.has(strain.name)) {
+            throw new Error(`Strain ${strain.name} is defined twice`);
+        }
+        names.add(strain.name);
+    });
+    if (normalized.every(strain => strain.ratio === 0)) {
+        throw new Error("At least one strain needs a mixture ratio above zero");
+    }
+    return normalized;
+}
+
+/**
+ * Replace the strain definitions
+ * @param {Array<Object>} definitions - Strain definitions (see the module comment)
+ * @throws {Error} If a definition is invalid, the names repeat or all ratios are zero
+ */
+export function setStrains(definitions) {
+    strains = normalizeStrains(definitions);
+    strainIndices = new Map(strains.map((strain, index) => [strain.name, index]));
+}
+
+/**
+ * Override the mixture ratios of some strains
+ * @param {Object} ratios - Ratio per strain name; strains left out keep theirs
+ * @throws {Error} If a name is unknown or the resulting ratios are invalid
+ */
+export function setStrainRatios(ratios) {
+    Object.keys(ratios).forEach(name => {
+        if (!strainIndices.has(name)) {
+            throw new Error(`Unknown strain: ${name}`);
+        }
+    });
+    setStrains(strains.map(strain => ({ ...strain, ratio: ratios[strain.name] ?? strain.ratio })));
+}
+
+/**
+ * Parse strain definitions from JSON text
+ * @param {string} text - A JSON array of definitions, or {strains: [...]}
+ * @returns {Array<Object>} The definitions
+ */
+export function parseStrains(text) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.strains;
+}
+
+/**
+ * Get the current strain definitions
+ * @returns {Array<Object>} Copies of the strains, in code order
+ */
+export function getStrains() {
+    return JSON.parse(JSON.stringify(strains));
+}
+
+/**
+ * Get a strain by name
+ * @param {string} name - Strain name
+ * @returns {Object} The strain, or null if there is none
+ */
+export function getStrain(name) {
+    return strainIndices.has(name) ? strains[strainIndices.get(name)] : null;
+}
+
+/**
+ * Get the numeric code of a strain, e.g. for packed state buffers
+ * @param {string} name - Strain name
+ * @returns {number} Index of the strain, or -1 if it is not defined
+ */
+export function getStrainIndex(name) {
+    return strainIndices.get(name) ?? -1;
+}
+
+/**
+ * Draw one value from a trait distribution
+ * @param {Object} distribution - The distribution
+ * @returns {number} The value
+ */
+function sampleDistribution(distribution) {
+    switch (distribution.type) {
+        case 'normal': {
+            const value = Random.randomNormal(distribution.mean, distribution.sd);
+            return Math.min(distribution.max ?? Infinity, Math.max(distribution.min ?? -Infinity, value));
+        }
+        case 'uniform':
+            return Random.randomRange(distribution.min, distribution.max);
+        default:
+            return distribution.value;
+    }
+}
+
+/**
+ * Draw the traits of a founder cell of a strain
+ * 
+ * Fixed traits use no random numbers, so strains that fix everything leave
+ * the random sequence untouched.
+ * @param {Object} strain - The strain
+ * @param {Object} size - Default size {length, radius} for strains that leave it out
+ * @returns {Object} Traits {length, radius, motility, tumbleRate, growthRate, adhesion}
+ */
+export function sampleStrainTraits(strain, size) {
+    const defaults = {
+        ...DEFAULT_TRAITS,
+        length: { type: 'fixed', value: size.length },
+        radius: { type: 'fixed', value: size.radius }
+    };
+    
+    const traits = {};
+    STRAIN_TRAITS.forEach(trait => {
+        const value = sampleDistribution(strain.traits[trait] ?? defaults[trait]);
+        traits[trait] = Math.max(trait === 'length' || trait === 'radius' ? MIN_CELL_SIZE : 0, value);
+    });
+    return traits;
+}
+
+/**
+ * Choose a strain at random, weighted by the mixture ratios
+ * 
+ * With a single strain no random number is used.
+ * @returns {Object} The strain
+ */
+export function pickStrain() {
+    if (strains.length === 1) return strains[0];
+    
+    const total = strains.reduce((sum, strain) => sum + strain.ratio, 0);
+    let remaining = Random.random() * total;
+    for (const strain of strains) {
+        remaining -= strain.ratio;
+        if (remaining < 0) return strain;
+    }
+    return strains[strains.length - 1];
+}
+
+/**
+ * Split a number of cells between the strains by their mixture ratios
+ * 
+ * Counts are rounded by largest remainder, so they always add up and follow
+ * the ratios as closely as whole cells allow.
+ * @param {number} count - Number of cells
+ * @returns {Array<Object>} Shares {strain, count}, in code order
+ */
+export function splitByRatio(count) {
+    const total = strains.reduce((sum, strain) => sum + strain.ratio, 0);
+    const shares = strains.map((strain, index) => {
+        const exact = count * strain.ratio / total;
+        return { strain, count: Math.floor(exact), remainder: exact - Math.floor(exact), index };
+    });
+    
+    let left = count - shares.reduce((sum, share) => sum + share.count, 0);
+    shares.slice()
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(share => {
+            if (left > 0) {
+                share.count++;
+                left--;
+            }
+        });
+    
+    return shares.map(({ strain, count: strainCount }) => ({ strain, count: strainCount }));
+}
+
+/**
+ * Restore the default single strain
+ */
+export function resetStrains() {
+    setStrains(DEFAULT_STRAINS);
+}
@@ -0,0 +1,219 @@
+import * as SimulationClient from '../simulation/simulationClient.js';
+
+// Charts that can be plotted, in panel order
+const CHART_DEFINITIONS = [
+    { key: 'population', label: 'Population', color: '#4fc3f7', digits: 0 },
+    { key: 'meanSpeed', label: 'Mean Velocity', color: '#aed581', digits: 3 },
+    { key: 'nematicOrder', label: 'Order Parameter', color: '#ffb74d', digits: 3 },
+    { key: 'simulationTime', label: 'Simulated Time (s)', color: '#ce93d8', digits: 1 },
+    { key: 'meanLength', label: 'Mean Cell Length', color: '#f06292', digits: 2 },
+    { key: 'clusterCount', label: 'Cluster Count', color: '#fff176', digits: 0 }
+];
+const DEFAULT_CHARTS = ['population', 'meanSpeed', 'nematicOrder', 'simulationTime'];
+
+// Sampling and drawing parameters
+const SAMPLE_INTERVAL_MS = 250; // Real time between chart samples
+const HISTORY_LENGTH = 240; // Samples kept per chart (one minute at 4 Hz)
+const CHART_WIDTH = 270;
+const CHART_HEIGHT = 70;
+
+// Panel state
+let chartsContainer;
+let isChartsVisible = true;
+let lastSampleTime = -Infinity;
+let isSampling = false; // Waiting for the worker to measure the population
+let history = {}; // Metric key -> rolling array of values
+let charts = []; // Plotted charts {definition, canvas, item}
+
+/**
+ * Initialize the analytics panel
+ */
+export function initCharts() {
+    // Create charts container
+    chartsContainer = document.createElement('div');
+    chartsContainer.className = 'charts';
+    document.body.appendChild(chartsContainer);
+    
+    // Add title
+    const title = document.createElement('h2');
+    title.textContent = 'Analytics';
+    chartsContainer.appendChild(title);
+    
+    // Add toggle button for charts visibility
+    const toggleButton = document.createElement('button');
+    toggleButton.textContent = 'Hide Charts';
+    toggleButton.className = 'toggle-button charts-toggle-button';
+    toggleButton.addEventListener('click', toggleChartsVisibility);
+    document.body.appendChild(toggleButton);
+    
+    // Add the metric selector and one canvas per chart
+    addChartSelector();
+    CHART_DEFINITIONS.forEach(definition => {
+        history[definition.key] = [];
+        charts.push(createChart(definition));
+    });
+    
+    console.log("Analytics charts initialized");
+}
+
+/**
+ * Toggle the visibility of the analytics panel
+ */
+function toggleChartsVisibility() {
+    isChartsVisible = !isChartsVisible;
+    chartsContainer.style.display = isChartsVisible ? 'block' : 'none';
+    
+    // Update button text
+    const toggleButton = document.querySelector('.charts-toggle-button');
+    if (toggleButton) {
+        toggleButton.textContent = isChartsVisible ? 'Hide Charts' : 'Show Charts';
+    }
+}
+
+/**
+ * Add the checkboxes that choose which metrics are plotted
+ */
+function addChartSelector() {
+    const selector = document.createElement('div');
+    selector.className = 'chart-selector';
+    
+    CHART_DEFINITIONS.forEach(definition => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = DEFAULT_CHARTS.includes(definition.key);
+        checkbox.addEventListener('change', () => {
+            const chart = charts.find(existing => existing.definition === definition);
+            chart.item.style.display = checkbox.checked ? 'block' : 'none';
+            drawChart(chart);
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(definition.label));
+        selector.appendChild(label);
+    });
+    
+    chartsContainer.appendChild(selector);
+}
+
+/**
+ * Create the canvas of one chart
+ * @param {Object} definition - Chart definition
+ * @returns {Object} Chart {definition, canvas, item}
+ */
+function createChart(definition) {
+    const item = document.createElement('div');
+    item.className = 'chart-item';
+    item.style.display = DEFAULT_CHARTS.includes(definition.key) ? 'block' : 'none';
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = CHART_WIDTH;
+    canvas.height = CHART_HEIGHT;
+    item.appendChild(canvas);
+    
+    chartsContainer.appendChild(item);
+    return { definition, canvas, item };
+}
+
+/**
+ * Sample the simulation and redraw the visible charts
+ * 
+ * Called every frame; samples are taken at a fixed real-time interval so
+ * the charts scroll at the same rate whatever the simulation speed.
+ * @param {number} timestamp - Current time in milliseconds
+ */
+export function updateCharts(timestamp) {
+    if (!chartsContainer || isSampling || timestamp - lastSampleTime < SAMPLE_INTERVAL_MS) return;
+    lastSampleTime = timestamp;
+    
+    // Nothing changes while paused, so keep the charts as they are
+    if (SimulationClient.isPaused()) return;
+    
+    // The population is measured in the simulation worker
+    isSampling = true;
+    SimulationClient.request('measurePopulation')
+        .then(metrics => addSample({ ...metrics, simulationTime: SimulationClient.getElapsedTime() }))
+        .catch(error => console.error("Failed to sample charts:", error))
+        .finally(() => {
+            isSampling = false;
+        });
+}
+    
+/**
+ * Append one sample to every chart's history and redraw
+ * @param {Object} values - Metric key -> value
+ */
+function addSample(values) {
+    CHART_DEFINITIONS.forEach(({ key }) => {
+        const series = history[key];
+        series.push(values[key]);
+        if (series.length > HISTORY_LENGTH) {
+            series.shift();
+        }
+    });
+    
+    if (isChartsVisible) {
+        charts.forEach(drawChart);
+    }
+}
+
+/**
+ * Draw one chart as a line scaled to the range of its history
+ * @param {Object} chart - Chart {definition, canvas, item}
+ */
+function drawChart(chart) {
+    if (chart.item.style.display === 'none') return;
+    
+    const { definition, canvas } = chart;
+    const context = canvas.getContext('2d');
+    const series = history[definition.key];
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Label with the latest value
+    const latest = series.length > 0 ? series[series.length - 1] : 0;
+    context.fillStyle = '#ffffff';
+    context.font = '12px Arial';
+    context.fillText(`${definition.label}: ${latest.toFixed(definition.digits)}`, 4, 14);
+    if (series.length < 2) return;
+    
+    let min = Math.min(...series);
+    let max = Math.max(...series);
+    if (max - min < 1e-9) {
+        min -= 0.5;
+        max += 0.5;
+    }
+    
+    const top = 20;
+    const height = canvas.height - top - 4;
+    context.strokeStyle = definition.color;
+    context.lineWidth = 1.5;
+    context.beginPath();
+    series.forEach((value, index) => {
+        const x = index / (HISTORY_LENGTH - 1) * canvas.width;
+        const y = top + (1 - (value - min) / (max - min)) * height;
+        if (index === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    context.stroke();
+    
+    // Range of the visible window
+    context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    context.font = '10px Arial';
+    context.textAlign = 'right';
+    context.fillText(max.toFixed(definition.digits), canvas.width - 4, top + 8);
+    context.fillText(min.toFixed(definition.digits), canvas.width - 4, canvas.height - 4);
+    context.textAlign = 'left';
+}
+
+/**
+ * Discard the chart history, e.g. after a reset or a loaded snapshot
+ */
+export function clearCharts() {
+    Object.keys(history).forEach(key => {
+        history[key] = [];
+    });
+    charts.forEach(drawChart);
+}
@@ -1,8 +1,23 @@
-import * as SimulationManager from '../simulation/simulationManager.js';
+import * as SimulationClient from '../simulation/simulationClient.js';
+import * as Domain from '../simulation/domain.js';
+import * as FlowField from '../simulation/flowField.js';
+import * as Charts from './charts.js';
+import * as Tools from './tools.js';
+import * as VisualSettings from '../visualization/visualSettings.js';
+import * as Capture from '../visualization/capture.js';
+import * as Microscopy from '../visualization/microscopy.js';
+import * as Replay from '../visualization/replay.js';
 
 // UI state
 let controlsContainer;
 let isControlsVisible = true;
+let timeDisplay;
+let renderStatsDisplay;
+let strainList; // One row per strain with its cell count
+let strainCountElements = []; // Count cell per strain, in code order
+let boundControls = []; // Controls that can be refreshed from their targets
+let captureButton; // Starts and stops captures
+let captureStopButton; // Stops captures while the panels are hidden
 
 /**
  * Initialize the UI controls
@@ -18,6 +33,18 @@ export function initControls() {
     title.textContent = 'Simulation Controls';
     controlsContainer.appendChild(title);
     
+    // Add simulated time readout
+    timeDisplay = document.createElement('div');
+    timeDisplay.className = 'status-display';
+    controlsContainer.appendChild(timeDisplay);
+    updateSimulationTime(SimulationClient.getElapsedTime());
+    
+    // Add frame rate and body count readout
+    renderStatsDisplay = document.createElement('div');
+    renderStatsDisplay.className = 'status-display';
+    controlsContainer.appendChild(renderStatsDisplay);
+    updateRenderStats(0, SimulationClient.getFrame()?.count ?? 0);
+    
     // Add toggle button for controls visibility
     const toggleButton = document.createElement('button');
     toggleButton.textContent = 'Hide Controls';
@@ -31,6 +58,83 @@ export function initControls() {
     console.log("UI controls initialized");
 }
 
+/**
+ * Show the rendering frame rate and the number of bodies drawn
+ * @param {number} fps - Frames per second
+ * @param {number} bodyCount - Number of bacteria drawn
+ */
+export function updateRenderStats(fps, bodyCount) {
+    if (!renderStatsDisplay) return;
+    
+    renderStatsDisplay.textContent = `${fps.toFixed(0)} FPS, ${bodyCount} bodies`;
+}
+
+/**
+ * Add the section listing the strains and how many cells each has
+ */
+function addStrainSection() {
+    const section = document.createElement('div');
+    section.className = 'control-section';
+    
+    const sectionTitle = document.createElement('h3');
+    sectionTitle.textContent = 'Strains';
+    section.appendChild(sectionTitle);
+    
+    strainList = document.createElement('table');
+    strainList.className = 'strain-list';
+    section.appendChild(strainList);
+    
+    controlsContainer.appendChild(section);
+    setStrains(SimulationClient.getStrains());
+}
+
+/**
+ * Rebuild the strain list, e.g. after new strains were loaded
+ * @param {Array<Object>} strains - Strain definitions, in code order
+ */
+export function setStrains(strains) {
+    if (!strainList) return;
+    
+    strainList.replaceChildren();
+    strainCountElements = strains.map(strain => {
+        const row = document.createElement('tr');
+        const swatch = document.createElement('td');
+        swatch.className = 'strain-swatch';
+        swatch.style.background = strain.color;
+        const label = document.createElement('th');
+        label.textContent = strain.label;
+        const count = document.createElement('td');
+        count.className = 'strain-count';
+        row.append(swatch, label, count);
+        strainList.appendChild(row);
+        return count;
+    });
+}
+
+/**
+ * Show the number and share of cells of each strain
+ * @param {Array<number>} counts - Cells per strain, in code order
+ */
+export function updateStrainCounts(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    strainCountElements.forEach((element, index) => {
+        const count = counts[index] ?? 0;
+        const share = total > 0 ? count / total * 100 : 0;
+        element.textContent = `${count} (${share.toFixed(0)}%)`;
+    });
+}
+
+/**
+ * Show the elapsed simulated time in the controls panel
+ * @param {number} seconds - Simulated time in seconds
+ */
+export function updateSimulationTime(seconds) {
+    if (!timeDisplay) return;
+    
+    const state = SimulationClient.isPaused() ? ' (paused)' : '';
+    timeDisplay.textContent = `Simulated time: ${seconds.toFixed(1)} s${state}`;
+}
+
 /**
  * Toggle the visibility of the controls panel
  */
@@ -60,15 +164,7 @@ function addSimulationControls() {
             min: 0,
             max: 1,
             step: 0.05,
-            defaultValue: 0.3,
-            onChange: (value) => {
-                // Apply to all bacteria
-                applyExternalForce({
-                    x: value * 2,
-                    y: 0,
-                    z: 0
-                });
-            }
+            parameter: 'motilityStrength'
         },
         {
             type: 'slider',
@@ -76,47 +172,265 @@ function addSimulationControls() {
             min: 0,
             max: 0.2,
             step: 0.01,
-            defaultValue: 0.05,
-            onChange: (value) => {
-                // This would be implemented in the simulation manager
-                console.log(`Tumble rate set to ${value}`);
-            }
+            parameter: 'tumbleRate'
+        }
+    ]);
+    
+    // Add section for the strains in the population
+    addStrainSection();
+    addActionButtons([
+        {
+            label: 'Load Strains',
+            onClick: loadStrains
         }
     ]);
     
     // Add section for environment parameters
     addSection('Environment', [
+        {
+            type: 'select',
+            label: 'Domain Layout',
+            options: Domain.getDomainLayoutNames().map(name => ({
+                value: name,
+                label: Domain.DOMAIN_LAYOUTS[name].label
+            })),
+            // Rebuilds the walls in place; cells caught in them are moved
+            get: SimulationClient.getDomainLayout,
+            set: SimulationClient.setDomainLayout
+        },
         {
             type: 'slider',
             label: 'Gravity',
             min: -1,
             max: 1,
             step: 0.1,
-            defaultValue: 0,
-            onChange: (value) => {
-                // Apply gravity force to all bacteria
-                applyExternalForce({
-                    x: 0,
-                    y: value,
-                    z: 0
-                });
-            }
+            parameter: 'gravity'
+        }
+    ]);
+    
+    // Add section for the surrounding fluid
+    addSection('Flow', [
+        {
+            type: 'select',
+            label: 'Flow Profile',
+            options: Object.entries(FlowField.FLOW_PROFILES).map(([value, profile]) => ({
+                value,
+                label: profile.label
+            })),
+            // The grid profile needs a loaded grid file
+            get: SimulationClient.getFlowProfile,
+            set: SimulationClient.setFlowProfile
+        },
+        {
+            type: 'slider',
+            label: 'Flow Speed',
+            min: -5,
+            max: 5,
+            step: 0.1,
+            parameter: 'flowSpeed'
+        },
+        {
+            type: 'slider',
+            label: 'Flow Drag',
+            min: 0,
+            max: 2,
+            step: 0.05,
+            parameter: 'flowDrag'
+        }
+    ]);
+    addActionButtons([
+        {
+            label: 'Load Flow Grid',
+            onClick: loadFlowGrid
+        }
+    ]);
+    
+    // Add section for adhesion
+    addSection('Adhesion', [
+        {
+            type: 'slider',
+            label: 'Cell-Cell Adhesion',
+            min: 0,
+            max: 10,
+            step: 0.1,
+            parameter: 'adhesionStrength'
         },
         {
             type: 'slider',
-            label: 'Flow Force',
-            min: -0.5,
+            label: 'Adhesion Range',
+            min: 0,
+            max: 2,
+            step: 0.05,
+            parameter: 'adhesionRange'
+        },
+        {
+            type: 'slider',
+            label: 'Substrate Drag',
+            min: 0,
+            max: 5,
+            step: 0.1,
+            parameter: 'substrateDrag'
+        }
+    ]);
+    
+    // Add section for chemical fields and chemotaxis
+    addSection('Chemistry', [
+        {
+            type: 'slider',
+            label: 'Chemotactic Sensitivity',
+            min: 0,
+            max: 200,
+            step: 5,
+            parameter: 'chemotacticSensitivity'
+        },
+        {
+            type: 'slider',
+            label: 'Nutrient Uptake',
+            min: 0,
             max: 0.5,
+            step: 0.01,
+            parameter: 'nutrientUptakeRate'
+        },
+        {
+            type: 'slider',
+            label: 'Attractant Secretion',
+            min: 0,
+            max: 0.5,
+            step: 0.01,
+            parameter: 'attractantSecretionRate'
+        }
+    ]);
+    
+    // Add section for quorum sensing
+    addSection('Quorum Sensing', [
+        {
+            type: 'slider',
+            label: 'Quorum Threshold',
+            min: 0,
+            max: 0.1,
+            step: 0.005,
+            parameter: 'quorumThreshold'
+        },
+        {
+            type: 'slider',
+            label: 'Signal Production',
+            min: 0,
+            max: 1,
             step: 0.05,
-            defaultValue: 0,
-            onChange: (value) => {
-                // Apply flow force to all bacteria
-                applyExternalForce({
-                    x: 0,
-                    y: 0,
-                    z: value
-                });
-            }
+            parameter: 'signalProductionRate'
+        },
+        {
+            type: 'slider',
+            label: 'Signal Uptake',
+            min: 0,
+            max: 5,
+            step: 0.1,
+            parameter: 'signalUptakeRate'
+        },
+        {
+            type: 'slider',
+            label: 'Autoinducer Decay',
+            min: 0,
+            max: 5,
+            step: 0.1,
+            parameter: 'autoinducerDegradation'
+        },
+        {
+            type: 'slider',
+            label: 'Dormancy Nutrient',
+            min: 0,
+            max: 1,
+            step: 0.01,
+            parameter: 'dormancyNutrientThreshold'
+        },
+        {
+            type: 'slider',
+            label: 'Switching Hysteresis',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            parameter: 'hysteresis'
+        }
+    ]);
+    
+    // Add section for run settings
+    addSection('Run', [
+        {
+            type: 'slider',
+            label: 'Simulation Speed',
+            min: 0.25,
+            max: 20,
+            step: 0.25,
+            parameter: 'simulationSpeed'
+        },
+        {
+            type: 'number',
+            label: 'Random Seed',
+            min: 0,
+            step: 1,
+            // Restarts the random sequence; a reset replays the run from this seed
+            get: SimulationClient.getSeed,
+            set: SimulationClient.setSeed
+        }
+    ]);
+    
+    // Add section for recording metrics and trajectories
+    addSection('Metrics', [
+        {
+            type: 'checkbox',
+            label: 'Record Metrics',
+            // Starting discards the previous recording
+            get: SimulationClient.isRecording,
+            set: SimulationClient.setRecording
+        },
+        {
+            type: 'slider',
+            label: 'Sample Interval (s)',
+            min: 0.1,
+            max: 10,
+            step: 0.1,
+            get: SimulationClient.getSampleInterval,
+            set: SimulationClient.setSampleInterval
+        }
+    ]);
+    addActionButtons([
+        {
+            label: 'Export Metrics CSV',
+            onClick: () => exportMetrics('csv', 'ageent-metrics.csv', 'text/csv')
+        },
+        {
+            label: 'Export Trajectories CSV',
+            onClick: () => exportMetrics('trajectories', 'ageent-trajectories.csv', 'text/csv')
+        },
+        {
+            label: 'Export Recording JSON',
+            onClick: () => exportMetrics('json', 'ageent-recording.json', 'application/json')
+        }
+    ]);
+    
+    // Add section for the pointer tools used in the scene
+    addSection('Tools', [
+        {
+            type: 'select',
+            label: 'Click Tool',
+            options: Object.entries(Tools.TOOLS).map(([value, label]) => ({ value, label })),
+            tool: 'activeTool'
+        },
+        {
+            type: 'slider',
+            label: 'Brush Radius',
+            min: 1,
+            max: 20,
+            step: 0.5,
+            tool: 'brushRadius'
+        },
+        {
+            type: 'slider',
+            label: 'Brush Cells',
+            min: 1,
+            max: 50,
+            step: 1,
+            tool: 'brushCount'
         }
     ]);
     
@@ -125,51 +439,495 @@ function addSimulationControls() {
         {
             type: 'checkbox',
             label: 'Show Forces',
-            defaultValue: false,
-            onChange: (value) => {
-                // This would be implemented in the visualization
-                console.log(`Show forces: ${value}`);
-            }
+            setting: 'showForces'
         },
         {
             type: 'checkbox',
             label: 'Show Contacts',
-            defaultValue: false,
-            onChange: (value) => {
-                // This would be implemented in the visualization
-                console.log(`Show contacts: ${value}`);
-            }
+            setting: 'showContacts'
+        },
+        {
+            type: 'select',
+            label: 'Flow Display',
+            options: [
+                { value: 'none', label: 'None' },
+                { value: 'arrows', label: 'Arrows' },
+                { value: 'streamlines', label: 'Streamlines' }
+            ],
+            setting: 'flowDisplay'
+        },
+        {
+            type: 'select',
+            label: 'Field Display',
+            options: [
+                { value: 'none', label: 'None' },
+                { value: 'nutrient', label: 'Nutrient' },
+                { value: 'attractant', label: 'Attractant' },
+                { value: 'signal', label: 'Autoinducer' }
+            ],
+            setting: 'fieldDisplay'
+        },
+        {
+            type: 'select',
+            label: 'Color By',
+            options: [
+                { value: 'phenotype', label: 'Phenotype' },
+                { value: 'strain', label: 'Strain' }
+            ],
+            setting: 'colorBy'
         },
         {
             type: 'color',
             label: 'Bacteria Color',
-            defaultValue: '#4fc3f7',
-            onChange: (value) => {
-                // This would be implemented in the visualization
-                console.log(`Bacteria color: ${value}`);
-            }
+            setting: 'bacteriaColor'
+        },
+        {
+            type: 'select',
+            label: 'Camera View',
+            options: [
+                { value: 'perspective', label: 'Perspective' },
+                { value: 'microscope', label: 'Microscope (Top-Down)' }
+            ],
+            setting: 'cameraView'
         }
     ]);
     
+    // Add sections for capturing the render and for synthetic microscopy
+    addCaptureSection();
+    addMicroscopySection();
+    
     // Add action buttons
     addActionButtons([
         {
             label: 'Reset Simulation',
-            onClick: () => {
-                // This would reset the simulation
-                console.log('Reset simulation');
+            onClick: async () => {
+                await SimulationClient.resetSimulation();
+                Charts.clearCharts();
+                
+                // Show the defaults the reset restored
+                refreshControls();
             }
         },
         {
             label: 'Toggle Pause',
             onClick: () => {
-                // This would pause/resume the simulation
-                console.log('Toggle pause');
+                // Stop stepping the physics; rendering and the camera keep running
+                SimulationClient.togglePause();
+                updateSimulationTime(SimulationClient.getElapsedTime());
             }
+        },
+        {
+            label: 'Save Snapshot',
+            onClick: saveSnapshot
+        },
+        {
+            label: 'Load Snapshot',
+            onClick: loadSnapshot
+        },
+        {
+            label: 'Load Scenario',
+            onClick: loadScenario
+        }
+    ]);
+}
+
+/**
+ * Add the capture settings and buttons
+ */
+function addCaptureSection() {
+    addSection('Capture', [
+        {
+            type: 'select',
+            label: 'Format',
+            options: Object.entries(Capture.CAPTURE_FORMATS).map(([value, label]) => ({ value, label })),
+            capture: 'format'
+        },
+        {
+            type: 'slider',
+            label: 'Frame Interval (s)',
+            min: 0.1,
+            max: 10,
+            step: 0.1,
+            capture: 'interval'
+        },
+        {
+            type: 'number',
+            label: 'Width (0 = window)',
+            min: 0,
+            step: 1,
+            capture: 'width'
+        },
+        {
+            type: 'number',
+            label: 'Height (0 = window)',
+            min: 0,
+            step: 1,
+            capture: 'height'
+        },
+        {
+            type: 'checkbox',
+            label: 'Hide UI',
+            capture: 'hideUI'
+        }
+    ]);
+    [captureButton] = addActionButtons([
+        {
+            label: 'Start Capture',
+            onClick: toggleCapture
+        },
+        {
+            label: 'Screenshot',
+            onClick: saveScreenshot
+        }
+    ]);
+    
+    // With the panels hidden, captures are stopped with this button or Escape
+    captureStopButton = document.createElement('button');
+    captureStopButton.textContent = 'Stop Capture';
+    captureStopButton.className = 'capture-stop-button';
+    captureStopButton.style.display = 'none';
+    captureStopButton.addEventListener('click', toggleCapture);
+    document.body.appendChild(captureStopButton);
+    window.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && Capture.isCapturing()) {
+            toggleCapture();
+        }
+    });
+    
+    Capture.onCaptureChanged(() => {
+        const capturing = Capture.isCapturing();
+        captureButton.textContent = capturing ? 'Stop Capture' : 'Start Capture';
+        captureStopButton.style.display = capturing && Capture.isUIHidden() ? 'block' : 'none';
+    });
+}
+
+/**
+ * Add the synthetic microscopy settings and export buttons
+ */
+function addMicroscopySection() {
+    addSection('Microscopy', [
+        {
+            type: 'checkbox',
+            label: 'Microscopy View',
+            setting: 'microscopyView'
+        },
+        {
+            type: 'select',
+            label: 'Channels By',
+            options: Object.entries(Microscopy.CHANNEL_GROUPS).map(([value, label]) => ({ value, label })),
+            microscopy: 'channelBy'
+        },
+        {
+            type: 'checkbox',
+            label: 'Phase Contrast',
+            microscopy: 'phaseContrast'
+        },
+        {
+            type: 'slider',
+            label: 'Pixel Size (µm)',
+            min: 0.05,
+            max: 1,
+            step: 0.05,
+            microscopy: 'pixelSize'
+        },
+        {
+            type: 'slider',
+            label: 'Blur (µm)',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            microscopy: 'blur'
+        },
+        {
+            type: 'slider',
+            label: 'Noise',
+            min: 0,
+            max: 0.2,
+            step: 0.005,
+            microscopy: 'noise'
+        },
+        {
+            type: 'slider',
+            label: 'Background',
+            min: 0,
+            max: 0.5,
+            step: 0.01,
+            microscopy: 'background'
+        },
+        {
+            type: 'select',
+            label: 'Export Mode',
+            options: Object.entries(Microscopy.EXPORT_MODES).map(([value, label]) => ({ value, label })),
+            microscopy: 'exportMode'
+        },
+        {
+            type: 'slider',
+            label: 'Stack Interval (s)',
+            min: 0.1,
+            max: 10,
+            step: 0.1,
+            microscopy: 'stackInterval'
+        }
+    ]);
+    addActionButtons([
+        {
+            label: 'Export Stack',
+            onClick: () => exportImageStack(false)
+        },
+        {
+            label: 'Export Labels',
+            onClick: () => exportImageStack(true)
         }
     ]);
 }
 
+/**
+ * Download the recording as a TIFF stack of synthetic images or label masks
+ * @param {boolean} labels - Export label masks instead of images
+ */
+async function exportImageStack(labels) {
+    const interval = Microscopy.getMicroscopySetting('stackInterval');
+    const frames = Replay.getRecordedFrames(interval);
+    if (frames.length === 0) {
+        console.error("Nothing has been recorded yet");
+        return;
+    }
+    
+    try {
+        const stack = await Microscopy.createImageStack(frames, { labels, interval });
+        const { start, end } = Replay.getRecordingInfo();
+        const kind = labels ? 'labels' : 'microscopy';
+        downloadFile(`ageent-${kind}-${start.toFixed(1)}s-${end.toFixed(1)}s.tif`, stack, 'image/tiff');
+    } catch (error) {
+        console.error("Failed to export image stack:", error);
+    }
+}
+
+/**
+ * Start a capture, or stop it and download what was captured
+ */
+async function toggleCapture() {
+    try {
+        if (!Capture.isCapturing()) {
+            Capture.startCapture();
+            return;
+        }
+        
+        const result = await Capture.stopCapture();
+        if (result) {
+            downloadFile(result.filename, result.blob, result.blob.type);
+        }
+    } catch (error) {
+        console.error("Capture failed:", error);
+    }
+}
+
+/**
+ * Download the next rendered frame as a PNG image
+ */
+async function saveScreenshot() {
+    try {
+        const image = await Capture.requestScreenshot();
+        const name = `ageent-screenshot-${SimulationClient.getElapsedTime().toFixed(1)}s.png`;
+        downloadFile(name, image, 'image/png');
+    } catch (error) {
+        console.error("Failed to save screenshot:", error);
+    }
+}
+
+/**
+ * Download the current simulation state as a snapshot file
+ */
+async function saveSnapshot() {
+    try {
+        const text = await SimulationClient.request('createSnapshot');
+        const name = `ageent-snapshot-${Math.round(SimulationClient.getElapsedTime())}s.json`;
+        downloadFile(name, text, 'application/json');
+    } catch (error) {
+        console.error("Failed to save snapshot:", error);
+    }
+}
+
+/**
+ * Ask for a snapshot file and replace the running simulation with it
+ */
+function loadSnapshot() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        try {
+            await SimulationClient.request('loadSnapshot', { text: await file.text() });
+            Charts.clearCharts();
+            
+            // Show the parameters the snapshot restored
+            refreshControls();
+        } catch (error) {
+            console.error("Failed to load snapshot:", error);
+        }
+    });
+    
+    fileInput.click();
+}
+
+/**
+ * Ask for a scenario file and restart the simulation from it
+ */
+function loadScenario() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        try {
+            await SimulationClient.loadScenario(await file.text());
+            Charts.clearCharts();
+            
+            // Show the parameters the scenario set
+            refreshControls();
+        } catch (error) {
+            console.error("Failed to load scenario:", error);
+        }
+    });
+    
+    fileInput.click();
+}
+
+/**
+ * Ask for a strain definition file, then reseed the population with those strains
+ */
+function loadStrains() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        try {
+            await SimulationClient.loadStrains(await file.text());
+            Charts.clearCharts();
+        } catch (error) {
+            console.error("Failed to load strains:", error);
+        }
+    });
+    
+    fileInput.click();
+}
+
+/**
+ * Ask for a flow grid file and use it as the flow field
+ */
+function loadFlowGrid() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        try {
+            await SimulationClient.loadFlowGrid(await file.text());
+            
+            // Show the grid profile the file switched to
+            refreshControls();
+        } catch (error) {
+            console.error("Failed to load flow grid:", error);
+        }
+    });
+    
+    fileInput.click();
+}
+
+/**
+ * Download the metrics recorded in the simulation worker
+ * @param {string} format - 'csv', 'trajectories' or 'json'
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+async function exportMetrics(format, filename, type) {
+    try {
+        downloadFile(filename, await SimulationClient.request('exportMetrics', { format }), type);
+    } catch (error) {
+        console.error("Failed to export metrics:", error);
+    }
+}
+
+/**
+ * Offer text or binary data to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Resolve the getter and setter a control is bound to
+ * 
+ * Controls name either a simulation parameter (`parameter`), a
+ * visualization setting (`setting`), a tool setting (`tool`), a capture
+ * setting (`capture`), a microscopy setting (`microscopy`), or provide
+ * their own `get`/`set`.
+ * @param {Object} config - Control configuration
+ * @returns {Object} Binding {get, set}
+ */
+function bindControl(config) {
+    if (config.parameter) {
+        return {
+            get: () => SimulationClient.getParameter(config.parameter),
+            set: (value) => SimulationClient.setParameter(config.parameter, value)
+        };
+    }
+    if (config.setting) {
+        return {
+            get: () => VisualSettings.getVisualSetting(config.setting),
+            set: (value) => VisualSettings.setVisualSetting(config.setting, value)
+        };
+    }
+    if (config.tool) {
+        return {
+            get: () => Tools.getToolSetting(config.tool),
+            set: (value) => Tools.setToolSetting(config.tool, value)
+        };
+    }
+    if (config.capture) {
+        return {
+            get: () => Capture.getCaptureSetting(config.capture),
+            set: (value) => Capture.setCaptureSetting(config.capture, value)
+        };
+    }
+    if (config.microscopy) {
+        return {
+            get: () => Microscopy.getMicroscopySetting(config.microscopy),
+            set: (value) => Microscopy.setMicroscopySetting(config.microscopy, value)
+        };
+    }
+    return { get: config.get, set: config.set };
+}
+
+/**
+ * Update every bound control to show the current value of its target
+ */
+export function refreshControls() {
+    boundControls.forEach(control => control.refresh());
+}
+
 /**
  * Add a section of controls
  * @param {string} title - Section title
@@ -204,7 +962,9 @@ function createControl(config) {
     label.textContent = config.label;
     controlContainer.appendChild(label);
     
+    const binding = bindControl(config);
     let input;
+    let refresh;
     
     switch (config.type) {
         case 'slider':
@@ -213,29 +973,81 @@ function createControl(config) {
             input.min = config.min;
             input.max = config.max;
             input.step = config.step;
-            input.value = config.defaultValue;
             
             const valueDisplay = document.createElement('span');
-            valueDisplay.textContent = config.defaultValue;
             valueDisplay.className = 'value-display';
             
+            refresh = () => {
+                // Parameters are unknown until the simulation has started
+                const value = binding.get();
+                if (!Number.isFinite(value)) {
+                    valueDisplay.textContent = '–';
+                    return;
+                }
+                input.value = value;
+                valueDisplay.textContent = value.toFixed(2);
+            };
+            
             input.addEventListener('input', () => {
                 const value = parseFloat(input.value);
                 valueDisplay.textContent = value.toFixed(2);
-                config.onChange(value);
+                binding.set(value);
             });
             
             controlContainer.appendChild(input);
             controlContainer.appendChild(valueDisplay);
             break;
             
+        case 'number':
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = config.min;
+            input.step = config.step;
+            
+            refresh = () => {
+                input.value = binding.get();
+            };
+            
+            input.addEventListener('change', () => {
+                const value = parseInt(input.value, 10);
+                if (!isNaN(value)) {
+                    binding.set(value);
+                }
+            });
+            
+            controlContainer.appendChild(input);
+            break;
+            
         case 'checkbox':
             input = document.createElement('input');
             input.type = 'checkbox';
-            input.checked = config.defaultValue;
+            
+            refresh = () => {
+                input.checked = binding.get();
+            };
             
             input.addEventListener('change', () => {
-                config.onChange(input.checked);
+                binding.set(input.checked);
+            });
+            
+            controlContainer.appendChild(input);
+            break;
+            
+        case 'select':
+            input = document.createElement('select');
+            config.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option.value;
+                optionElement.textContent = option.label;
+                input.appendChild(optionElement);
+            });
+            
+            refresh = () => {
+                input.value = binding.get();
+            };
+            
+            input.addEventListener('change', () => {
+                binding.set(input.value);
             });
             
             controlContainer.appendChild(input);
@@ -244,41 +1056,45 @@ function createControl(config) {
         case 'color':
             input = document.createElement('input');
             input.type = 'color';
-            input.value = config.defaultValue;
+            
+            refresh = () => {
+                input.value = binding.get();
+            };
             
             input.addEventListener('change', () => {
-                config.onChange(input.value);
+                binding.set(input.value);
             });
             
             controlContainer.appendChild(input);
             break;
     }
     
+    if (refresh) {
+        refresh();
+        boundControls.push({ refresh });
+    }
+    
     return controlContainer;
 }
 
 /**
  * Add action buttons
  * @param {Array} buttons - Array of button configurations
+ * @returns {Array<HTMLButtonElement>} The buttons, in order
  */
 function addActionButtons(buttons) {
     const buttonContainer = document.createElement('div');
     buttonContainer.className = 'button-container';
     
-    buttons.forEach(button => {
+    const buttonElements = buttons.map(button => {
         const buttonElement = document.createElement('button');
         buttonElement.textContent = button.label;
         buttonElement.addEventListener('click', button.onClick);
         buttonContainer.appendChild(buttonElement);
+        return buttonElement;
     });
     
     controlsContainer.appendChild(buttonContainer);
+    return buttonElements;
 }
 
-/**
- * Apply an external force to all bacteria
- * @param {Object} force - Force vector {x, y, z}
- */
-function applyExternalForce(force) {
-    SimulationManager.applyExternalForce(force);
-}
@@ -0,0 +1,133 @@
+import * as SimulationClient from '../simulation/simulationClient.js';
+
+// Rows shown for the inspected cell, in panel order
+const INSPECTOR_ROWS = [
+    { label: 'ID', format: cell => cell.id },
+    { label: 'Lineage', format: cell => cell.lineageId },
+    { label: 'Strain', format: cell => cell.strain },
+    { label: 'Parent', format: cell => cell.parentId ?? 'founder' },
+    { label: 'Generation', format: cell => cell.generation },
+    { label: 'Age', format: cell => `${cell.age.toFixed(1)} s` },
+    { label: 'Phenotype', format: cell => cell.geneState.phenotype },
+    { label: 'Autoinducer', format: cell => cell.geneState.autoinducer.toFixed(3) },
+    { label: 'Position', format: cell => `(${cell.position.x.toFixed(1)}, ${cell.position.y.toFixed(1)})` },
+    { label: 'Heading', format: cell => `${(cell.angle * 180 / Math.PI).toFixed(0)}°` },
+    { label: 'Speed', format: cell => Math.hypot(cell.velocity.x, cell.velocity.y).toFixed(3) },
+    { label: 'Angular Velocity', format: cell => cell.angularVelocity.toFixed(3) },
+    { label: 'Length', format: cell => `${cell.length.toFixed(2)} / ${cell.divisionLength.toFixed(2)}` },
+    { label: 'Radius', format: cell => cell.radius.toFixed(2) },
+    { label: 'Motility Trait', format: cell => cell.motility.toFixed(2) },
+    { label: 'Tumble Trait', format: cell => cell.tumbleRate.toFixed(2) },
+    { label: 'Growth Trait', format: cell => cell.growthRate.toFixed(2) },
+    { label: 'Growth', format: cell => cell.growthArrested ? 'arrested' : 'growing' },
+    { label: 'Adhesion Trait', format: cell => cell.adhesion.toFixed(2) }
+];
+
+// Refresh parameters
+const REFRESH_INTERVAL_MS = 250; // Real time between inspector updates
+
+// Panel state
+let inspectorContainer;
+let valueElements = []; // One value cell per row
+let inspectedId = null;
+let lastRefreshTime = -Infinity;
+let isRefreshing = false; // Waiting for the worker to describe the cell
+let listeners = [];
+
+/**
+ * Initialize the (initially hidden) inspector panel
+ */
+export function initInspector() {
+    inspectorContainer = document.createElement('div');
+    inspectorContainer.className = 'inspector';
+    inspectorContainer.style.display = 'none';
+    document.body.appendChild(inspectorContainer);
+    
+    // Add title with a close button
+    const title = document.createElement('h2');
+    title.textContent = 'Inspector';
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.className = 'inspector-close';
+    closeButton.addEventListener('click', () => setInspectedBacterium(null));
+    title.appendChild(closeButton);
+    inspectorContainer.appendChild(title);
+    
+    // Add one row per inspected value
+    const table = document.createElement('table');
+    INSPECTOR_ROWS.forEach(row => {
+        const tableRow = document.createElement('tr');
+        const label = document.createElement('th');
+        label.textContent = row.label;
+        const value = document.createElement('td');
+        tableRow.appendChild(label);
+        tableRow.appendChild(value);
+        table.appendChild(tableRow);
+        valueElements.push(value);
+    });
+    inspectorContainer.appendChild(table);
+    
+    console.log("Inspector initialized");
+}
+
+/**
+ * Choose the bacterium shown in the inspector
+ * @param {number|null} id - Bacterium ID, or null to close the inspector
+ */
+export function setInspectedBacterium(id) {
+    if (id === inspectedId) return;
+    
+    inspectedId = id;
+    lastRefreshTime = -Infinity;
+    if (inspectorContainer) {
+        inspectorContainer.style.display = id === null ? 'none' : 'block';
+    }
+    listeners.forEach(listener => listener(id));
+}
+
+/**
+ * Get the bacterium shown in the inspector
+ * @returns {number|null} Bacterium ID, or null if none is inspected
+ */
+export function getInspectedBacterium() {
+    return inspectedId;
+}
+
+/**
+ * Register a listener called with the new ID whenever the selection changes
+ * @param {Function} listener - The listener to add
+ */
+export function onInspectedBacteriumChanged(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Refresh the inspected values from the simulation
+ * 
+ * Called every frame; the worker is asked at a fixed real-time interval.
+ * @param {number} timestamp - Current time in milliseconds
+ */
+export function updateInspector(timestamp) {
+    if (inspectedId === null || isRefreshing || timestamp - lastRefreshTime < REFRESH_INTERVAL_MS) return;
+    lastRefreshTime = timestamp;
+    
+    const id = inspectedId;
+    isRefreshing = true;
+    SimulationClient.inspectBacterium(id)
+        .then(cell => {
+            if (id !== inspectedId) return;
+            
+            // The cell divided or was removed
+            if (!cell) {
+                setInspectedBacterium(null);
+                return;
+            }
+            INSPECTOR_ROWS.forEach((row, index) => {
+                valueElements[index].textContent = row.format(cell);
+            });
+        })
+        .catch(error => console.error("Failed to inspect bacterium:", error))
+        .finally(() => {
+            isRefreshing = false;
+        });
+}
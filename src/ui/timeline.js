@@ -0,0 +1,188 @@
+import * as Replay from '../visualization/replay.js';
+import * as UIControls from './controls.js';
+
+// Refresh parameters
+const REFRESH_INTERVAL_MS = 100; // Real time between timeline updates
+const SCRUBBER_STEPS = 1000; // Positions of the scrubber across the recording
+
+// Panel state
+let timelineContainer;
+let recordCheckbox;
+let modeButton; // Switches between live and replay
+let playButton;
+let stepButtons = [];
+let scrubber;
+let timeDisplay;
+let speedSelect;
+let isScrubbing = false; // The scrubber is being dragged
+let lastRefreshTime = -Infinity;
+
+/**
+ * Initialize the replay timeline panel
+ */
+export function initTimeline() {
+    timelineContainer = document.createElement('div');
+    timelineContainer.className = 'timeline';
+    document.body.appendChild(timelineContainer);
+    
+    // Recording switch
+    const recordLabel = document.createElement('label');
+    recordCheckbox = document.createElement('input');
+    recordCheckbox.type = 'checkbox';
+    recordCheckbox.checked = Replay.isRecording();
+    recordCheckbox.addEventListener('change', () => Replay.setRecording(recordCheckbox.checked));
+    recordLabel.append(recordCheckbox, ' Record');
+    timelineContainer.appendChild(recordLabel);
+    
+    // Live / replay switch and transport buttons
+    modeButton = addButton('Replay', toggleReplay);
+    stepButtons.push(addButton('⏮', () => Replay.step(-1)));
+    playButton = addButton('▶', () => Replay.togglePlaying());
+    stepButtons.push(addButton('⏭', () => Replay.step(1)));
+    
+    // Scrubber across the recorded time
+    scrubber = document.createElement('input');
+    scrubber.type = 'range';
+    scrubber.className = 'timeline-scrubber';
+    scrubber.min = 0;
+    scrubber.max = SCRUBBER_STEPS;
+    scrubber.step = 1;
+    scrubber.addEventListener('pointerdown', () => {
+        isScrubbing = true;
+    });
+    scrubber.addEventListener('change', () => {
+        isScrubbing = false;
+    });
+    scrubber.addEventListener('input', onScrub);
+    timelineContainer.appendChild(scrubber);
+    
+    timeDisplay = document.createElement('span');
+    timeDisplay.className = 'timeline-time';
+    timelineContainer.appendChild(timeDisplay);
+    
+    // Playback speed
+    speedSelect = document.createElement('select');
+    Replay.PLAYBACK_SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}×`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = Replay.getPlaybackSpeed();
+    speedSelect.addEventListener('change', () => Replay.setPlaybackSpeed(parseFloat(speedSelect.value)));
+    timelineContainer.appendChild(speedSelect);
+    
+    // Recording files
+    addButton('Export', exportRecording);
+    addButton('Load', loadRecording);
+    
+    refreshTimeline();
+    console.log("Replay timeline initialized");
+}
+
+/**
+ * Add a button to the timeline panel
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function addButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    timelineContainer.appendChild(button);
+    return button;
+}
+
+/**
+ * Switch between the live simulation and the recording
+ */
+function toggleReplay() {
+    if (Replay.isReplaying()) {
+        Replay.exitReplay();
+    } else if (!Replay.enterReplay()) {
+        console.error("Nothing has been recorded yet");
+    }
+    refreshTimeline();
+}
+
+/**
+ * Enter replay if needed and show the time under the scrubber
+ */
+function onScrub() {
+    if (!Replay.isReplaying() && !Replay.enterReplay()) return;
+    
+    const { start, end } = Replay.getRecordingInfo();
+    Replay.seek(start + (end - start) * scrubber.value / SCRUBBER_STEPS);
+    refreshTimeline();
+}
+
+/**
+ * Download the recording
+ */
+function exportRecording() {
+    const { end, keyframes } = Replay.getRecordingInfo();
+    if (keyframes === 0) {
+        console.error("Nothing has been recorded yet");
+        return;
+    }
+    UIControls.downloadFile(`ageent-recording-${Math.round(end)}s.json`, Replay.exportRecording(), 'application/json');
+}
+
+/**
+ * Ask for a recording file and replay it
+ */
+function loadRecording() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        try {
+            Replay.loadRecording(await file.text());
+            refreshTimeline();
+        } catch (error) {
+            console.error("Failed to load recording:", error);
+        }
+    });
+    
+    fileInput.click();
+}
+
+/**
+ * Show the playback state, the recorded span and the scrubber position
+ */
+function refreshTimeline() {
+    const replaying = Replay.isReplaying();
+    const { start, end, keyframes, bytes } = Replay.getRecordingInfo();
+    
+    recordCheckbox.checked = Replay.isRecording();
+    modeButton.textContent = replaying ? 'Live' : 'Replay';
+    modeButton.disabled = !replaying && keyframes === 0;
+    playButton.textContent = Replay.isPlaying() ? '❚❚' : '▶';
+    playButton.disabled = !replaying;
+    stepButtons.forEach(button => {
+        button.disabled = !replaying;
+    });
+    
+    // Live, the scrubber rests at the end of the recording
+    const time = replaying ? Replay.getPlaybackTime() : end;
+    if (!isScrubbing) {
+        scrubber.value = end > start ? Math.round((time - start) / (end - start) * SCRUBBER_STEPS) : SCRUBBER_STEPS;
+    }
+    const size = `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    timeDisplay.textContent = `${time.toFixed(1)} / ${end.toFixed(1)} s (${size})`;
+}
+
+/**
+ * Refresh the timeline every REFRESH_INTERVAL_MS
+ * @param {number} timestamp - Current animation timestamp in milliseconds
+ */
+export function updateTimeline(timestamp) {
+    if (!timelineContainer || timestamp - lastRefreshTime < REFRESH_INTERVAL_MS) return;
+    lastRefreshTime = timestamp;
+    refreshTimeline();
+}
@@ -0,0 +1,44 @@
+/**
+ * Pointer tool settings for AgeEnt
+ * 
+ * Holds which tool a click in the scene uses and the size of the
+ * inoculation brush. The controls change these and the scene reads them.
+ */
+
+// Available tools
+export const TOOLS = {
+    inspect: 'Inspect / Drag',
+    spawn: 'Add Cell',
+    remove: 'Remove Cell',
+    brush: 'Inoculation Brush'
+};
+
+// Tool state
+const DEFAULT_SETTINGS = {
+    activeTool: 'inspect',
+    brushRadius: 5, // Radius of the inoculated patch
+    brushCount: 10 // Cells seeded per brush click
+};
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Get the current value of a tool setting
+ * @param {string} name - Setting name
+ * @returns {*} Current value
+ */
+export function getToolSetting(name) {
+    return settings[name];
+}
+
+/**
+ * Change a tool setting
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+export function setToolSetting(name, value) {
+    if (!(name in DEFAULT_SETTINGS)) {
+        console.error(`Unknown tool setting: ${name}`);
+        return;
+    }
+    settings[name] = value;
+}
@@ -0,0 +1,116 @@
+/**
+ * ZIP archives for AgeEnt captures
+ * 
+ * Bundles many files, e.g. the PNG frames of an image sequence, into one
+ * download. Files are stored without compression: PNG data is already
+ * compressed, and storing keeps the writer small and fast.
+ */
+
+// ZIP record signatures and fields
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // Version 2.0 of the format, enough for stored files
+const UTF8_NAMES = 0x0800; // General purpose flag: names are UTF-8
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// CRC-32 lookup table (polynomial 0xedb88320)
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value;
+});
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {number} The checksum, as an unsigned 32-bit integer
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let index = 0; index < bytes.length; index++) {
+        crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date in the MS-DOS format ZIP headers use
+ * @param {Date} date - The date
+ * @returns {Object} Fields {time, date}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Bundle files into a ZIP archive
+ * @param {Array<Object>} files - Files {name, data: Uint8Array or string}
+ * @returns {Blob} The archive
+ * @throws {Error} If there are more files or bytes than a ZIP archive without
+ *   the ZIP64 extensions can hold
+ */
+export function createZip(files) {
+    if (files.length > MAX_ENTRIES) {
+        throw new Error(`A ZIP archive holds at most ${MAX_ENTRIES} files`);
+    }
+    
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+        
+        // Fields shared by the local and central headers, from the version needed on
+        const common = new DataView(new ArrayBuffer(26));
+        common.setUint16(0, ZIP_VERSION, true);
+        common.setUint16(2, UTF8_NAMES, true);
+        common.setUint16(4, 0, true); // Stored
+        common.setUint16(6, stamp.time, true);
+        common.setUint16(8, stamp.date, true);
+        common.setUint32(10, crc, true);
+        common.setUint32(14, data.length, true);
+        common.setUint32(18, data.length, true);
+        common.setUint16(22, name.length, true);
+        common.setUint16(24, 0, true); // No extra field
+        
+        const local = new DataView(new ArrayBuffer(4));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        parts.push(local, common, name, data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, ZIP_VERSION, true); // Version made by
+        new Uint8Array(central.buffer, 6, 26).set(new Uint8Array(common.buffer));
+        // Comment length, disk number and attributes stay zero
+        central.setUint32(42, offset, true);
+        centralHeaders.push(central, name);
+        
+        offset += 4 + 26 + name.length + data.length;
+    });
+    
+    if (offset > MAX_OFFSET) {
+        throw new Error("The files are too large for a ZIP archive");
+    }
+    
+    const centralSize = centralHeaders.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_SIGNATURE, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+}
@@ -0,0 +1,205 @@
+/**
+ * Instanced bacteria rendering for AgeEnt
+ * 
+ * Draws every bacterium with two THREE.InstancedMesh objects: a unit
+ * cylinder stretched to each cell's length for the body, and unit spheres
+ * for the two end caps. Keeping the caps separate means growing cells stay
+ * round at the ends instead of being squashed by the length scaling. All
+ * instances are rewritten each frame from the simulation's typed-array state
+ * buffer (see stateBuffer.js), so the whole colony costs two draw calls.
+ */
+
+import * as THREE from 'three';
+import * as StateBuffer from '../simulation/stateBuffer.js';
+import * as VisualSettings from './visualSettings.js';
+import * as Coordinates from './coordinates.js';
+
+// Constants
+const INITIAL_CAPACITY = 1024; // Cells allocated up front; grows as needed
+const RADIAL_SEGMENTS = 12;
+const CAP_SEGMENTS = 8;
+const HIGHLIGHT_COLOR = new THREE.Color(0xffffff); // Selected cell
+
+// Colors of non-motile phenotypes (motile cells use the bacteria color setting)
+const PHENOTYPE_COLORS = {
+    matrixProducer: '#ffb74d',
+    dormant: '#757575'
+};
+
+// Renderer state
+let scene = null;
+let bodyGeometry, capGeometry, material;
+let bodies = null; // Cylinder per cell
+let caps = null; // Two spheres per cell
+let capacity = 0;
+let phenotypeColors = []; // Phenotype code -> THREE.Color
+let strainColors = [new THREE.Color()]; // Strain code -> THREE.Color
+let instanceIds = new Float64Array(0); // Instance index -> bacterium ID, as last drawn
+let highlightedId = null;
+const dummy = new THREE.Object3D();
+const transform = { position: { x: 0, y: 0 }, rotation: 0 };
+const capPosition = { x: 0, y: 0 };
+
+/**
+ * Create the instanced meshes and add them to the scene
+ * @param {THREE.Scene} targetScene - The scene to draw into
+ */
+export function initBacteriaInstances(targetScene) {
+    scene = targetScene;
+    
+    // Both geometries are unit sized; instances scale them per cell
+    bodyGeometry = new THREE.CylinderGeometry(1, 1, 1, RADIAL_SEGMENTS, 1, true);
+    // CylinderGeometry is built along the y-axis, cells lie along x
+    bodyGeometry.rotateZ(Math.PI / 2);
+    capGeometry = new THREE.SphereGeometry(1, RADIAL_SEGMENTS, CAP_SEGMENTS);
+    material = new THREE.MeshStandardMaterial();
+    
+    refreshBacteriaColors();
+    allocate(INITIAL_CAPACITY);
+}
+
+/**
+ * (Re)create the instanced meshes with room for a number of cells
+ * @param {number} cellCount - Number of cells the meshes must hold
+ */
+function allocate(cellCount) {
+    if (bodies) {
+        scene.remove(bodies, caps);
+        bodies.dispose();
+        caps.dispose();
+    }
+    
+    bodies = new THREE.InstancedMesh(bodyGeometry, material, cellCount);
+    caps = new THREE.InstancedMesh(capGeometry, material, cellCount * 2);
+    [bodies, caps].forEach(mesh => {
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Instances move every frame, so a cached bounding sphere would be stale
+        mesh.frustumCulled = false;
+        mesh.count = 0;
+        scene.add(mesh);
+    });
+    instanceIds = new Float64Array(cellCount);
+    capacity = cellCount;
+}
+
+/**
+ * Resolve the display color of every phenotype code, e.g. after the
+ * bacteria color setting changed
+ */
+export function refreshBacteriaColors() {
+    phenotypeColors = StateBuffer.PHENOTYPE_CODES.map(phenotype => new THREE.Color(
+        PHENOTYPE_COLORS[phenotype] ?? VisualSettings.getVisualSetting('bacteriaColor')
+    ));
+}
+
+/**
+ * Set the display colors of the strains
+ * @param {Array<Object>} strains - Strain definitions with a color, in code order
+ */
+export function setStrainColors(strains) {
+    strainColors = strains.map(strain => new THREE.Color(strain.color));
+}
+
+/**
+ * Rewrite all instances from a state buffer
+ * @param {Object} state - State {buffer: Float32Array, count} from the simulation
+ */
+export function updateBacteriaInstances(state) {
+    if (!bodies) return;
+    
+    const { buffer, count } = state;
+    if (count > capacity) {
+        allocate(Math.max(count, capacity * 2));
+    }
+    
+    // Color by phenotype or by strain
+    const fields = StateBuffer.STATE_FIELDS;
+    const byStrain = VisualSettings.getVisualSetting('colorBy') === 'strain';
+    const palette = byStrain ? strainColors : phenotypeColors;
+    const paletteField = byStrain ? fields.STRAIN : fields.PHENOTYPE;
+    for (let index = 0; index < count; index++) {
+        const offset = index * StateBuffer.STATE_STRIDE;
+        const x = buffer[offset + fields.X];
+        const y = buffer[offset + fields.Y];
+        const angle = buffer[offset + fields.ANGLE];
+        const length = buffer[offset + fields.LENGTH];
+        const radius = buffer[offset + fields.RADIUS];
+        const id = buffer[offset + fields.ID];
+        const color = id === highlightedId
+            ? HIGHLIGHT_COLOR
+            : palette[buffer[offset + paletteField]] ?? palette[0];
+        instanceIds[index] = id;
+        
+        // Body: resting on the grid, stretched to the cell length
+        transform.position.x = x;
+        transform.position.y = y;
+        transform.rotation = angle;
+        Coordinates.applySimTransform(dummy, transform, radius);
+        dummy.scale.set(length, radius, radius);
+        dummy.updateMatrix();
+        bodies.setMatrixAt(index, dummy.matrix);
+        bodies.setColorAt(index, color);
+        
+        // Caps: one sphere at each end of the body
+        dummy.rotation.set(0, 0, 0);
+        dummy.scale.setScalar(radius);
+        const halfX = Math.cos(angle) * length / 2;
+        const halfY = Math.sin(angle) * length / 2;
+        [-1, 1].forEach((side, capIndex) => {
+            capPosition.x = x + side * halfX;
+            capPosition.y = y + side * halfY;
+            Coordinates.simToScene(capPosition, radius, dummy.position);
+            dummy.updateMatrix();
+            caps.setMatrixAt(index * 2 + capIndex, dummy.matrix);
+            caps.setColorAt(index * 2 + capIndex, color);
+        });
+    }
+    
+    bodies.count = count;
+    caps.count = count * 2;
+    [bodies, caps].forEach(mesh => {
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) {
+            mesh.instanceColor.needsUpdate = true;
+        }
+    });
+}
+
+/**
+ * Show or hide all bacteria, e.g. while another view draws them
+ * @param {boolean} visible - Whether the instances are drawn
+ */
+export function setBacteriaInstancesVisible(visible) {
+    if (!bodies) return;
+    
+    bodies.visible = visible;
+    caps.visible = visible;
+}
+
+/**
+ * Draw one bacterium in the highlight color, e.g. the inspected cell
+ * @param {number|null} id - Bacterium ID, or null to highlight none
+ */
+export function setHighlightedBacterium(id) {
+    highlightedId = id;
+}
+
+/**
+ * Find the bacterium under a ray, as drawn in the last update
+ * @param {THREE.Raycaster} raycaster - Raycaster set from the pointer
+ * @returns {number|null} ID of the nearest bacterium hit, or null
+ */
+export function raycastBacteria(raycaster) {
+    if (!bodies || bodies.count === 0) return null;
+    
+    // Instances have moved since the bounding spheres were last computed
+    bodies.computeBoundingSphere();
+    caps.computeBoundingSphere();
+    
+    const hit = raycaster.intersectObjects([bodies, caps], false)[0];
+    if (!hit) return null;
+    
+    // Every cell has one body instance and two cap instances
+    const index = hit.object === caps ? Math.floor(hit.instanceId / 2) : hit.instanceId;
+    return instanceIds[index];
+}
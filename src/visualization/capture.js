@@ -0,0 +1,281 @@
+/**
+ * Image-sequence, video and screenshot capture for AgeEnt
+ * 
+ * Grabs the scene canvas right after the scene renders (see
+ * captureRenderedFrame). Image sequences save one PNG per interval of
+ * simulated time, whatever the frame rate, and download as a ZIP archive
+ * with an index of the simulated time of every frame. Frames are taken
+ * from the first drawn frame at or past each interval, so intervals shorter
+ * than the simulated time between rendered frames come out at the rendered
+ * rate; replays are captured at exactly one interval per rendered frame
+ * instead (see the scene's animation loop). Videos record the canvas as
+ * WebM in real time; record a replay at a fixed playback speed for a steady
+ * ratio of simulated to video time.
+ * 
+ * Captures can render at an overridden resolution and hide the page's
+ * panels and the reference grid. Listeners are notified whenever a capture
+ * starts or ends, so the scene can resize the renderer and hide its
+ * helpers.
+ */
+
+import * as Archive from './archive.js';
+
+// Capture formats
+export const CAPTURE_FORMATS = {
+    png: 'PNG Frames',
+    webm: 'WebM Video'
+};
+
+// Video encoding
+const VIDEO_FRAME_RATE = 30;
+const VIDEO_BITRATE = 8000000; // Bits per second
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_TIMESLICE_MS = 1000; // Recorded data is collected at least this often
+const TIME_TOLERANCE = 1e-6; // Seconds by which a frame may fall short of a capture time
+
+// Settings state
+const DEFAULT_SETTINGS = {
+    format: 'png',
+    interval: 1, // Simulated seconds between PNG frames
+    width: 0, // Capture width in pixels; 0 uses the canvas size
+    height: 0, // Capture height in pixels; 0 uses the canvas size
+    hideUI: false // Hide the page's panels and the grid while capturing
+};
+let settings = { ...DEFAULT_SETTINGS };
+
+// Capture state
+let canvas = null;
+let session = null; // Running capture {format, ...}
+let screenshotRequests = []; // Pending screenshots {resolve, reject}
+let listeners = [];
+
+/**
+ * Set the canvas captures are taken from
+ * @param {HTMLCanvasElement} target - The renderer's canvas
+ */
+export function initCapture(target) {
+    canvas = target;
+}
+
+/**
+ * Get the current value of a capture setting
+ * @param {string} name - Setting name
+ * @returns {*} Current value
+ */
+export function getCaptureSetting(name) {
+    return settings[name];
+}
+
+/**
+ * Change a capture setting; changes apply to the next capture
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+export function setCaptureSetting(name, value) {
+    if (!(name in DEFAULT_SETTINGS)) {
+        console.error(`Unknown capture setting: ${name}`);
+        return;
+    }
+    settings[name] = value;
+}
+
+/**
+ * Register a listener called as listener(active) when capturing starts or ends
+ * @param {Function} listener - The listener to add
+ */
+export function onCaptureChanged(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Notify listeners that capturing started or ended
+ */
+function notifyListeners() {
+    const active = isCaptureActive();
+    listeners.forEach(listener => listener(active));
+}
+
+/**
+ * Check whether a capture or a screenshot is under way
+ * @returns {boolean} True if the canvas is being captured
+ */
+export function isCaptureActive() {
+    return session !== null || screenshotRequests.length > 0;
+}
+
+/**
+ * Check whether a capture (not a screenshot) is running
+ * @returns {boolean} True if capturing
+ */
+export function isCapturing() {
+    return session !== null;
+}
+
+/**
+ * Get the simulated time between the frames of the image sequence being captured
+ * @returns {number|null} Interval in seconds, or null if no image sequence is being captured
+ */
+export function getFrameInterval() {
+    return session?.format === 'png' ? session.interval : null;
+}
+
+/**
+ * Get the render size captures override the canvas size with
+ * @returns {Object|null} Size {width, height} in pixels, or null to keep the canvas size
+ */
+export function getCaptureSize() {
+    if (!isCaptureActive() || !(settings.width > 0) || !(settings.height > 0)) return null;
+    return { width: settings.width, height: settings.height };
+}
+
+/**
+ * Check whether the page's panels and helpers should be hidden
+ * @returns {boolean} True while capturing with the hide-UI option
+ */
+export function isUIHidden() {
+    return isCaptureActive() && settings.hideUI;
+}
+
+/**
+ * Encode the canvas as PNG; call right after rendering, before the
+ * browser clears the drawing buffer
+ * @returns {Promise<Blob>} The image
+ */
+function grabCanvas() {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The canvas could not be encoded")), 'image/png');
+    });
+}
+
+/**
+ * Start capturing in the chosen format
+ * @throws {Error} If a capture is already running, the interval is not
+ *   positive or the browser cannot record video
+ */
+export function startCapture() {
+    if (!canvas) {
+        throw new Error("Capture has no canvas");
+    }
+    if (session) {
+        throw new Error("A capture is already running");
+    }
+    if (settings.format === 'png' && !(settings.interval > 0)) {
+        throw new Error("The frame interval must be positive");
+    }
+    
+    if (settings.format === 'webm') {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            throw new Error("This browser cannot record video");
+        }
+        const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error("This browser cannot record WebM video");
+        }
+        
+        // Resize the renderer before the stream takes its size from the canvas
+        const chunks = [];
+        session = { format: 'webm', chunks };
+        notifyListeners();
+        session.stream = canvas.captureStream(VIDEO_FRAME_RATE);
+        session.recorder = new MediaRecorder(session.stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+        session.recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        });
+        session.recorder.start(VIDEO_TIMESLICE_MS);
+    } else {
+        session = {
+            format: 'png',
+            interval: settings.interval,
+            nextTime: -Infinity, // The first frame drawn is captured
+            frames: [] // {time, step, image: Promise<Blob>}
+        };
+        notifyListeners();
+    }
+}
+
+/**
+ * Stop capturing and collect the result
+ * @returns {Promise<Object|null>} File {filename, blob} to download, or null
+ *   if nothing was captured
+ */
+export async function stopCapture() {
+    if (!session) return null;
+    
+    const stopped = session;
+    session = null;
+    
+    if (stopped.format === 'webm') {
+        // Keep the capture size until the recorder has taken its last frame
+        const finished = new Promise(resolve => stopped.recorder.addEventListener('stop', resolve, { once: true }));
+        stopped.recorder.stop();
+        await finished;
+        stopped.stream.getTracks().forEach(track => track.stop());
+        notifyListeners();
+        if (stopped.chunks.length === 0) return null;
+        return {
+            filename: `ageent-capture-${Date.now()}.webm`,
+            blob: new Blob(stopped.chunks, { type: 'video/webm' })
+        };
+    }
+    
+    notifyListeners();
+    if (stopped.frames.length === 0) return null;
+    const images = await Promise.all(stopped.frames.map(frame => frame.image));
+    const files = await Promise.all(images.map(async (image, index) => ({
+        name: `frame-${String(index).padStart(6, '0')}.png`,
+        data: new Uint8Array(await image.arrayBuffer())
+    })));
+    const index = ['frame,time,step', ...stopped.frames.map((frame, number) =>
+        `${number},${frame.time},${frame.step}`)].join('\n') + '\n';
+    files.push({ name: 'frames.csv', data: index });
+    
+    const first = stopped.frames[0].time;
+    const last = stopped.frames[stopped.frames.length - 1].time;
+    return {
+        filename: `ageent-frames-${first.toFixed(1)}s-${last.toFixed(1)}s.zip`,
+        blob: Archive.createZip(files)
+    };
+}
+
+/**
+ * Take a PNG of the next rendered frame
+ * @returns {Promise<Blob>} The image
+ */
+export function requestScreenshot() {
+    if (!canvas) {
+        return Promise.reject(new Error("Capture has no canvas"));
+    }
+    return new Promise((resolve, reject) => {
+        const wasActive = isCaptureActive();
+        screenshotRequests.push({ resolve, reject });
+        if (!wasActive) {
+            notifyListeners();
+        }
+    });
+}
+
+/**
+ * Capture what the scene just rendered; call straight after every render
+ * @param {Object|null} frame - The frame drawn {time, step, ...}
+ */
+export function captureRenderedFrame(frame) {
+    if (screenshotRequests.length > 0) {
+        const requests = screenshotRequests;
+        screenshotRequests = [];
+        grabCanvas().then(
+            blob => requests.forEach(request => request.resolve(blob)),
+            error => requests.forEach(request => request.reject(error))
+        );
+        // The canvas is copied before grabCanvas returns, so it may resize now
+        if (!session) {
+            notifyListeners();
+        }
+    }
+    
+    if (session?.format !== 'png' || !frame || frame.time < session.nextTime - TIME_TOLERANCE) return;
+    
+    session.frames.push({ time: frame.time, step: frame.step, image: grabCanvas() });
+    session.nextTime = (Math.floor(frame.time / session.interval + TIME_TOLERANCE) + 1) * session.interval;
+}
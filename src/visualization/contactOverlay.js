@@ -0,0 +1,76 @@
+/**
+ * Contact overlay for AgeEnt
+ * 
+ * Marks every contact point the physics solver is working with by a small
+ * cross and draws the contact normal from it. Contacts come from Rapier's
+ * contact-pair iteration in the simulation worker, packed into each frame,
+ * and all marks share one batched line geometry.
+ */
+
+import * as THREE from 'three';
+import * as StateBuffer from '../simulation/stateBuffer.js';
+import * as Coordinates from './coordinates.js';
+import * as LineBatch from './lineBatch.js';
+
+// Constants
+const NORMAL_LENGTH = 1.5; // Length of the drawn contact normals
+const MARKER_SIZE = 0.3; // Half-size of the contact point crosses
+const OVERLAY_HEIGHT = 1.25; // Height above the ground, just above the force arrows
+const CELL_CONTACT_COLOR = new THREE.Color(0xffee58);
+const WALL_CONTACT_COLOR = new THREE.Color(0xef5350);
+
+// Overlay state
+let batch = null;
+const start = new THREE.Vector3();
+const end = new THREE.Vector3();
+
+/**
+ * Create the (initially hidden) overlay and add it to the scene
+ * @param {THREE.Scene} scene - The scene to draw into
+ */
+export function initContactOverlay(scene) {
+    batch = LineBatch.createLineBatch(scene);
+}
+
+/**
+ * Show or hide the overlay
+ * @param {boolean} visible - Whether to draw contacts
+ */
+export function setContactOverlayVisible(visible) {
+    if (batch) {
+        LineBatch.setLineBatchVisible(batch, visible);
+    }
+}
+
+/**
+ * Add a line between two simulation-plane points
+ * @param {Object} from - Start point {x, y}
+ * @param {Object} to - End point {x, y}
+ * @param {THREE.Color} color - Line color
+ */
+function addSimLine(from, to, color) {
+    Coordinates.simToScene(from, OVERLAY_HEIGHT, start);
+    Coordinates.simToScene(to, OVERLAY_HEIGHT, end);
+    LineBatch.addLine(batch, start, end, color);
+}
+
+/**
+ * Rebuild the overlay from packed contacts
+ * @param {Float32Array} [contacts] - Contacts (see StateBuffer.packContacts)
+ */
+export function updateContactOverlay(contacts) {
+    if (!batch || !batch.lines.visible || !contacts) return;
+    
+    LineBatch.beginLines(batch);
+    for (let offset = 0; offset < contacts.length; offset += StateBuffer.CONTACT_STRIDE) {
+        const x = contacts[offset];
+        const y = contacts[offset + 1];
+        const normal = { x: contacts[offset + 2], y: contacts[offset + 3] };
+        const color = contacts[offset + 4] ? WALL_CONTACT_COLOR : CELL_CONTACT_COLOR;
+        
+        addSimLine({ x: x - MARKER_SIZE, y: y - MARKER_SIZE }, { x: x + MARKER_SIZE, y: y + MARKER_SIZE }, color);
+        addSimLine({ x: x - MARKER_SIZE, y: y + MARKER_SIZE }, { x: x + MARKER_SIZE, y: y - MARKER_SIZE }, color);
+        addSimLine({ x, y }, { x: x + normal.x * NORMAL_LENGTH, y: y + normal.y * NORMAL_LENGTH }, color);
+    }
+    LineBatch.endLines(batch);
+}
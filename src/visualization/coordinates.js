@@ -0,0 +1,48 @@
+/**
+ * Coordinate convention for AgeEnt
+ * 
+ * The simulation runs in a 2D plane with coordinates (x, y) and headings
+ * measured counter-clockwise from +x. The 3D view lays that plane on the
+ * Three.js ground (the XZ plane of the GridHelper), with +y pointing up:
+ * 
+ *   simulation (x, y)  ->  scene (x, height, -y)
+ *   simulation angle a ->  object.rotation.y = a
+ * 
+ * Negating y keeps the plane right-handed when seen from above, so an
+ * object lying along its local +x axis points along the simulation heading.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Convert a simulation-plane position into a scene position
+ * @param {Object} position - Simulation position {x, y}
+ * @param {number} [height] - Height above the ground plane
+ * @param {THREE.Vector3} [target] - Vector to write into (a new one if omitted)
+ * @returns {THREE.Vector3} The scene position
+ */
+export function simToScene(position, height = 0, target = new THREE.Vector3()) {
+    return target.set(position.x, height, -position.y);
+}
+
+/**
+ * Convert a scene position into a simulation-plane position
+ * 
+ * The height of the scene position is dropped.
+ * @param {THREE.Vector3} point - Scene position
+ * @returns {Object} Simulation position {x, y}
+ */
+export function sceneToSim(point) {
+    return { x: point.x, y: -point.z };
+}
+
+/**
+ * Place and orient a scene object on the ground plane from a sim transform
+ * @param {THREE.Object3D} object - Object modelled along its local +x axis
+ * @param {Object} transform - Simulation transform {position: {x, y}, rotation}
+ * @param {number} [height] - Height of the object's origin above the ground
+ */
+export function applySimTransform(object, transform, height = 0) {
+    simToScene(transform.position, height, object.position);
+    object.rotation.set(0, transform.rotation, 0);
+}
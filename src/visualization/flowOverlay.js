@@ -0,0 +1,201 @@
+/**
+ * Flow overlay for AgeEnt
+ * 
+ * Draws the fluid velocity field either as arrows on a regular grid or as
+ * streamlines traced through it. The simulation worker samples the field on
+ * a grid (see FlowField.sampleFlowGrid) and packs it into each frame;
+ * streamlines follow a bilinear interpolation of those samples. Lines are
+ * shaded from dim to bright with the local speed.
+ */
+
+import * as THREE from 'three';
+import * as LineBatch from './lineBatch.js';
+import * as Coordinates from './coordinates.js';
+
+// Constants
+const SAMPLE_STRIDE = 4; // Floats per packed sample: x, y, vx, vy
+const ARROW_FRACTION = 0.8; // Longest arrow relative to the grid spacing
+const STREAMLINE_SEED_STRIDE = 2; // Start a streamline at every second sample
+const STREAMLINE_STEP = 0.5; // Integration step relative to the grid spacing
+const MAX_STREAMLINE_STEPS = 60; // Steps traced each way from a seed
+const MIN_SPEED_FRACTION = 0.01; // Speed, relative to the fastest, where a streamline stops
+const OVERLAY_HEIGHT = 0.15; // Height above the ground, under the cells
+const SLOW_COLOR = new THREE.Color(0x1a4a5a);
+const FAST_COLOR = new THREE.Color(0x80deea);
+
+// Overlay state
+let batch = null;
+let displayMode = 'none';
+const color = new THREE.Color();
+const start = new THREE.Vector3();
+const end = new THREE.Vector3();
+
+/**
+ * Create the (initially hidden) overlay and add it to the scene
+ * @param {THREE.Scene} scene - The scene to draw into
+ */
+export function initFlowOverlay(scene) {
+    batch = LineBatch.createLineBatch(scene);
+}
+
+/**
+ * Choose how the flow is drawn
+ * @param {string} mode - 'none', 'arrows' or 'streamlines'
+ */
+export function setFlowDisplay(mode) {
+    displayMode = mode;
+    if (batch) {
+        LineBatch.setLineBatchVisible(batch, mode !== 'none');
+    }
+}
+
+/**
+ * Describe the layout of a packed sample grid
+ * @param {Float32Array} samples - Packed samples (see FlowField.sampleFlowGrid)
+ * @returns {Object} Grid {resolution, origin, spacing, maxSpeed}
+ */
+function describeGrid(samples) {
+    const resolution = Math.round(Math.sqrt(samples.length / SAMPLE_STRIDE));
+    const spacing = resolution > 1 ? samples[SAMPLE_STRIDE] - samples[0] : 1;
+    
+    let maxSpeed = 0;
+    for (let offset = 0; offset < samples.length; offset += SAMPLE_STRIDE) {
+        maxSpeed = Math.max(maxSpeed, Math.hypot(samples[offset + 2], samples[offset + 3]));
+    }
+    
+    return { resolution, origin: { x: samples[0], y: samples[1] }, spacing, maxSpeed };
+}
+
+/**
+ * Set the shared color to the shade for a speed
+ * @param {number} speed - Local fluid speed
+ * @param {number} maxSpeed - Fastest speed in the field
+ * @returns {THREE.Color} The shade
+ */
+function shadeForSpeed(speed, maxSpeed) {
+    return color.copy(SLOW_COLOR).lerp(FAST_COLOR, Math.min(1, speed / maxSpeed));
+}
+
+/**
+ * Draw one arrow per sample, scaled so the fastest fills most of a grid cell
+ * @param {Float32Array} samples - Packed samples
+ * @param {Object} grid - Grid layout from describeGrid
+ */
+function drawArrows(samples, grid) {
+    const scale = grid.spacing * ARROW_FRACTION / grid.maxSpeed;
+    
+    for (let offset = 0; offset < samples.length; offset += SAMPLE_STRIDE) {
+        const velocity = { x: samples[offset + 2], y: samples[offset + 3] };
+        const speed = Math.hypot(velocity.x, velocity.y);
+        if (speed < grid.maxSpeed * MIN_SPEED_FRACTION) continue;
+        
+        const origin = { x: samples[offset], y: samples[offset + 1] };
+        const tip = { x: origin.x + velocity.x * scale, y: origin.y + velocity.y * scale };
+        LineBatch.addArrow(batch, origin, tip, OVERLAY_HEIGHT, shadeForSpeed(speed, grid.maxSpeed));
+    }
+}
+
+/**
+ * Interpolate the packed samples bilinearly at a point
+ * @param {Float32Array} samples - Packed samples
+ * @param {Object} grid - Grid layout from describeGrid
+ * @param {Object} point - Position {x, y}
+ * @returns {Object|null} Velocity {x, y}, or null outside the sampled area
+ */
+function interpolateFlow(samples, grid, point) {
+    const gx = (point.x - grid.origin.x) / grid.spacing;
+    const gy = (point.y - grid.origin.y) / grid.spacing;
+    const last = grid.resolution - 1;
+    if (gx < 0 || gy < 0 || gx > last || gy > last) return null;
+    
+    const i0 = Math.min(Math.floor(gx), last - 1);
+    const j0 = Math.min(Math.floor(gy), last - 1);
+    const tx = gx - i0;
+    const ty = gy - j0;
+    const weights = [(1 - tx) * (1 - ty), tx * (1 - ty), (1 - tx) * ty, tx * ty];
+    const corners = [
+        j0 * grid.resolution + i0,
+        j0 * grid.resolution + i0 + 1,
+        (j0 + 1) * grid.resolution + i0,
+        (j0 + 1) * grid.resolution + i0 + 1
+    ];
+    
+    const velocity = { x: 0, y: 0 };
+    corners.forEach((corner, index) => {
+        velocity.x += samples[corner * SAMPLE_STRIDE + 2] * weights[index];
+        velocity.y += samples[corner * SAMPLE_STRIDE + 3] * weights[index];
+    });
+    return velocity;
+}
+
+/**
+ * Trace a streamline from a seed in one direction with midpoint steps
+ * @param {Float32Array} samples - Packed samples
+ * @param {Object} grid - Grid layout from describeGrid
+ * @param {Object} seed - Starting point {x, y}
+ * @param {number} direction - 1 to follow the flow, -1 to trace it back
+ */
+function traceStreamline(samples, grid, seed, direction) {
+    const stepLength = grid.spacing * STREAMLINE_STEP * direction;
+    const minSpeed = grid.maxSpeed * MIN_SPEED_FRACTION;
+    let point = seed;
+    
+    for (let step = 0; step < MAX_STREAMLINE_STEPS; step++) {
+        const velocity = interpolateFlow(samples, grid, point);
+        const speed = velocity ? Math.hypot(velocity.x, velocity.y) : 0;
+        if (speed < minSpeed) return;
+        
+        // Fixed-length steps keep slow regions from drawing short stubs
+        const midpoint = {
+            x: point.x + velocity.x / speed * stepLength / 2,
+            y: point.y + velocity.y / speed * stepLength / 2
+        };
+        const midVelocity = interpolateFlow(samples, grid, midpoint);
+        const midSpeed = midVelocity ? Math.hypot(midVelocity.x, midVelocity.y) : 0;
+        if (midSpeed < minSpeed) return;
+        
+        const next = {
+            x: point.x + midVelocity.x / midSpeed * stepLength,
+            y: point.y + midVelocity.y / midSpeed * stepLength
+        };
+        Coordinates.simToScene(point, OVERLAY_HEIGHT, start);
+        Coordinates.simToScene(next, OVERLAY_HEIGHT, end);
+        LineBatch.addLine(batch, start, end, shadeForSpeed(midSpeed, grid.maxSpeed));
+        point = next;
+    }
+}
+
+/**
+ * Draw streamlines through a coarse lattice of seed points
+ * @param {Float32Array} samples - Packed samples
+ * @param {Object} grid - Grid layout from describeGrid
+ */
+function drawStreamlines(samples, grid) {
+    for (let j = 0; j < grid.resolution; j += STREAMLINE_SEED_STRIDE) {
+        for (let i = 0; i < grid.resolution; i += STREAMLINE_SEED_STRIDE) {
+            const offset = (j * grid.resolution + i) * SAMPLE_STRIDE;
+            const seed = { x: samples[offset], y: samples[offset + 1] };
+            traceStreamline(samples, grid, seed, 1);
+            traceStreamline(samples, grid, seed, -1);
+        }
+    }
+}
+
+/**
+ * Rebuild the overlay from the packed flow samples of a frame
+ * @param {Float32Array} [samples] - Packed samples (see FlowField.sampleFlowGrid)
+ */
+export function updateFlowOverlay(samples) {
+    if (!batch || displayMode === 'none' || !samples) return;
+    
+    LineBatch.beginLines(batch);
+    const grid = describeGrid(samples);
+    if (grid.maxSpeed > 0) {
+        if (displayMode === 'streamlines') {
+            drawStreamlines(samples, grid);
+        } else {
+            drawArrows(samples, grid);
+        }
+    }
+    LineBatch.endLines(batch);
+}
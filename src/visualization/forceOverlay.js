@@ -0,0 +1,86 @@
+/**
+ * Force overlay for AgeEnt
+ * 
+ * Draws the motility, external, flow and adhesion forces acting on every
+ * bacterium as arrows from its center, scaled by magnitude. All arrows
+ * share one batched line geometry so the overlay stays cheap with many
+ * cells.
+ */
+
+import * as THREE from 'three';
+import * as StateBuffer from '../simulation/stateBuffer.js';
+import * as LineBatch from './lineBatch.js';
+
+// Constants
+const FORCE_SCALE = 5; // Scene units per unit of force
+const MAX_ARROW_LENGTH = 12; // Longest arrow drawn, in scene units
+const OVERLAY_HEIGHT = 1.2; // Height above the ground, clear of the cells
+
+// Force types drawn, each with its own color
+const FORCE_COLORS = {
+    motility: new THREE.Color(0x66bb6a),
+    external: new THREE.Color(0x42a5f5),
+    flow: new THREE.Color(0x26c6da),
+    adhesion: new THREE.Color(0xff7043)
+};
+
+// Overlay state
+let batch = null;
+
+/**
+ * Create the (initially hidden) overlay and add it to the scene
+ * @param {THREE.Scene} scene - The scene to draw into
+ */
+export function initForceOverlay(scene) {
+    batch = LineBatch.createLineBatch(scene);
+}
+
+/**
+ * Show or hide the overlay
+ * @param {boolean} visible - Whether to draw forces
+ */
+export function setForceOverlayVisible(visible) {
+    if (batch) {
+        LineBatch.setLineBatchVisible(batch, visible);
+    }
+}
+
+/**
+ * Add an arrow for one force, in simulation coordinates
+ * @param {Object} origin - Point the arrow starts from {x, y}
+ * @param {Object} force - Force vector {x, y}
+ * @param {THREE.Color} color - Arrow color
+ */
+function addArrow(origin, force, color) {
+    const magnitude = Math.hypot(force.x, force.y);
+    if (magnitude < 1e-6) return;
+    
+    const length = Math.min(magnitude * FORCE_SCALE, MAX_ARROW_LENGTH);
+    const angle = Math.atan2(force.y, force.x);
+    const tip = {
+        x: origin.x + Math.cos(angle) * length,
+        y: origin.y + Math.sin(angle) * length
+    };
+    LineBatch.addArrow(batch, origin, tip, OVERLAY_HEIGHT, color);
+}
+
+/**
+ * Rebuild the overlay arrows from packed forces
+ * @param {Float32Array} [forces] - Positions and forces per cell (see StateBuffer.packForces)
+ */
+export function updateForceOverlay(forces) {
+    if (!batch || !batch.lines.visible || !forces) return;
+    
+    LineBatch.beginLines(batch);
+    for (let offset = 0; offset < forces.length; offset += StateBuffer.FORCE_STRIDE) {
+        const origin = { x: forces[offset], y: forces[offset + 1] };
+        StateBuffer.FORCE_TYPES.forEach((type, typeIndex) => {
+            const force = {
+                x: forces[offset + 2 + typeIndex * 2],
+                y: forces[offset + 3 + typeIndex * 2]
+            };
+            addArrow(origin, force, FORCE_COLORS[type]);
+        });
+    }
+    LineBatch.endLines(batch);
+}
@@ -0,0 +1,140 @@
+/**
+ * Batched line drawing for AgeEnt overlays
+ * 
+ * A line batch is a single THREE.LineSegments with per-vertex colors whose
+ * buffers are refilled every frame and grow when needed, so overlays with
+ * thousands of lines still cost one draw call.
+ */
+
+import * as THREE from 'three';
+import * as Coordinates from './coordinates.js';
+
+// Constants
+const INITIAL_CAPACITY = 1024; // Lines allocated up front; grows as needed
+const HEAD_FRACTION = 0.25; // Arrow head length relative to the arrow
+const HEAD_ANGLE = Math.PI / 7; // Half-angle of the arrow head
+
+// Scratch points for arrows
+const arrowStart = new THREE.Vector3();
+const arrowEnd = new THREE.Vector3();
+const arrowHeadEnd = new THREE.Vector3();
+
+/**
+ * Create an (initially hidden) line batch and add it to the scene
+ * @param {THREE.Scene} scene - The scene to draw into
+ * @returns {Object} The line batch
+ */
+export function createLineBatch(scene) {
+    const geometry = new THREE.BufferGeometry();
+    const material = new THREE.LineBasicMaterial({ vertexColors: true });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.visible = false;
+    lines.frustumCulled = false;
+    scene.add(lines);
+    
+    const batch = { lines, capacity: 0, count: 0 };
+    allocate(batch, INITIAL_CAPACITY);
+    return batch;
+}
+
+/**
+ * (Re)allocate the vertex buffers of a batch for a number of lines
+ * @param {Object} batch - The line batch
+ * @param {number} lineCount - Number of lines the buffers must hold
+ */
+function allocate(batch, lineCount) {
+    const geometry = batch.lines.geometry;
+    const oldPositions = geometry.getAttribute('position');
+    const oldColors = geometry.getAttribute('color');
+    
+    const positions = new Float32Array(lineCount * 2 * 3);
+    const colors = new Float32Array(lineCount * 2 * 3);
+    
+    // Keep the lines already added this frame
+    if (oldPositions) {
+        positions.set(oldPositions.array.subarray(0, batch.count * 6));
+        colors.set(oldColors.array.subarray(0, batch.count * 6));
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    batch.capacity = lineCount;
+}
+
+/**
+ * Show or hide a line batch
+ * @param {Object} batch - The line batch
+ * @param {boolean} visible - Whether to draw it
+ */
+export function setLineBatchVisible(batch, visible) {
+    batch.lines.visible = visible;
+}
+
+/**
+ * Start refilling a batch; lines added before endLines replace the old ones
+ * @param {Object} batch - The line batch
+ */
+export function beginLines(batch) {
+    batch.count = 0;
+}
+
+/**
+ * Add one line to a batch
+ * @param {Object} batch - The line batch
+ * @param {THREE.Vector3} start - Start point in scene coordinates
+ * @param {THREE.Vector3} end - End point in scene coordinates
+ * @param {THREE.Color} color - Line color
+ */
+export function addLine(batch, start, end, color) {
+    if (batch.count >= batch.capacity) {
+        allocate(batch, batch.capacity * 2);
+    }
+    
+    const offset = batch.count * 6;
+    const positions = batch.lines.geometry.getAttribute('position').array;
+    const colors = batch.lines.geometry.getAttribute('color').array;
+    start.toArray(positions, offset);
+    end.toArray(positions, offset + 3);
+    color.toArray(colors, offset);
+    color.toArray(colors, offset + 3);
+    batch.count++;
+}
+
+/**
+ * Add an arrow to a batch, given in simulation coordinates
+ * @param {Object} batch - The line batch
+ * @param {Object} origin - Point the arrow starts from {x, y}
+ * @param {Object} tip - Point the arrow ends at {x, y}
+ * @param {number} height - Height of the arrow above the ground
+ * @param {THREE.Color} color - Arrow color
+ */
+export function addArrow(batch, origin, tip, height, color) {
+    const length = Math.hypot(tip.x - origin.x, tip.y - origin.y);
+    const angle = Math.atan2(tip.y - origin.y, tip.x - origin.x);
+    
+    Coordinates.simToScene(origin, height, arrowStart);
+    Coordinates.simToScene(tip, height, arrowEnd);
+    addLine(batch, arrowStart, arrowEnd, color);
+    
+    // Two short strokes swept back from the tip form the head
+    const headLength = length * HEAD_FRACTION;
+    [-1, 1].forEach(side => {
+        const headAngle = angle + Math.PI + side * HEAD_ANGLE;
+        Coordinates.simToScene({
+            x: tip.x + Math.cos(headAngle) * headLength,
+            y: tip.y + Math.sin(headAngle) * headLength
+        }, height, arrowHeadEnd);
+        addLine(batch, arrowEnd, arrowHeadEnd, color);
+    });
+}
+
+/**
+ * Upload the lines added since beginLines
+ * @param {Object} batch - The line batch
+ */
+export function endLines(batch) {
+    const geometry = batch.lines.geometry;
+    geometry.getAttribute('position').needsUpdate = true;
+    geometry.getAttribute('color').needsUpdate = true;
+    geometry.setDrawRange(0, batch.count * 2);
+}
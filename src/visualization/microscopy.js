@@ -0,0 +1,432 @@
+/**
+ * Synthetic microscopy images for AgeEnt
+ * 
+ * Renders cell states as the images a microscope would record, for
+ * comparison with experiments and for validating segmentation. One
+ * simulation length unit is taken as one micron. Every cell is a rod (a
+ * capsule) whose brightness follows its thickness along the line of sight,
+ * so cells are brightest along their axis and fade towards their edges:
+ *   - a phase-contrast channel shows cells dark on a gray background;
+ *   - one fluorescence channel per strain or per phenotype shows the cells
+ *     of that group bright on a dark background, in the strain's color or a
+ *     fluorophore color per phenotype.
+ * Each channel is blurred by the point spread function and gets Gaussian
+ * noise. Images cover the world at a fixed pixel size, centered on the
+ * origin, with row 0 at the top (largest simulation y), as image files expect.
+ * 
+ * Stacks export as 16-bit multi-page TIFF files (see tiff.js), either
+ * every channel or a single grayscale channel per frame, and label masks
+ * export as 32-bit TIFF stacks holding the ID of the cell covering each
+ * pixel, as ground truth for segmentation and tracking.
+ */
+
+import * as StateBuffer from '../simulation/stateBuffer.js';
+import * as Tiff from './tiff.js';
+
+// Channel groupings and export modes
+export const CHANNEL_GROUPS = {
+    strain: 'Strain',
+    phenotype: 'Phenotype'
+};
+export const EXPORT_MODES = {
+    multichannel: 'Multichannel',
+    grayscale: 'Grayscale'
+};
+
+// Fluorophore colors of the phenotype channels, in phenotype code order
+const FLUOROPHORE_COLORS = ['#00ff00', '#ff3030', '#00e5ff', '#ffea00', '#ff40ff'];
+
+// Image formation
+const MAX_IMAGE_SIZE = 2048; // Pixels per side; wider worlds are cropped around the origin
+const PHASE_BACKGROUND = 0.7; // Phase-contrast intensity of empty medium
+const PHASE_CONTRAST = 0.5; // Phase-contrast darkening through the thickest part of a cell
+const MIN_BLUR_PIXELS = 0.3; // Point spread functions narrower than this are not applied
+const KERNEL_SIGMAS = 3; // Blur kernels reach this many standard deviations
+const FULL_SCALE = 65535; // 16-bit intensity of 1
+const MAX_STACK_BYTES = 512 * 1024 * 1024; // Largest stack built in memory
+
+// Settings state
+const DEFAULT_SETTINGS = {
+    channelBy: 'strain', // 'strain' or 'phenotype'
+    phaseContrast: true, // Include a phase-contrast channel
+    pixelSize: 0.25, // Microns per pixel
+    blur: 0.3, // Standard deviation of the point spread function, in microns
+    noise: 0.02, // Standard deviation of the noise, as a fraction of full scale
+    background: 0.05, // Fluorescence of empty medium, as a fraction of full scale
+    exportMode: 'multichannel', // 'multichannel' or 'grayscale'
+    stackInterval: 1 // Simulated seconds between the frames of exported stacks
+};
+let settings = { ...DEFAULT_SETTINGS };
+let listeners = [];
+
+/**
+ * Get the current value of a microscopy setting
+ * @param {string} name - Setting name
+ * @returns {*} Current value
+ */
+export function getMicroscopySetting(name) {
+    return settings[name];
+}
+
+/**
+ * Change a microscopy setting and notify listeners
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+export function setMicroscopySetting(name, value) {
+    if (!(name in DEFAULT_SETTINGS)) {
+        console.error(`Unknown microscopy setting: ${name}`);
+        return;
+    }
+    if (settings[name] === value) return;
+    
+    settings[name] = value;
+    listeners.forEach(listener => listener(name, value));
+}
+
+/**
+ * Register a listener called as listener(name, value) on every change
+ * @param {Function} listener - The listener to add
+ */
+export function onMicroscopySettingChanged(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Describe the channels images are made of
+ * @param {Array<Object>} strains - Strain definitions, in code order
+ * @returns {Array<Object>} Channels {name, kind: 'phase' or 'fluorescence', color, code?}
+ */
+export function getChannels(strains) {
+    const channels = settings.phaseContrast ? [{ name: 'phase', kind: 'phase', color: '#ffffff' }] : [];
+    if (settings.channelBy === 'phenotype') {
+        StateBuffer.PHENOTYPE_CODES.forEach((phenotype, code) => {
+            channels.push({
+                name: phenotype,
+                kind: 'fluorescence',
+                color: FLUOROPHORE_COLORS[code % FLUOROPHORE_COLORS.length],
+                code
+            });
+        });
+    } else {
+        strains.forEach((strain, code) => {
+            channels.push({ name: strain.name, kind: 'fluorescence', color: strain.color, code });
+        });
+    }
+    return channels;
+}
+
+/**
+ * Get the pixel grid images of a world are drawn on
+ * @param {number} worldSize - Width of the world
+ * @returns {Object} Grid {width, height, pixelSize, left, top}: left and top are
+ *   the simulation coordinates of the image's top-left corner
+ */
+export function getImageGrid(worldSize) {
+    const pixelSize = settings.pixelSize;
+    const size = Math.max(1, Math.min(MAX_IMAGE_SIZE, Math.ceil(worldSize / pixelSize)));
+    const extent = size * pixelSize;
+    return { width: size, height: size, pixelSize, left: -extent / 2, top: extent / 2 };
+}
+
+/**
+ * Visit the pixels every cell covers
+ * @param {Object} state - State {buffer: Float32Array, count}
+ * @param {Object} grid - Pixel grid (see getImageGrid)
+ * @param {Function} visit - Called as visit(row, pixel, thickness) with the cell's
+ *   row in the state buffer, the pixel index and the cell's relative thickness (0-1] there
+ */
+function rasterizeCells(state, grid, visit) {
+    const { buffer, count } = state;
+    const { width, height, pixelSize, left, top } = grid;
+    const fields = StateBuffer.STATE_FIELDS;
+    
+    for (let row = 0; row < count; row++) {
+        const offset = row * StateBuffer.STATE_STRIDE;
+        const x = buffer[offset + fields.X];
+        const y = buffer[offset + fields.Y];
+        const angle = buffer[offset + fields.ANGLE];
+        const halfLength = buffer[offset + fields.LENGTH] / 2;
+        const radius = buffer[offset + fields.RADIUS];
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        
+        // Pixels whose centers may lie inside the capsule
+        const reachX = Math.abs(dx) * halfLength + radius;
+        const reachY = Math.abs(dy) * halfLength + radius;
+        const firstColumn = Math.max(0, Math.floor((x - reachX - left) / pixelSize));
+        const lastColumn = Math.min(width - 1, Math.floor((x + reachX - left) / pixelSize));
+        const firstRow = Math.max(0, Math.floor((top - y - reachY) / pixelSize));
+        const lastRow = Math.min(height - 1, Math.floor((top - y + reachY) / pixelSize));
+        
+        for (let pixelRow = firstRow; pixelRow <= lastRow; pixelRow++) {
+            const py = top - (pixelRow + 0.5) * pixelSize - y;
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const px = left + (column + 0.5) * pixelSize - x;
+                
+                // Distance from the pixel center to the cell's axis
+                const along = Math.max(-halfLength, Math.min(halfLength, px * dx + py * dy));
+                const distance = Math.hypot(px - along * dx, py - along * dy);
+                if (distance < radius) {
+                    const ratio = distance / radius;
+                    visit(row, pixelRow * width + column, Math.sqrt(1 - ratio * ratio));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Build a normalized Gaussian kernel
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {Float32Array} Kernel weights, centered
+ */
+function gaussianKernel(sigma) {
+    const reach = Math.ceil(sigma * KERNEL_SIGMAS);
+    const kernel = new Float32Array(reach * 2 + 1);
+    let sum = 0;
+    for (let index = -reach; index <= reach; index++) {
+        const weight = Math.exp(-index * index / (2 * sigma * sigma));
+        kernel[index + reach] = weight;
+        sum += weight;
+    }
+    return kernel.map(weight => weight / sum);
+}
+
+/**
+ * Blur an image in place with a separable Gaussian, treating the outside as empty
+ * @param {Float32Array} image - Pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} sigma - Standard deviation in pixels
+ */
+function blurImage(image, width, height, sigma) {
+    if (sigma < MIN_BLUR_PIXELS) return;
+    
+    const kernel = gaussianKernel(sigma);
+    const reach = (kernel.length - 1) / 2;
+    const scratch = new Float32Array(image.length);
+    
+    // Horizontal pass into the scratch buffer, vertical pass back
+    [[image, scratch, 1, width], [scratch, image, width, height]].forEach(([source, target, stride, span]) => {
+        for (let pixel = 0; pixel < image.length; pixel++) {
+            const position = stride === 1 ? pixel % width : Math.floor(pixel / width);
+            let sum = 0;
+            for (let index = -reach; index <= reach; index++) {
+                const neighbor = position + index;
+                if (neighbor >= 0 && neighbor < span) {
+                    sum += source[pixel + index * stride] * kernel[index + reach];
+                }
+            }
+            target[pixel] = sum;
+        }
+    });
+}
+
+/**
+ * Create a seeded generator of standard normal numbers, so an image's
+ * noise is the same every time it is made
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning one normal number per call
+ */
+function createNormalGenerator(seed) {
+    // mulberry32 uniform numbers, turned normal by the Box-Muller transform
+    let state = seed >>> 0;
+    const uniform = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+/**
+ * Render a synthetic microscopy image of a cell state
+ * @param {Object} state - State {buffer: Float32Array, count, step?}
+ * @param {Object} grid - Pixel grid (see getImageGrid)
+ * @param {Array<Object>} channels - Channels (see getChannels)
+ * @returns {Array<Float32Array>} Intensities (0-1) per channel, row by row from the top
+ */
+export function synthesizeImage(state, grid, channels) {
+    const { width, height, pixelSize } = grid;
+    const fields = StateBuffer.STATE_FIELDS;
+    const field = settings.channelBy === 'phenotype' ? fields.PHENOTYPE : fields.STRAIN;
+    const thickness = channels.map(() => new Float32Array(width * height));
+    const phaseIndex = channels.findIndex(channel => channel.kind === 'phase');
+    const fluorescenceIndex = new Map();
+    channels.forEach((channel, index) => {
+        if (channel.kind === 'fluorescence') {
+            fluorescenceIndex.set(channel.code, index);
+        }
+    });
+    
+    // Overlapping cells add up, as light passes through both
+    rasterizeCells(state, grid, (row, pixel, value) => {
+        if (phaseIndex >= 0) {
+            thickness[phaseIndex][pixel] += value;
+        }
+        const index = fluorescenceIndex.get(state.buffer[row * StateBuffer.STATE_STRIDE + field]);
+        if (index !== undefined) {
+            thickness[index][pixel] += value;
+        }
+    });
+    
+    const normal = createNormalGenerator(state.step ?? 0);
+    return channels.map((channel, index) => {
+        const image = thickness[index];
+        blurImage(image, width, height, settings.blur / pixelSize);
+        for (let pixel = 0; pixel < image.length; pixel++) {
+            const signal = Math.min(1, image[pixel]);
+            const clean = channel.kind === 'phase'
+                ? PHASE_BACKGROUND - PHASE_CONTRAST * signal
+                : settings.background + (1 - settings.background) * signal;
+            image[pixel] = Math.max(0, Math.min(1, clean + settings.noise * normal()));
+        }
+        return image;
+    });
+}
+
+/**
+ * Render the label mask of a cell state
+ * @param {Object} state - State {buffer: Float32Array, count}
+ * @param {Object} grid - Pixel grid (see getImageGrid)
+ * @returns {Uint32Array} ID of the cell covering each pixel (0 for none), row by row from the top
+ */
+export function synthesizeLabels(state, grid) {
+    const labels = new Uint32Array(grid.width * grid.height);
+    const thickest = new Float32Array(labels.length);
+    
+    // Where cells overlap, the one thickest at the pixel wins
+    rasterizeCells(state, grid, (row, pixel, value) => {
+        if (value > thickest[pixel]) {
+            thickest[pixel] = value;
+            labels[pixel] = state.buffer[row * StateBuffer.STATE_STRIDE + StateBuffer.STATE_FIELDS.ID];
+        }
+    });
+    return labels;
+}
+
+/**
+ * Blend channels into a color image for display
+ * @param {Array<Float32Array>} images - Intensities per channel (see synthesizeImage)
+ * @param {Array<Object>} channels - The channels
+ * @param {Uint8Array} target - RGBA pixels to write, row by row from the bottom
+ * @param {number} width - Image width
+ */
+export function compositeImage(images, channels, target, width) {
+    const height = images.length > 0 ? images[0].length / width : 0;
+    const hasPhase = channels.some(channel => channel.kind === 'phase');
+    const colors = channels.map(channel => {
+        const value = parseInt(channel.color.slice(1), 16);
+        return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+    });
+    
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) {
+            const pixel = row * width + column;
+            const offset = ((height - 1 - row) * width + column) * 4;
+            let red = 0;
+            let green = 0;
+            let blue = 0;
+            
+            // Fluorescence glows in its color over the gray phase-contrast image
+            channels.forEach((channel, index) => {
+                const value = images[index][pixel];
+                if (channel.kind === 'phase') {
+                    red += value * 255;
+                    green += value * 255;
+                    blue += value * 255;
+                } else {
+                    const weight = hasPhase ? value - settings.background : value;
+                    red += colors[index][0] * weight;
+                    green += colors[index][1] * weight;
+                    blue += colors[index][2] * weight;
+                }
+            });
+            target[offset] = Math.max(0, Math.min(255, red));
+            target[offset + 1] = Math.max(0, Math.min(255, green));
+            target[offset + 2] = Math.max(0, Math.min(255, blue));
+            target[offset + 3] = 255;
+        }
+    }
+}
+
+/**
+ * Quantize an image to 16 bits
+ * @param {Float32Array} image - Intensities (0-1)
+ * @returns {Uint16Array} Pixels
+ */
+function toUint16(image) {
+    const pixels = new Uint16Array(image.length);
+    for (let pixel = 0; pixel < image.length; pixel++) {
+        pixels[pixel] = Math.round(image[pixel] * FULL_SCALE);
+    }
+    return pixels;
+}
+
+/**
+ * Render a stack of synthetic images or label masks as a TIFF file
+ * 
+ * The pixel grid and channels come from the first frame; cells of strains
+ * added later show only in the phase-contrast channel. In grayscale mode
+ * each frame keeps only its phase-contrast channel or, without one, the
+ * brightest of its fluorescence channels at each pixel. Frames are fetched
+ * one at a time, and the page stays responsive between them. The whole
+ * stack is held in memory until the file is assembled, so stacks larger
+ * than MAX_STACK_BYTES are refused before any frame is rendered.
+ * @param {Array<Function>} frames - Functions returning frames {state, worldSize,
+ *   strains}, in time order
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.labels] - Export label masks instead of images
+ * @param {number} [options.interval] - Simulated seconds between frames
+ * @returns {Promise<Blob>} The TIFF file
+ * @throws {Error} If the stack would be too large
+ */
+export async function createImageStack(frames, options = {}) {
+    const first = frames[0]();
+    const grid = getImageGrid(first.worldSize);
+    const channels = getChannels(first.strains);
+    const grayscale = settings.exportMode === 'grayscale';
+    const pages = [];
+
+    const pagesPerFrame = options.labels || grayscale ? 1 : channels.length;
+    const pageBytes = grid.width * grid.height * (options.labels ? 4 : 2);
+    const stackBytes = frames.length * pagesPerFrame * pageBytes;
+    if (stackBytes > MAX_STACK_BYTES) {
+        const megabytes = size => Math.round(size / (1024 * 1024));
+        throw new Error(`The stack would take ${megabytes(stackBytes)} MB, more than the `
+            + `${megabytes(MAX_STACK_BYTES)} MB limit; use a longer interval or a larger pixel size`);
+    }
+    
+    for (const [index, frame] of frames.entries()) {
+        const { state } = index === 0 ? first : frame();
+        if (options.labels) {
+            pages.push(synthesizeLabels(state, grid));
+        } else {
+            const images = synthesizeImage(state, grid, channels);
+            const phaseIndex = channels.findIndex(channel => channel.kind === 'phase');
+            if (!grayscale) {
+                images.forEach(image => pages.push(toUint16(image)));
+            } else if (phaseIndex >= 0) {
+                pages.push(toUint16(images[phaseIndex]));
+            } else {
+                const brightest = new Float32Array(grid.width * grid.height);
+                images.forEach(image => image.forEach((value, pixel) => {
+                    brightest[pixel] = Math.max(brightest[pixel], value);
+                }));
+                pages.push(toUint16(brightest));
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return Tiff.createTiffStack(pages, {
+        width: grid.width,
+        height: grid.height,
+        pixelSize: grid.pixelSize,
+        channels: pagesPerFrame,
+        interval: options.interval
+    });
+}
@@ -0,0 +1,395 @@
+/**
+ * Recording and replay of runs for AgeEnt
+ * 
+ * Records the frames the simulation worker publishes into a compact
+ * recording (see recording.js) and plays recordings back. While replaying,
+ * the scene draws frames rebuilt from the recording instead of the live
+ * simulation, which is paused, and the domain and strain colors follow the
+ * recording. Recordings can be saved and loaded to view a run again
+ * without simulating it.
+ * 
+ * The scene observes this module rather than the simulation client:
+ * observers get onDomainChanged(domain) and onStrainsChanged(strains) from
+ * whichever source is shown, and onReplayChanged(replaying) when replay
+ * starts or ends.
+ */
+
+import * as SimulationClient from '../simulation/simulationClient.js';
+import * as Recording from '../simulation/recording.js';
+
+// Playback speeds offered, in simulated seconds per real second
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+const STEP_TOLERANCE = 1e-6; // Seconds within which the playback time is at a keyframe
+
+// Recorder state
+let recording = Recording.createRecording();
+let sampler = Recording.createSampler(recording);
+let isRecordingEnabled = true;
+let isLoadedRecording = false; // The recording came from a file and is not added to
+let liveDomain = null; // Latest domain layout of the live simulation
+let liveStrains = []; // Latest strain definitions of the live simulation
+
+// Playback state
+let replaying = false;
+let playing = false;
+let playbackTime = 0;
+let playbackSpeed = 1;
+let resumeOnExit = false; // The live simulation was running when replay started
+let replayFrame = null; // Frame last rebuilt for the playback time
+let shownDomain = -1; // Index of the recorded domain on screen
+let shownStrains = -1; // Index of the recorded strains on screen
+let observers = [];
+
+// Tracks the live domain and strains, forwarding them unless replaying
+const liveObserver = {
+    onDomainChanged(domain) {
+        liveDomain = domain;
+        recordChange('domains', domain);
+        if (!replaying) {
+            notifyObservers('onDomainChanged', domain);
+        }
+    },
+    
+    onStrainsChanged(strains) {
+        liveStrains = strains;
+        recordChange('strains', strains);
+        if (!replaying) {
+            notifyObservers('onStrainsChanged', strains);
+        }
+    }
+};
+
+/**
+ * Start following the simulation client; call before starting the simulation
+ */
+export function initReplay() {
+    SimulationClient.addObserver(liveObserver);
+}
+
+/**
+ * Register an observer (see the module comment)
+ * @param {Object} observer - The observer to add
+ */
+export function addObserver(observer) {
+    if (!observers.includes(observer)) {
+        observers.push(observer);
+    }
+}
+
+/**
+ * Call a method on every observer that implements it
+ * @param {string} method - Observer method name
+ * @param {...*} args - Arguments passed to the method
+ */
+function notifyObservers(method, ...args) {
+    observers.forEach(observer => {
+        if (typeof observer[method] === 'function') {
+            observer[method](...args);
+        }
+    });
+}
+
+/**
+ * Note a live domain or strain change in the recording
+ * @param {string} kind - 'domains' or 'strains'
+ * @param {*} value - The domain layout or strain definitions
+ */
+function recordChange(kind, value) {
+    if (!isRecordingEnabled || isLoadedRecording || recording.keyframes.length === 0) return;
+    Recording.addRecordingChange(recording, kind, SimulationClient.getElapsedTime(), value);
+}
+
+/**
+ * Replace the recording
+ * @param {Object} next - The new recording
+ */
+function useRecording(next) {
+    recording = next;
+    sampler = Recording.createSampler(recording);
+    replayFrame = null;
+    shownDomain = -1;
+    shownStrains = -1;
+}
+
+/**
+ * Add a live frame to the recording if a keyframe is due
+ * 
+ * A frame earlier than the recording's last keyframe means the run was
+ * reset or replaced, so recording starts over.
+ * @param {Object} frame - Frame published by the simulation worker
+ */
+export function recordFrame(frame) {
+    if (!isRecordingEnabled || isLoadedRecording || !liveDomain) return;
+    
+    const { end } = Recording.getRecordingRange(recording);
+    if (recording.keyframes.length > 0 && frame.time < end) {
+        if (replaying) return;
+        useRecording(Recording.createRecording());
+    }
+    if (recording.keyframes.length === 0) {
+        Recording.addRecordingChange(recording, 'domains', frame.time, liveDomain);
+        Recording.addRecordingChange(recording, 'strains', frame.time, liveStrains);
+    }
+    Recording.addKeyframe(recording, frame, liveDomain.worldSize);
+}
+
+/**
+ * Check whether live frames are being recorded
+ * @returns {boolean} True if recording
+ */
+export function isRecording() {
+    return isRecordingEnabled && !isLoadedRecording;
+}
+
+/**
+ * Turn recording of live frames on or off
+ * 
+ * Turning it on after loading a recording file starts a new recording.
+ * @param {boolean} enabled - Whether to record
+ */
+export function setRecording(enabled) {
+    if (enabled && isLoadedRecording) {
+        if (replaying) {
+            exitReplay();
+        }
+        isLoadedRecording = false;
+        useRecording(Recording.createRecording());
+    }
+    isRecordingEnabled = enabled;
+}
+
+/**
+ * Get the time span and size of the recording
+ * @returns {Object} Info {start, end, keyframes, bytes, interval}
+ */
+export function getRecordingInfo() {
+    return {
+        ...Recording.getRecordingRange(recording),
+        keyframes: recording.keyframes.length,
+        bytes: recording.bytes,
+        interval: recording.interval
+    };
+}
+
+/**
+ * Check whether the scene shows the recording rather than the live simulation
+ * @returns {boolean} True while replaying
+ */
+export function isReplaying() {
+    return replaying;
+}
+
+/**
+ * Switch from the live simulation to the recording, paused at its end
+ * @returns {boolean} True if replay started (false if there is nothing recorded)
+ */
+export function enterReplay() {
+    if (replaying) return true;
+    if (recording.keyframes.length === 0) return false;
+    
+    // The live run waits while the recording is shown
+    resumeOnExit = SimulationClient.getFrame() !== null && !SimulationClient.isPaused();
+    if (resumeOnExit) {
+        SimulationClient.togglePause();
+    }
+    
+    replaying = true;
+    playing = false;
+    playbackTime = Recording.getRecordingRange(recording).end;
+    replayFrame = null;
+    shownDomain = -1;
+    shownStrains = -1;
+    notifyObservers('onReplayChanged', true);
+    return true;
+}
+
+/**
+ * Return to the live simulation, resuming it if replay paused it
+ */
+export function exitReplay() {
+    if (!replaying) return;
+    
+    replaying = false;
+    playing = false;
+    if (liveDomain) {
+        notifyObservers('onDomainChanged', liveDomain);
+        notifyObservers('onStrainsChanged', liveStrains);
+    }
+    if (resumeOnExit && SimulationClient.isPaused()) {
+        SimulationClient.togglePause();
+    }
+    resumeOnExit = false;
+    notifyObservers('onReplayChanged', false);
+}
+
+/**
+ * Check whether the replay is playing
+ * @returns {boolean} True if playing
+ */
+export function isPlaying() {
+    return replaying && playing;
+}
+
+/**
+ * Play or pause the replay; playing from the end starts over
+ * @returns {boolean} Whether the replay is now playing
+ */
+export function togglePlaying() {
+    if (!replaying) return false;
+    
+    const { start, end } = Recording.getRecordingRange(recording);
+    if (!playing && playbackTime >= end - STEP_TOLERANCE) {
+        playbackTime = start;
+    }
+    playing = !playing;
+    return playing;
+}
+
+/**
+ * Get the simulated time shown by the replay
+ * @returns {number} Playback time in seconds
+ */
+export function getPlaybackTime() {
+    return playbackTime;
+}
+
+/**
+ * Show the recording at a simulated time
+ * @param {number} time - Time in seconds, clamped to the recording
+ */
+export function seek(time) {
+    const { start, end } = Recording.getRecordingRange(recording);
+    playbackTime = Math.max(start, Math.min(end, time));
+}
+
+/**
+ * Pause and move to the next or previous keyframe
+ * @param {number} direction - 1 for the next keyframe, -1 for the previous one
+ */
+export function step(direction) {
+    if (!replaying) return;
+    playing = false;
+    
+    const { keyframes } = recording;
+    const index = Recording.findEntry(keyframes, playbackTime);
+    if (direction > 0) {
+        const next = keyframes[index].time > playbackTime + STEP_TOLERANCE ? index : index + 1;
+        seek(keyframes[Math.min(next, keyframes.length - 1)].time);
+    } else {
+        const previous = keyframes[index].time < playbackTime - STEP_TOLERANCE ? index : index - 1;
+        seek(keyframes[Math.max(previous, 0)].time);
+    }
+}
+
+/**
+ * Get the playback speed
+ * @returns {number} Simulated seconds per real second
+ */
+export function getPlaybackSpeed() {
+    return playbackSpeed;
+}
+
+/**
+ * Set the playback speed
+ * @param {number} speed - Simulated seconds per real second
+ */
+export function setPlaybackSpeed(speed) {
+    if (!(speed > 0)) {
+        console.error(`Invalid playback speed: ${speed}`);
+        return;
+    }
+    playbackSpeed = speed;
+}
+
+/**
+ * Move a playing replay on by some real time, stopping at the end
+ * @param {number} seconds - Real seconds since the last call
+ */
+export function advanceReplay(seconds) {
+    if (!replaying || !playing) return;
+    
+    const { end } = Recording.getRecordingRange(recording);
+    playbackTime = Math.min(end, playbackTime + seconds * playbackSpeed);
+    if (playbackTime >= end) {
+        playing = false;
+    }
+}
+
+/**
+ * Get the frame to draw for the playback time
+ * 
+ * Also brings the domain and strain colors on screen up to that time.
+ * @returns {Object|null} State {buffer, count, time, step}; the same object
+ *   until the playback time changes
+ */
+export function getReplayFrame() {
+    if (!replaying) return null;
+    
+    const domainIndex = Recording.findEntry(recording.domains, playbackTime);
+    if (domainIndex !== shownDomain && recording.domains[domainIndex]) {
+        shownDomain = domainIndex;
+        notifyObservers('onDomainChanged', recording.domains[domainIndex].domain);
+    }
+    const strainIndex = Recording.findEntry(recording.strains, playbackTime);
+    if (strainIndex !== shownStrains && recording.strains[strainIndex]) {
+        shownStrains = strainIndex;
+        notifyObservers('onStrainsChanged', recording.strains[strainIndex].strains);
+    }
+    
+    if (!replayFrame || replayFrame.time !== playbackTime) {
+        replayFrame = sampler(playbackTime);
+    }
+    return replayFrame;
+}
+
+/**
+ * Read frames of the recording without moving the playback, e.g. to export them
+ * @param {number} interval - Simulated seconds between frames
+ * @returns {Array<Function>} Functions returning the frame {state, worldSize, strains}
+ *   at each interval from the start of the recording to its end, in time order
+ */
+export function getRecordedFrames(interval) {
+    const source = recording;
+    if (source.keyframes.length === 0) return [];
+    
+    const sample = Recording.createSampler(source);
+    const { start, end } = Recording.getRecordingRange(source);
+    
+    const count = Math.floor((end - start) / interval + STEP_TOLERANCE) + 1;
+    return Array.from({ length: count }, (_, index) => () => {
+        const time = start + index * interval;
+        return {
+            state: sample(time),
+            worldSize: (source.domains[Recording.findEntry(source.domains, time)]?.domain ?? liveDomain).worldSize,
+            strains: source.strains[Recording.findEntry(source.strains, time)]?.strains ?? liveStrains
+        };
+    });
+}
+
+/**
+ * Serialize the recording for download
+ * @returns {string} JSON text (see Recording.serializeRecording)
+ */
+export function exportRecording() {
+    return Recording.serializeRecording(recording);
+}
+
+/**
+ * Replace the recording with one loaded from a file and replay it from the start
+ * 
+ * Live recording stops until it is turned on again.
+ * @param {string} text - JSON text written by exportRecording
+ * @throws {Error} If the text is not a supported recording
+ */
+export function loadRecording(text) {
+    const loaded = Recording.parseRecording(text);
+    if (loaded.keyframes.length === 0) {
+        throw new Error("The recording holds no frames");
+    }
+    
+    isLoadedRecording = true;
+    useRecording(loaded);
+    enterReplay();
+    playing = false;
+    seek(Recording.getRecordingRange(recording).start);
+}
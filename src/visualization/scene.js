@@ -1,18 +1,75 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import * as SimulationManager from '../simulation/simulationManager.js';
+import * as SimulationClient from '../simulation/simulationClient.js';
 import * as UIControls from '../ui/controls.js';
+import * as Charts from '../ui/charts.js';
+import * as Inspector from '../ui/inspector.js';
+import * as Tools from '../ui/tools.js';
+import * as Timeline from '../ui/timeline.js';
+import * as VisualSettings from './visualSettings.js';
+import * as ForceOverlay from './forceOverlay.js';
+import * as ContactOverlay from './contactOverlay.js';
+import * as FlowOverlay from './flowOverlay.js';
+import * as Coordinates from './coordinates.js';
+import * as BacteriaInstances from './bacteriaInstances.js';
+import * as Replay from './replay.js';
+import * as Capture from './capture.js';
+import * as Microscopy from './microscopy.js';
+import * as Domain from '../simulation/domain.js';
+import * as StateBuffer from '../simulation/stateBuffer.js';
 
 // Scene variables
 let scene, camera, renderer, controls;
-let bacteria = []; // Array to store bacteria entities
+let perspectiveCamera, microscopeCamera; // Camera presets; camera is the one in use
 let simulationInitialized = false;
+let fieldHeatmap = null; // Ground plane showing a chemical field
+let groundHelpers = []; // Grid and axes, sized to the world
+let groundSize = null; // World size the ground was built for
+let domainGroup = null; // Wall and obstacle meshes of the current domain
+let drawnFrame = null; // Last simulation or replay frame drawn
+let recordedFrame = null; // Last simulation frame handed to the recorder
+let shownStrains = []; // Strains of the run on screen
+let microscopyPlane = null; // Ground plane showing the synthetic microscopy image
+let microscopyFrame = null; // Frame the microscopy image was last made from
+let microscopyDirty = false; // Microscopy settings changed since the image was made
+let lastMicroscopyTime = -Infinity;
+let lastAnimateTime = null; // Timestamp of the previous animation frame
+let frameCount = 0; // Frames since the frame rate was last measured
+let fpsWindowStart = null;
+const raycaster = new THREE.Raycaster();
+let pointerDown = null; // Screen position of the current press {x, y}
+let isDragging = false; // A cell is held by the inspect tool
 
-// Constants
-const BACTERIA_COUNT = 50;
-const WORLD_SIZE = 100;
+// Constants; the colony size and world size can be overridden from the URL
+// (e.g. ?bacteria=5000&worldSize=400) to stress test the renderer, and a
+// scenario file given there (e.g. ?scenario=experiments/knockdown.json)
+// replaces all of these defaults
+const urlParams = new URLSearchParams(window.location.search);
+const BACTERIA_COUNT = Number(urlParams.get('bacteria')) || 50;
+const WORLD_SIZE = Number(urlParams.get('worldSize')) || 100;
+const SCENARIO_URL = urlParams.get('scenario');
 const BACTERIA_LENGTH = 4;
 const BACTERIA_RADIUS = 0.5;
+const FIELD_RESOLUTION = 64;
+const WALL_HEIGHT = 2;
+const MICROSCOPE_HEIGHT = 100; // Height of the top-down camera above the ground
+const MICROSCOPE_MARGIN = 1.05; // Field of view of the top-down camera per world width
+const WALL_COLOR = 0x90a4ae;
+const OBSTACLE_COLOR = 0x546e7a;
+const FPS_INTERVAL_MS = 500; // Real time over which the frame rate is averaged
+const MICROSCOPY_INTERVAL_MS = 100; // Real time between microscopy images, which are made on the CPU
+const CLICK_TOLERANCE = 5; // Pixels a press may move and still count as a click
+// Plane through the cell centers, where pointer rays meet the simulation plane
+const POINTER_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), -BACTERIA_RADIUS);
+
+// Heatmap color stops (approximately viridis), from low to high concentration
+const HEATMAP_COLORS = [
+    [68, 1, 84],
+    [59, 82, 139],
+    [33, 145, 140],
+    [94, 201, 98],
+    [253, 231, 37]
+];
 
 // Initialize the scene
 async function init() {
@@ -20,34 +77,79 @@ async function init() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x111111);
 
-    // Create the camera
+    // Create the cameras: an orbiting perspective view, and a top-down
+    // orthographic "microscope" view for figures, with the simulation's
+    // +y axis pointing up the screen (see coordinates.js)
     const aspect = window.innerWidth / window.innerHeight;
-    camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
-    camera.position.set(0, 30, 50);
-    camera.lookAt(0, 0, 0);
+    perspectiveCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+    perspectiveCamera.position.set(0, 30, 50);
+    perspectiveCamera.lookAt(0, 0, 0);
+    microscopeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, MICROSCOPE_HEIGHT * 2);
+    microscopeCamera.up.set(0, 0, -1);
 
     // Create the renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
     document.getElementById('scene-container').appendChild(renderer.domElement);
+    Capture.initCapture(renderer.domElement);
+    Capture.onCaptureChanged(onCaptureChanged);
 
-    // Add orbit controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
+    // Add the pointer tools before the orbit controls, so a press that grabs
+    // a cell can disable orbiting before the controls see it
+    addPointerTools();
+
+    // Add orbit controls for the chosen camera
+    setCameraView(VisualSettings.getVisualSetting('cameraView'));
 
     // Add lighting
     addLights();
 
-    // Add a grid for reference
-    addGrid();
+    // Add the (initially hidden) chemical field heatmap and microscopy image,
+    // and a grid for reference
+    addFieldHeatmap();
+    addMicroscopyPlane();
+    buildGround(WORLD_SIZE);
+    
+    // Add a group for the domain walls, filled when the simulation builds them
+    domainGroup = new THREE.Group();
+    scene.add(domainGroup);
+    
+    // Add the instanced meshes that draw all bacteria
+    BacteriaInstances.initBacteriaInstances(scene);
+    
+    // Add the (initially hidden) flow, force and contact overlays
+    FlowOverlay.initFlowOverlay(scene);
+    FlowOverlay.setFlowDisplay(VisualSettings.getVisualSetting('flowDisplay'));
+    ForceOverlay.initForceOverlay(scene);
+    ForceOverlay.setForceOverlayVisible(VisualSettings.getVisualSetting('showForces'));
+    ContactOverlay.initContactOverlay(scene);
+    ContactOverlay.setContactOverlayVisible(VisualSettings.getVisualSetting('showContacts'));
+    
+    // Apply display settings changed from the UI
+    VisualSettings.onVisualSettingChanged(onVisualSettingChanged);
+    Microscopy.onMicroscopySettingChanged(() => {
+        microscopyDirty = true;
+    });
+    if (VisualSettings.getVisualSetting('microscopyView')) {
+        setMicroscopyView(true);
+    }
 
-    // Initialize the physics simulation
+    // Start the physics simulation in its worker
     try {
         console.log("Initializing simulation...");
-        await SimulationManager.initSimulation();
+        Replay.initReplay();
+        Replay.addObserver(simulationObserver);
+        const scenario = SCENARIO_URL ? await fetchScenario(SCENARIO_URL) : null;
+        await SimulationClient.startSimulation({
+            bacteriaCount: BACTERIA_COUNT,
+            worldSize: WORLD_SIZE,
+            bacteriumLength: BACTERIA_LENGTH,
+            bacteriumRadius: BACTERIA_RADIUS,
+            fields: { resolution: FIELD_RESOLUTION }
+        }, scenario);
         simulationInitialized = true;
+        requestOverlayData();
         console.log("Simulation initialized successfully");
        
         
@@ -60,8 +162,12 @@ async function init() {
     // Add window resize handler
     window.addEventListener('resize', onWindowResize);
 
-    // Initialize UI controls
+    // Initialize UI controls and the analytics panel
     UIControls.initControls();
+    Charts.initCharts();
+    Inspector.initInspector();
+    Inspector.onInspectedBacteriumChanged(BacteriaInstances.setHighlightedBacterium);
+    Timeline.initTimeline();
     
     // Start the animation loop
     animate();
@@ -83,44 +189,503 @@ function addLights() {
     scene.add(hemisphereLight);
 }
 
-// Add a grid to the scene for reference
-function addGrid() {
-    const gridHelper = new THREE.GridHelper(WORLD_SIZE, WORLD_SIZE / 10);
-    scene.add(gridHelper);
+// Fetch the scenario named in the URL; the worker checks it when starting
+async function fetchScenario(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Failed to load scenario ${url}:`, error);
+        return null;
+    }
+}
 
-    // Add X, Y, Z axes
-    const axesHelper = new THREE.AxesHelper(WORLD_SIZE / 2);
-    scene.add(axesHelper);
+// Switch between the perspective and microscope cameras
+function setCameraView(view) {
+    camera = view === 'microscope' ? microscopeCamera : perspectiveCamera;
+    if (view === 'microscope') {
+        fitMicroscopeCamera();
+    }
+    
+    // The microscope only pans and zooms, keeping its top-down view
+    controls?.dispose();
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.enableRotate = view !== 'microscope';
+}
+
+// Center the microscope camera over the world and frame all of it
+function fitMicroscopeCamera() {
+    const size = renderer.getSize(new THREE.Vector2());
+    const aspect = size.x / size.y;
+    const halfHeight = (groundSize ?? WORLD_SIZE) * MICROSCOPE_MARGIN / 2 * Math.max(1, 1 / aspect);
+    microscopeCamera.left = -halfHeight * aspect;
+    microscopeCamera.right = halfHeight * aspect;
+    microscopeCamera.top = halfHeight;
+    microscopeCamera.bottom = -halfHeight;
+    microscopeCamera.zoom = 1;
+    microscopeCamera.position.set(0, MICROSCOPE_HEIGHT, 0);
+    microscopeCamera.lookAt(0, 0, 0);
+    microscopeCamera.updateProjectionMatrix();
+    if (controls && camera === microscopeCamera) {
+        controls.target.set(0, 0, 0);
+    }
 }
 
+// Size the reference grid, the axes and the heatmap plane to the world
+function buildGround(worldSize) {
+    if (worldSize === groundSize) return;
+    groundSize = worldSize;
+    
+    groundHelpers.forEach(helper => {
+        scene.remove(helper);
+        helper.dispose();
+    });
+    groundHelpers = [
+        new THREE.GridHelper(worldSize, Math.max(1, Math.round(worldSize / 10))),
+        // X, Y, Z axes
+        new THREE.AxesHelper(worldSize / 2)
+    ];
+    groundHelpers.forEach(helper => scene.add(helper));
+    updateGroundHelpersVisibility();
+    
+    const geometry = new THREE.PlaneGeometry(worldSize, worldSize);
+    // Lay the plane on the XZ ground; texture rows then run along -z,
+    // which is +y in the simulation plane (see coordinates.js)
+    geometry.rotateX(-Math.PI / 2);
+    fieldHeatmap.geometry.dispose();
+    fieldHeatmap.geometry = geometry;
+    
+    // Keep the whole world in the microscope's view
+    fitMicroscopeCamera();
+}
 
+// Show the grid and axes unless a capture hides them or microscopy replaces the scene
+function updateGroundHelpersVisibility() {
+    const visible = !Capture.isUIHidden() && !VisualSettings.getVisualSetting('microscopyView');
+    groundHelpers.forEach(helper => {
+        helper.visible = visible;
+    });
+}
+
+// Create a square heatmap texture with one texel per field cell
+function createHeatmapTexture(resolution) {
+    const data = new Uint8Array(resolution * resolution * 4);
+    const texture = new THREE.DataTexture(data, resolution, resolution);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Add a ground plane that shows a chemical field as a heatmap texture
+function addFieldHeatmap() {
+    const material = new THREE.MeshBasicMaterial({ map: createHeatmapTexture(FIELD_RESOLUTION) });
+    fieldHeatmap = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    fieldHeatmap.position.y = -0.01; // Just below the grid lines
+    fieldHeatmap.visible = false;
+    scene.add(fieldHeatmap);
+}
+
+// Map a normalized value (0-1) onto the heatmap colors
+function heatmapColor(value, target, offset) {
+    const scaled = Math.max(0, Math.min(1, value)) * (HEATMAP_COLORS.length - 1);
+    const index = Math.min(Math.floor(scaled), HEATMAP_COLORS.length - 2);
+    const t = scaled - index;
+    const low = HEATMAP_COLORS[index];
+    const high = HEATMAP_COLORS[index + 1];
+    
+    target[offset] = low[0] + (high[0] - low[0]) * t;
+    target[offset + 1] = low[1] + (high[1] - low[1]) * t;
+    target[offset + 2] = low[2] + (high[2] - low[2]) * t;
+    target[offset + 3] = 255;
+}
+
+// Copy the chemical field published with a frame into the heatmap texture
+function updateFieldHeatmap(field) {
+    const fieldName = VisualSettings.getVisualSetting('fieldDisplay');
+    
+    fieldHeatmap.visible = fieldName !== 'none' && !Replay.isReplaying()
+        && !VisualSettings.getVisualSetting('microscopyView');
+    if (!field || field.name !== fieldName) return;
+    
+    // Scenarios and snapshots may use another field resolution
+    const resolution = Math.round(Math.sqrt(field.values.length));
+    if (fieldHeatmap.material.map.image.width !== resolution) {
+        fieldHeatmap.material.map.dispose();
+        fieldHeatmap.material.map = createHeatmapTexture(resolution);
+    }
+    
+    const texture = fieldHeatmap.material.map;
+    const data = texture.image.data;
+    const max = field.max || 1;
+    
+    // Texture texel (i, j) covers the same patch of the domain as field cell (i, j)
+    const count = Math.min(field.values.length, resolution * resolution);
+    for (let index = 0; index < count; index++) {
+        heatmapColor(field.values[index] / max, data, index * 4);
+    }
+    texture.needsUpdate = true;
+}
+
+// Add a ground plane that shows the synthetic microscopy image
+function addMicroscopyPlane() {
+    const texture = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+    const material = new THREE.MeshBasicMaterial({ map: texture });
+    microscopyPlane = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    microscopyPlane.position.y = 0.01; // Above the grid lines
+    microscopyPlane.visible = false;
+    scene.add(microscopyPlane);
+}
+
+// Switch between drawing the 3D cells and the synthetic microscopy image
+function setMicroscopyView(enabled) {
+    BacteriaInstances.setBacteriaInstancesVisible(!enabled);
+    domainGroup.visible = !enabled;
+    microscopyPlane.visible = enabled;
+    microscopyDirty = true;
+    updateGroundHelpersVisibility();
+    applyOverlayVisibility();
+    
+    // Microscopy images are always seen from above
+    setCameraView(enabled ? 'microscope' : VisualSettings.getVisualSetting('cameraView'));
+}
+
+// Redraw the microscopy image from the frame on screen, at most every MICROSCOPY_INTERVAL_MS
+function updateMicroscopyImage(frame, timestamp) {
+    if (!VisualSettings.getVisualSetting('microscopyView') || !frame) return;
+    if (frame === microscopyFrame && !microscopyDirty) return;
+    if (timestamp - lastMicroscopyTime < MICROSCOPY_INTERVAL_MS) return;
+    microscopyFrame = frame;
+    microscopyDirty = false;
+    lastMicroscopyTime = timestamp;
+    
+    const grid = Microscopy.getImageGrid(groundSize ?? WORLD_SIZE);
+    const channels = Microscopy.getChannels(shownStrains);
+    const images = Microscopy.synthesizeImage(frame, grid, channels);
+    
+    // Resize the texture and the plane when the pixel grid changes
+    let texture = microscopyPlane.material.map;
+    if (texture.image.width !== grid.width || texture.image.height !== grid.height) {
+        texture.dispose();
+        texture = new THREE.DataTexture(new Uint8Array(grid.width * grid.height * 4), grid.width, grid.height);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        microscopyPlane.material.map = texture;
+        microscopyPlane.material.needsUpdate = true;
+        
+        // Lying like the heatmap, texture rows run up the simulation plane
+        const geometry = new THREE.PlaneGeometry(grid.width * grid.pixelSize, grid.height * grid.pixelSize);
+        geometry.rotateX(-Math.PI / 2);
+        microscopyPlane.geometry.dispose();
+        microscopyPlane.geometry = geometry;
+    }
+    
+    Microscopy.compositeImage(images, channels, texture.image.data, grid.width);
+    texture.needsUpdate = true;
+}
+
+// Replace the domain meshes with walls and obstacles matching the physics
+function buildDomainMeshes(domain) {
+    domainGroup.children.forEach(child => {
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+    domainGroup.clear();
+    
+    // Every wall is a unit box stretched to its length, like its collider
+    const wallGeometry = new THREE.BoxGeometry(1, WALL_HEIGHT, Domain.WALL_THICKNESS);
+    const wallMaterial = new THREE.MeshStandardMaterial({ color: WALL_COLOR });
+    domain.walls.forEach(({ start, end }) => {
+        const mesh = new THREE.Mesh(wallGeometry, wallMaterial);
+        Coordinates.applySimTransform(mesh, {
+            position: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 },
+            rotation: Math.atan2(end.y - start.y, end.x - start.x)
+        }, WALL_HEIGHT / 2);
+        mesh.scale.x = Math.hypot(end.x - start.x, end.y - start.y) + Domain.WALL_THICKNESS;
+        domainGroup.add(mesh);
+    });
+    
+    // Obstacles get a flat top at wall height; a shape drawn in the simulation
+    // plane lands on the ground when rotated like the heatmap
+    const obstacleMaterial = new THREE.MeshStandardMaterial({ color: OBSTACLE_COLOR, side: THREE.DoubleSide });
+    domain.obstacles.forEach(points => {
+        const shape = new THREE.Shape(points.map(point => new THREE.Vector2(point.x, point.y)));
+        const geometry = new THREE.ShapeGeometry(shape);
+        geometry.rotateX(-Math.PI / 2);
+        const mesh = new THREE.Mesh(geometry, obstacleMaterial);
+        mesh.position.y = WALL_HEIGHT;
+        domainGroup.add(mesh);
+    });
+}
+
+// Keeps the ground, domain meshes and strain colors in step with the
+// simulation or the replay on screen; bacteria are drawn from the state
+// buffer every frame instead
+const simulationObserver = {
+    onDomainChanged(domain) {
+        buildGround(domain.worldSize);
+        buildDomainMeshes(domain);
+    },
+    
+    onStrainsChanged(strains) {
+        shownStrains = strains;
+        microscopyDirty = true;
+        BacteriaInstances.setStrainColors(strains);
+        UIControls.setStrains(strains);
+    },
+    
+    onReplayChanged(replaying) {
+        // Recorded cells cannot be inspected or edited, and hold no overlay data
+        if (replaying) {
+            Inspector.setInspectedBacterium(null);
+        }
+        applyOverlayVisibility();
+    }
+};
+
+// Show the overlays the settings ask for, except during replay or microscopy
+function applyOverlayVisibility() {
+    const live = !Replay.isReplaying() && !VisualSettings.getVisualSetting('microscopyView');
+    FlowOverlay.setFlowDisplay(live ? VisualSettings.getVisualSetting('flowDisplay') : 'none');
+    ForceOverlay.setForceOverlayVisible(live && VisualSettings.getVisualSetting('showForces'));
+    ContactOverlay.setContactOverlayVisible(live && VisualSettings.getVisualSetting('showContacts'));
+}
+
+// Ask the simulation worker for the data the visible overlays draw
+function requestOverlayData() {
+    SimulationClient.setFrameContents({
+        forces: VisualSettings.getVisualSetting('showForces'),
+        contacts: VisualSettings.getVisualSetting('showContacts'),
+        flow: VisualSettings.getVisualSetting('flowDisplay') !== 'none',
+        field: VisualSettings.getVisualSetting('fieldDisplay')
+    });
+}
+
+// React to visualization settings changed from the UI
+function onVisualSettingChanged(name, value) {
+    if (name === 'bacteriaColor') {
+        BacteriaInstances.refreshBacteriaColors();
+    } else if (name === 'showForces' || name === 'showContacts' || name === 'flowDisplay') {
+        applyOverlayVisibility();
+        requestOverlayData();
+    } else if (name === 'fieldDisplay') {
+        requestOverlayData();
+    } else if (name === 'cameraView') {
+        if (!VisualSettings.getVisualSetting('microscopyView')) {
+            setCameraView(value);
+        }
+    } else if (name === 'microscopyView') {
+        setMicroscopyView(value);
+    }
+}
+
+// Listen for presses in the scene and apply the active tool
+function addPointerTools() {
+    const element = renderer.domElement;
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+}
+
+// Aim the raycaster from the camera through the pointer
+function aimRaycaster(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        (event.clientX - rect.left) / rect.width * 2 - 1,
+        -(event.clientY - rect.top) / rect.height * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+}
+
+// Simulation-plane point under the pointer, or null when looking past it
+function pointerToSim(event) {
+    aimRaycaster(event);
+    const hit = raycaster.ray.intersectPlane(POINTER_PLANE, new THREE.Vector3());
+    return hit ? Coordinates.sceneToSim(hit) : null;
+}
+
+// ID of the bacterium under the pointer, or null
+function pickBacterium(event) {
+    aimRaycaster(event);
+    return BacteriaInstances.raycastBacteria(raycaster);
+}
+
+// Start a press; with the inspect tool, pressing on a cell grabs it
+function onPointerDown(event) {
+    if (event.button !== 0 || !simulationInitialized || Replay.isReplaying()) return;
+    pointerDown = { x: event.clientX, y: event.clientY };
+    
+    if (Tools.getToolSetting('activeTool') !== 'inspect') return;
+    
+    const id = pickBacterium(event);
+    const point = pointerToSim(event);
+    if (id === null || !point) return;
+    
+    Inspector.setInspectedBacterium(id);
+    SimulationClient.startDrag(id, point);
+    isDragging = true;
+    controls.enabled = false;
+    renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+// Move the grabbed cell with the pointer
+function onPointerMove(event) {
+    if (!isDragging) return;
+    
+    const point = pointerToSim(event);
+    if (point) {
+        SimulationClient.moveDrag(point);
+    }
+}
+
+// End a press; a press that did not move is a click for the active tool
+function onPointerUp(event) {
+    if (isDragging) {
+        SimulationClient.endDrag();
+        isDragging = false;
+        controls.enabled = true;
+        pointerDown = null;
+        return;
+    }
+    if (!pointerDown) return;
+    
+    const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+    pointerDown = null;
+    if (event.type === 'pointerup' && moved <= CLICK_TOLERANCE) {
+        applyClickTool(event);
+    }
+}
+
+// Apply the active tool at a clicked point
+function applyClickTool(event) {
+    const tool = Tools.getToolSetting('activeTool');
+    
+    if (tool === 'inspect') {
+        // Clicking empty space clears the selection
+        Inspector.setInspectedBacterium(null);
+    } else if (tool === 'remove') {
+        const id = pickBacterium(event);
+        if (id !== null) {
+            SimulationClient.removeBacterium(id);
+        }
+    } else {
+        const point = pointerToSim(event);
+        if (!point) return;
+        
+        if (tool === 'spawn') {
+            SimulationClient.spawnBacterium(point);
+        } else if (tool === 'brush') {
+            SimulationClient.inoculate(point, Tools.getToolSetting('brushRadius'), Tools.getToolSetting('brushCount'));
+        }
+    }
+}
 
 // Handle window resizing
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    applyRenderSize();
+}
+
+// Render at the capture resolution while capturing, otherwise fill the window
+function applyRenderSize() {
+    const captureSize = Capture.getCaptureSize();
+    if (captureSize) {
+        // Keep the canvas's on-screen size; only its drawing buffer changes
+        renderer.setPixelRatio(1);
+        renderer.setSize(captureSize.width, captureSize.height, false);
+    } else {
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+    
+    const size = renderer.getSize(new THREE.Vector2());
+    perspectiveCamera.aspect = size.x / size.y;
+    perspectiveCamera.updateProjectionMatrix();
+    
+    // Widen or narrow the microscope's view to the new shape, keeping its scale
+    const halfHeight = (microscopeCamera.top - microscopeCamera.bottom) / 2;
+    const centerX = (microscopeCamera.left + microscopeCamera.right) / 2;
+    microscopeCamera.left = centerX - halfHeight * size.x / size.y;
+    microscopeCamera.right = centerX + halfHeight * size.x / size.y;
+    microscopeCamera.updateProjectionMatrix();
 }
 
-// Update bacteria using physics simulation
-function updateBacteria() {
-    if (simulationInitialized) {
-        SimulationManager.updateSimulation();
+// Resize the renderer and hide the page's panels and the grid for captures
+function onCaptureChanged() {
+    applyRenderSize();
+    
+    document.body.classList.toggle('capture-hide-ui', Capture.isUIHidden());
+    updateGroundHelpersVisibility();
+}
+
+// Measure the frame rate and show it with the number of bodies drawn per strain
+function updateRenderStats(timestamp, frame) {
+    frameCount++;
+    if (fpsWindowStart === null) {
+        fpsWindowStart = timestamp;
+    }
+    
+    const elapsed = timestamp - fpsWindowStart;
+    if (elapsed >= FPS_INTERVAL_MS) {
+        UIControls.updateRenderStats(frameCount * 1000 / elapsed, frame ? frame.count : 0);
+        if (frame) {
+            UIControls.updateStrainCounts(StateBuffer.countStrains(frame, shownStrains.length));
+        }
+        frameCount = 0;
+        fpsWindowStart = timestamp;
     }
 }
 
 // Animation loop
-function animate() {
+function animate(timestamp = performance.now()) {
     requestAnimationFrame(animate);
     
-    // Update controls
+    // Update controls (keeps working while the simulation is paused)
     controls.update();
     
-    // Update bacteria positions and rotations using physics
-    updateBacteria();
+    // Record the latest frame the simulation worker published
+    const liveFrame = simulationInitialized ? SimulationClient.getFrame() : null;
+    if (liveFrame && liveFrame !== recordedFrame) {
+        recordedFrame = liveFrame;
+        Replay.recordFrame(liveFrame);
+    }
+    
+    // Draw it, or the recording at the playback time while replaying
+    // While capturing frames of a playing replay, move one capture interval per
+    // rendered frame, so no interval is skipped however slowly frames render
+    const elapsed = lastAnimateTime === null ? 0 : (timestamp - lastAnimateTime) / 1000;
+    const frameInterval = Capture.getFrameInterval();
+    Replay.advanceReplay(frameInterval !== null ? frameInterval / Replay.getPlaybackSpeed() : elapsed);
+    lastAnimateTime = timestamp;
+    const frame = Replay.isReplaying() ? Replay.getReplayFrame() : liveFrame;
+    if (frame && frame !== drawnFrame) {
+        drawnFrame = frame;
+    
+        // Redraw all bacteria from the packed simulation state
+        BacteriaInstances.updateBacteriaInstances(frame);
+        UIControls.updateSimulationTime(frame.time);
+        
+        // Refresh the chemical field heatmap and the flow, force and contact overlays
+        updateFieldHeatmap(frame.field);
+        FlowOverlay.updateFlowOverlay(frame.flow);
+        ForceOverlay.updateForceOverlay(frame.forces);
+        ContactOverlay.updateContactOverlay(frame.contacts);
+    }
+    updateMicroscopyImage(frame, timestamp);
+    updateRenderStats(timestamp, frame);
+    
+    // Sample colony statistics into the live charts and refresh the inspector and timeline
+    Charts.updateCharts(timestamp);
+    Inspector.updateInspector(timestamp);
+    Timeline.updateTimeline(timestamp);
     
-    // Render the scene
+    // Render the scene, then hand it to any capture under way
     renderer.render(scene, camera);
+    Capture.captureRenderedFrame(frame);
 }
 
 // Initialize the scene when the page loads
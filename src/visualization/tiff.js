@@ -0,0 +1,144 @@
+/**
+ * Multi-page TIFF writer for AgeEnt image stacks
+ * 
+ * Writes uncompressed, single-channel 16- or 32-bit pages with the pixel
+ * size stored as the resolution, and an ImageJ description of the stack
+ * layout (channels and frames) in the first page, so ImageJ/Fiji, tifffile
+ * and segmentation tools read the stack with its dimensions and scale.
+ */
+
+// TIFF field types
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+const HEADER_SIZE = 8;
+const RESOLUTION_DENOMINATOR = 1000000; // Resolution is stored as a fraction over this
+
+/**
+ * Build the ImageJ description of a stack
+ * @param {Object} layout - Layout {channels, frames, interval?}
+ * @returns {string} Description text
+ */
+function imageJDescription({ channels, frames, interval }) {
+    const lines = [
+        'ImageJ=1.11a',
+        `images=${channels * frames}`,
+        `channels=${channels}`,
+        `frames=${frames}`,
+        'hyperstack=true',
+        `mode=${channels > 1 ? 'composite' : 'grayscale'}`,
+        'unit=micron'
+    ];
+    if (interval !== undefined) {
+        lines.push(`finterval=${interval}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a stack of grayscale images as a multi-page TIFF
+ * 
+ * Pages are in ImageJ order: all channels of the first frame, then all
+ * channels of the next.
+ * @param {Array<Uint16Array|Uint32Array>} pages - Pixels of each page, row by row from the top
+ * @param {Object} options - Stack options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {number} options.pixelSize - Microns per pixel
+ * @param {number} [options.channels] - Channels per frame (default 1)
+ * @param {number} [options.interval] - Time between frames in seconds
+ * @returns {Blob} The TIFF file
+ * @throws {Error} If the pages do not match the size or the file would exceed 4 GB
+ */
+export function createTiffStack(pages, options) {
+    const { width, height, pixelSize, channels = 1 } = options;
+    const bitsPerSample = pages[0] instanceof Uint32Array ? 32 : 16;
+    const pageBytes = width * height * bitsPerSample / 8;
+    pages.forEach(page => {
+        if (page.byteLength !== pageBytes) {
+            throw new Error(`Every page must hold ${width}×${height} pixels of ${bitsPerSample} bits`);
+        }
+    });
+    
+    const encoder = new TextEncoder();
+    const description = encoder.encode(imageJDescription({
+        channels,
+        frames: Math.ceil(pages.length / channels),
+        interval: options.interval
+    }) + '\0');
+    const pixelsPerMicron = Math.round(RESOLUTION_DENOMINATOR / pixelSize);
+    
+    const header = new DataView(new ArrayBuffer(HEADER_SIZE));
+    header.setUint8(0, 0x49); // 'II': little-endian
+    header.setUint8(1, 0x49);
+    header.setUint16(2, 42, true);
+    header.setUint32(4, HEADER_SIZE, true); // The first IFD follows the header
+    
+    const parts = [header];
+    let offset = HEADER_SIZE;
+    pages.forEach((page, index) => {
+        const first = index === 0;
+        const entryCount = first ? 14 : 13;
+        const ifdSize = 2 + entryCount * 12 + 4;
+        // Values too large for an entry follow the IFD: two resolutions, then the description
+        const resolutionOffset = offset + ifdSize;
+        const descriptionOffset = resolutionOffset + 16;
+        const descriptionSize = first ? description.length + (description.length % 2) : 0;
+        const pixelOffset = descriptionOffset + descriptionSize;
+        const nextOffset = index < pages.length - 1 ? pixelOffset + pageBytes : 0;
+        
+        const ifd = new DataView(new ArrayBuffer(ifdSize + 16));
+        let position = 0;
+        const entry = (tag, type, count, value) => {
+            ifd.setUint16(position + 2, tag, true);
+            ifd.setUint16(position + 4, type, true);
+            ifd.setUint32(position + 6, count, true);
+            if (type === SHORT && count === 1) {
+                ifd.setUint16(position + 10, value, true);
+            } else {
+                ifd.setUint32(position + 10, value, true);
+            }
+            position += 12;
+        };
+        ifd.setUint16(0, entryCount, true);
+        entry(256, LONG, 1, width); // ImageWidth
+        entry(257, LONG, 1, height); // ImageLength
+        entry(258, SHORT, 1, bitsPerSample); // BitsPerSample
+        entry(259, SHORT, 1, 1); // Compression: none
+        entry(262, SHORT, 1, 1); // PhotometricInterpretation: black is zero
+        if (first) {
+            entry(270, ASCII, description.length, descriptionOffset); // ImageDescription
+        }
+        entry(273, LONG, 1, pixelOffset); // StripOffsets
+        entry(277, SHORT, 1, 1); // SamplesPerPixel
+        entry(278, LONG, 1, height); // RowsPerStrip: one strip
+        entry(279, LONG, 1, pageBytes); // StripByteCounts
+        entry(282, RATIONAL, 1, resolutionOffset); // XResolution
+        entry(283, RATIONAL, 1, resolutionOffset + 8); // YResolution
+        entry(296, SHORT, 1, 1); // ResolutionUnit: none (the unit is in the description)
+        entry(339, SHORT, 1, 1); // SampleFormat: unsigned integer
+        ifd.setUint32(position + 2, nextOffset, true);
+        
+        [0, 8].forEach(shift => {
+            ifd.setUint32(ifdSize + shift, pixelsPerMicron, true);
+            ifd.setUint32(ifdSize + shift + 4, RESOLUTION_DENOMINATOR, true);
+        });
+        
+        parts.push(ifd);
+        if (first) {
+            parts.push(description);
+            if (descriptionSize > description.length) {
+                parts.push(new Uint8Array(1)); // Keep the pixel data on a word boundary
+            }
+        }
+        parts.push(page);
+        offset = pixelOffset + pageBytes;
+    });
+    
+    if (offset > 0xffffffff) {
+        throw new Error("The stack is too large for a TIFF file");
+    }
+    return new Blob(parts, { type: 'image/tiff' });
+}
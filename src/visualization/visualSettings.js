@@ -0,0 +1,53 @@
+/**
+ * Visualization settings for AgeEnt
+ *
+ * Holds display-only options that the UI controls change and the scene
+ * reads. Listeners are notified whenever a setting changes.
+ */
+
+// Settings state
+const DEFAULT_SETTINGS = {
+    showForces: false,
+    showContacts: false,
+    flowDisplay: 'none', // 'none', 'arrows' or 'streamlines'
+    fieldDisplay: 'none', // 'none' or the name of a chemical field
+    colorBy: 'phenotype', // 'phenotype' or 'strain'
+    cameraView: 'perspective', // 'perspective' or 'microscope' (top-down orthographic)
+    microscopyView: false, // Draw synthetic microscopy images instead of the 3D cells
+    bacteriaColor: '#4fc3f7'
+};
+let settings = { ...DEFAULT_SETTINGS };
+let listeners = [];
+
+/**
+ * Get the current value of a visualization setting
+ * @param {string} name - Setting name
+ * @returns {*} Current value
+ */
+export function getVisualSetting(name) {
+    return settings[name];
+}
+
+/**
+ * Change a visualization setting and notify listeners
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ */
+export function setVisualSetting(name, value) {
+    if (!(name in DEFAULT_SETTINGS)) {
+        console.error(`Unknown visualization setting: ${name}`);
+        return;
+    }
+    if (settings[name] === value) return;
+
+    settings[name] = value;
+    listeners.forEach(listener => listener(name, value));
+}
+
+/**
+ * Register a listener called as listener(name, value) on every change
+ * @param {Function} listener - The listener to add
+ */
+export function onVisualSettingChanged(listener) {
+    listeners.push(listener);
+}